@@ -0,0 +1,134 @@
+// Achievement definitions and player stat names. Definitions live here (not
+// in the database) so they ship and get reviewed with the code; unlocks and
+// progress are stored per user (user_achievements).
+//
+// criteria:
+//   { type: 'grant' }                     - unlocked by a game server
+//   { type: 'progress', goal }            - game servers add progress, unlocks at goal
+//   { type: 'stat', stat, goal }          - unlocks when the player's all-time stat reaches goal
+//
+// Hidden achievements are shown as "???" until they are unlocked.
+
+const ACHIEVEMENTS = [
+    {
+        id: 'first_steps',
+        name: 'First Steps',
+        icon: '👣',
+        description: 'Play on a ForgeBlock server',
+        hidden: false,
+        criteria: { type: 'stat', stat: 'play_time', goal: 1 }
+    },
+    {
+        id: 'regular',
+        name: 'Regular',
+        icon: '⏳',
+        description: 'Play for 10 hours',
+        hidden: false,
+        criteria: { type: 'stat', stat: 'play_time', goal: 10 * 3600 }
+    },
+    {
+        id: 'builder',
+        name: 'Builder',
+        icon: '🧱',
+        description: 'Place 1,000 blocks',
+        hidden: false,
+        criteria: { type: 'stat', stat: 'blocks_placed', goal: 1000 }
+    },
+    {
+        id: 'master_builder',
+        name: 'Master Builder',
+        icon: '🏰',
+        description: 'Place 100,000 blocks',
+        hidden: false,
+        criteria: { type: 'stat', stat: 'blocks_placed', goal: 100000 }
+    },
+    {
+        id: 'miner',
+        name: 'Miner',
+        icon: '⛏',
+        description: 'Break 1,000 blocks',
+        hidden: false,
+        criteria: { type: 'stat', stat: 'blocks_broken', goal: 1000 }
+    },
+    {
+        id: 'explorer',
+        name: 'Explorer',
+        icon: '🧭',
+        description: 'Visit 5 different places',
+        hidden: false,
+        criteria: { type: 'progress', goal: 5 }
+    },
+    {
+        id: 'secret_room',
+        name: 'Behind the Wall',
+        icon: '🗝',
+        description: 'Find the secret room in ForgeBlock',
+        hidden: true,
+        criteria: { type: 'grant' }
+    }
+];
+
+// Stats the API records itself; game servers can't submit these
+const RESERVED_STATS = ['play_time'];
+// Stats every game server is expected to report; any other valid name is a custom stat
+const BUILTIN_STATS = ['play_time', 'blocks_placed', 'blocks_broken'];
+const STAT_NAME_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+const byId = new Map(ACHIEVEMENTS.map(achievement => [achievement.id, achievement]));
+
+function findAchievement(id) {
+    return byId.get(id) || null;
+}
+
+function isValidStatName(name) {
+    return typeof name === 'string' && STAT_NAME_PATTERN.test(name);
+}
+
+// Goal of an achievement (1 for granted ones)
+function goalOf(achievement) {
+    return achievement.criteria.goal || 1;
+}
+
+// Portal view of one achievement. record: { progress, unlockedAt } or null;
+// stats: the player's all-time stats (progress of stat achievements).
+function serializeAchievement(achievement, record, stats) {
+    const goal = goalOf(achievement);
+    const unlockedAt = record ? record.unlockedAt : null;
+    const progress = achievement.criteria.type === 'stat'
+        ? Math.min(stats[achievement.criteria.stat] || 0, goal)
+        : Math.min(record ? record.progress : 0, goal);
+    
+    if (achievement.hidden && !unlockedAt) {
+        return { id: achievement.id, name: '???', icon: '❔', description: 'Hidden achievement', hidden: true, progress: 0, goal: 1, unlockedAt: null };
+    }
+    
+    return {
+        id: achievement.id,
+        name: achievement.name,
+        icon: achievement.icon,
+        description: achievement.description,
+        hidden: achievement.hidden,
+        progress: unlockedAt ? goal : progress,
+        goal,
+        unlockedAt
+    };
+}
+
+// Stat achievements that the given all-time stats have reached
+function reachedStatAchievements(stats) {
+    return ACHIEVEMENTS.filter(achievement =>
+        achievement.criteria.type === 'stat'
+        && (stats[achievement.criteria.stat] || 0) >= achievement.criteria.goal
+    );
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    RESERVED_STATS,
+    BUILTIN_STATS,
+    findAchievement,
+    isValidStatName,
+    goalOf,
+    serializeAchievement,
+    reachedStatAchievements
+};
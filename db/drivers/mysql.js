@@ -0,0 +1,75 @@
+const mysql = require('mysql2/promise');
+
+// mysql2 rejects undefined bind values
+function bind(params) {
+    return params.map(value => (value === undefined ? null : value));
+}
+
+function wrap(executor) {
+    return {
+        dialect: 'mysql',
+        
+        async query(sql, params = []) {
+            const [rows] = await executor.execute(sql, bind(params));
+            return rows;
+        },
+        
+        async run(sql, params = []) {
+            const [result] = await executor.execute(sql, bind(params));
+            return { insertId: result.insertId, affectedRows: result.affectedRows };
+        }
+    };
+}
+
+// Open a MySQL pool from environment config. Throws if the server can't be reached.
+async function openMysqlDatabase() {
+    const pool = mysql.createPool({
+        host: process.env.DB_HOST,
+        port: process.env.DB_PORT || 3306,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0,
+        ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+    
+    try {
+        const conn = await pool.getConnection();
+        conn.release();
+    } catch (error) {
+        pool.end().catch(() => {});
+        throw error;
+    }
+    
+    return {
+        ...wrap(pool),
+        
+        // Run fn(tx) on a single connection inside a transaction
+        async transaction(fn) {
+            const conn = await pool.getConnection();
+            try {
+                await conn.beginTransaction();
+                const result = await fn(wrap(conn));
+                await conn.commit();
+                return result;
+            } catch (error) {
+                await conn.rollback().catch(() => {});
+                throw error;
+            } finally {
+                conn.release();
+            }
+        },
+        
+        async ping() {
+            await pool.execute('SELECT 1');
+        },
+        
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+module.exports = { openMysqlDatabase };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// SQLite has no DATE or BOOLEAN bind types: dates are stored as ISO 8601 UTC
+// strings (the same format the schema defaults use) and booleans as 0/1.
+function bind(params) {
+    return params.map(value => {
+        if (value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return value.toISOString();
+        return value;
+    });
+}
+
+// Open (or create) an SQLite database file
+async function openSqliteDatabase(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    
+    const conn = new Database(file);
+    conn.pragma('journal_mode = WAL');
+    conn.pragma('foreign_keys = ON');
+    
+    const statements = new Map();
+    function prepare(sql) {
+        let stmt = statements.get(sql);
+        if (!stmt) {
+            stmt = conn.prepare(sql);
+            statements.set(sql, stmt);
+        }
+        return stmt;
+    }
+    
+    const direct = {
+        dialect: 'sqlite',
+        
+        async query(sql, params = []) {
+            return prepare(sql).all(bind(params));
+        },
+        
+        async run(sql, params = []) {
+            const info = prepare(sql).run(bind(params));
+            return { insertId: Number(info.lastInsertRowid), affectedRows: info.changes };
+        }
+    };
+    
+    // There is a single connection, so statements from other requests must
+    // wait while a transaction is open instead of landing inside it.
+    // Transactions queue up behind each other: `tail` settles once the last
+    // queued one has finished.
+    let tail = Promise.resolve();
+    async function waitForTransactions() {
+        let current;
+        do {
+            current = tail;
+            await current;
+        } while (current !== tail);
+    }
+    
+    return {
+        dialect: 'sqlite',
+        
+        async query(sql, params) {
+            await waitForTransactions();
+            return direct.query(sql, params);
+        },
+        
+        async run(sql, params) {
+            await waitForTransactions();
+            return direct.run(sql, params);
+        },
+        
+        async transaction(fn) {
+            const previous = tail;
+            let release;
+            tail = new Promise(resolve => { release = resolve; });
+            
+            try {
+                await previous;
+                conn.exec('BEGIN');
+                try {
+                    const result = await fn(direct);
+                    conn.exec('COMMIT');
+                    return result;
+                } catch (error) {
+                    conn.exec('ROLLBACK');
+                    throw error;
+                }
+            } finally {
+                release();
+            }
+        },
+        
+        async ping() {
+            prepare('SELECT 1').get();
+        },
+        
+        async close() {
+            conn.close();
+        }
+    };
+}
+
+module.exports = { openSqliteDatabase };
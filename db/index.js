@@ -0,0 +1,71 @@
+const path = require('path');
+const { openMysqlDatabase } = require('./drivers/mysql');
+const { openSqliteDatabase } = require('./drivers/sqlite');
+const { createUserRepository } = require('./repositories/users');
+const { createPlayerRepository } = require('./repositories/players');
+const { createSessionRepository } = require('./repositories/sessions');
+const { createServerKeyRepository } = require('./repositories/serverKeys');
+const { createPasswordResetRepository } = require('./repositories/passwordResets');
+const { createRateLimitRepository } = require('./repositories/rateLimits');
+const { createAuditLogRepository } = require('./repositories/auditLog');
+const { createFriendRepository } = require('./repositories/friends');
+const { createPlaceRepository } = require('./repositories/places');
+const { createChunkRepository } = require('./repositories/chunks');
+const { createPlaySessionRepository } = require('./repositories/playSessions');
+const { createStatRepository } = require('./repositories/stats');
+const { createAchievementRepository } = require('./repositories/achievements');
+const { createSkinRepository } = require('./repositories/skins');
+const { createReleaseRepository } = require('./repositories/releases');
+const { createDeviceCodeRepository } = require('./repositories/deviceCodes');
+const { createPersonalTokenRepository } = require('./repositories/personalTokens');
+const { createTwoFactorRepository } = require('./repositories/twoFactor');
+
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', 'data', 'forgeblock.db');
+
+// Pick the backend from DB_DRIVER (mysql | sqlite). Without it, MySQL is used
+// when DB_HOST is configured and an SQLite file (SQLITE_FILE) otherwise.
+function resolveDriver() {
+    return process.env.DB_DRIVER || (process.env.DB_HOST ? 'mysql' : 'sqlite');
+}
+
+async function openDatabase() {
+    const driver = resolveDriver();
+    
+    if (driver === 'mysql') {
+        return openMysqlDatabase();
+    }
+    if (driver === 'sqlite') {
+        return openSqliteDatabase(process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE);
+    }
+    throw new Error(`Unknown DB_DRIVER "${driver}" (use mysql or sqlite)`);
+}
+
+// Open the configured database and build the repositories on top of it
+async function openStorage() {
+    const db = await openDatabase();
+    
+    return {
+        driver: db.dialect,
+        db,
+        users: createUserRepository(db),
+        players: createPlayerRepository(db),
+        sessions: createSessionRepository(db),
+        serverKeys: createServerKeyRepository(db),
+        passwordResets: createPasswordResetRepository(db),
+        rateLimits: createRateLimitRepository(db),
+        auditLog: createAuditLogRepository(db),
+        friends: createFriendRepository(db),
+        places: createPlaceRepository(db),
+        chunks: createChunkRepository(db),
+        playSessions: createPlaySessionRepository(db),
+        stats: createStatRepository(db),
+        achievements: createAchievementRepository(db),
+        skins: createSkinRepository(db),
+        releases: createReleaseRepository(db),
+        deviceCodes: createDeviceCodeRepository(db),
+        personalTokens: createPersonalTokenRepository(db),
+        twoFactor: createTwoFactorRepository(db)
+    };
+}
+
+module.exports = { openDatabase, openStorage };
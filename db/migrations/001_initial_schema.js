@@ -0,0 +1,77 @@
+const { columnExists, SQLITE_NOW } = require('../migrator');
+
+// Users and player data, as created by the original initDatabase()
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    password_hash TEXT NOT NULL,
+                    face TEXT DEFAULT 'default.png',
+                    auth_token TEXT,
+                    token_expires TEXT,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    last_login TEXT NULL,
+                    is_banned INTEGER DEFAULT 0
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_token ON users (auth_token)');
+            
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_data (
+                    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                    place_id INTEGER DEFAULT 1,
+                    pos_x REAL DEFAULT 0,
+                    pos_y REAL DEFAULT 5,
+                    pos_z REAL DEFAULT 0,
+                    play_time INTEGER DEFAULT 0,
+                    last_save TEXT DEFAULT ${SQLITE_NOW}
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(32) UNIQUE NOT NULL,
+                email VARCHAR(255) UNIQUE NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                face VARCHAR(255) DEFAULT 'default.png',
+                auth_token VARCHAR(512),
+                token_expires DATETIME,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_login TIMESTAMP NULL,
+                is_banned BOOLEAN DEFAULT FALSE,
+                INDEX idx_username (username),
+                INDEX idx_token (auth_token(255))
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        
+        // Very old databases were created before the face column existed
+        if (!await columnExists(db, 'users', 'face')) {
+            await db.run(`ALTER TABLE users ADD COLUMN face VARCHAR(255) DEFAULT 'default.png'`);
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS player_data (
+                user_id INT PRIMARY KEY,
+                place_id TINYINT DEFAULT 1,
+                pos_x FLOAT DEFAULT 0,
+                pos_y FLOAT DEFAULT 5,
+                pos_z FLOAT DEFAULT 0,
+                play_time INT DEFAULT 0,
+                last_save TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS player_data');
+        await db.run('DROP TABLE IF EXISTS users');
+    }
+};
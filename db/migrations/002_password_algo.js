@@ -0,0 +1,19 @@
+const { columnExists } = require('../migrator');
+
+// Track which algorithm each password hash uses (bcrypt or legacy simpleHash)
+module.exports = {
+    async up(db) {
+        if (await columnExists(db, 'users', 'password_algo')) {
+            return;
+        }
+        
+        const type = db.dialect === 'sqlite' ? 'TEXT' : 'VARCHAR(16)';
+        await db.run(`ALTER TABLE users ADD COLUMN password_algo ${type} NOT NULL DEFAULT 'bcrypt'`);
+        // Rows created before this column may still hold simpleHash values
+        await db.run(`UPDATE users SET password_algo = 'simple' WHERE password_hash NOT LIKE '$2%'`);
+    },
+    
+    async down(db) {
+        await db.run('ALTER TABLE users DROP COLUMN password_algo');
+    }
+};
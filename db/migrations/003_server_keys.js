@@ -0,0 +1,41 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Admin-issued game server API keys
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS server_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    key_id TEXT UNIQUE NOT NULL,
+                    key_hash TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    scopes TEXT NOT NULL,
+                    created_by INTEGER NULL,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    last_used_at TEXT NULL,
+                    revoked_at TEXT NULL
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS server_keys (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                key_id VARCHAR(32) UNIQUE NOT NULL,
+                key_hash CHAR(64) NOT NULL,
+                name VARCHAR(64) NOT NULL,
+                scopes VARCHAR(255) NOT NULL,
+                created_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP NULL,
+                revoked_at TIMESTAMP NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS server_keys');
+    }
+};
@@ -0,0 +1,44 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// One row per signed-in device. Replaces the single users.auth_token slot.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id TEXT PRIMARY KEY,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    refresh_token_hash TEXT UNIQUE NOT NULL,
+                    user_agent TEXT,
+                    ip TEXT,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    last_seen_at TEXT DEFAULT ${SQLITE_NOW},
+                    expires_at TEXT NOT NULL,
+                    revoked_at TEXT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id CHAR(36) PRIMARY KEY,
+                user_id INT NOT NULL,
+                refresh_token_hash CHAR(64) UNIQUE NOT NULL,
+                user_agent VARCHAR(255),
+                ip VARCHAR(64),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                revoked_at TIMESTAMP NULL,
+                INDEX idx_sessions_user (user_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS sessions');
+    }
+};
@@ -0,0 +1,38 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Single-use password reset tokens (only the SHA-256 of the token is stored)
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS password_resets (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    token_hash TEXT UNIQUE NOT NULL,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    expires_at TEXT NOT NULL,
+                    used_at TEXT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets (user_id)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS password_resets (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                token_hash CHAR(64) UNIQUE NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                used_at TIMESTAMP NULL,
+                INDEX idx_password_resets_user (user_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS password_resets');
+    }
+};
@@ -0,0 +1,26 @@
+const { columnExists } = require('../migrator');
+
+// Email verification state. Existing accounts start unverified.
+module.exports = {
+    async up(db) {
+        const sqlite = db.dialect === 'sqlite';
+        
+        if (!await columnExists(db, 'users', 'email_verified')) {
+            const type = sqlite ? 'INTEGER' : 'BOOLEAN';
+            await db.run(`ALTER TABLE users ADD COLUMN email_verified ${type} NOT NULL DEFAULT 0`);
+        }
+        if (!await columnExists(db, 'users', 'email_verified_at')) {
+            await db.run(`ALTER TABLE users ADD COLUMN email_verified_at ${sqlite ? 'TEXT' : 'TIMESTAMP'} NULL`);
+        }
+        // Last verification email, for the resend cooldown
+        if (!await columnExists(db, 'users', 'verification_sent_at')) {
+            await db.run(`ALTER TABLE users ADD COLUMN verification_sent_at ${sqlite ? 'TEXT' : 'TIMESTAMP'} NULL`);
+        }
+    },
+    
+    async down(db) {
+        await db.run('ALTER TABLE users DROP COLUMN verification_sent_at');
+        await db.run('ALTER TABLE users DROP COLUMN email_verified_at');
+        await db.run('ALTER TABLE users DROP COLUMN email_verified');
+    }
+};
@@ -0,0 +1,29 @@
+// Shared rate limit counters and lockouts (RATE_LIMIT_STORE=database)
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS rate_limits (
+                    limit_key TEXT PRIMARY KEY,
+                    data TEXT NOT NULL,
+                    expires_at TEXT NOT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits (expires_at)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS rate_limits (
+                limit_key VARCHAR(191) PRIMARY KEY,
+                data VARCHAR(1024) NOT NULL,
+                expires_at DATETIME NOT NULL,
+                INDEX idx_rate_limits_expires (expires_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS rate_limits');
+    }
+};
@@ -0,0 +1,50 @@
+const { columnExists, SQLITE_NOW } = require('../migrator');
+
+// Ban details on users and the moderation audit log
+module.exports = {
+    async up(db) {
+        const sqlite = db.dialect === 'sqlite';
+        const dateType = sqlite ? 'TEXT' : 'DATETIME';
+        
+        if (!await columnExists(db, 'users', 'ban_reason')) {
+            await db.run(`ALTER TABLE users ADD COLUMN ban_reason ${sqlite ? 'TEXT' : 'VARCHAR(255)'} NULL`);
+        }
+        // NULL means permanent
+        if (!await columnExists(db, 'users', 'banned_until')) {
+            await db.run(`ALTER TABLE users ADD COLUMN banned_until ${dateType} NULL`);
+        }
+        
+        if (sqlite) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor_id INTEGER NULL,
+                    action TEXT NOT NULL,
+                    target_user_id INTEGER NULL,
+                    details TEXT NULL,
+                    created_at TEXT DEFAULT ${SQLITE_NOW}
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_audit_target ON audit_log (target_user_id)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                actor_id INT NULL,
+                action VARCHAR(64) NOT NULL,
+                target_user_id INT NULL,
+                details TEXT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_audit_target (target_user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS audit_log');
+        await db.run('ALTER TABLE users DROP COLUMN banned_until');
+        await db.run('ALTER TABLE users DROP COLUMN ban_reason');
+    }
+};
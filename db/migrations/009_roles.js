@@ -0,0 +1,17 @@
+const { columnExists } = require('../migrator');
+
+// Account role (player, moderator, admin), see permissions/index.js
+module.exports = {
+    async up(db) {
+        if (await columnExists(db, 'users', 'role')) {
+            return;
+        }
+        
+        const type = db.dialect === 'sqlite' ? 'TEXT' : 'VARCHAR(16)';
+        await db.run(`ALTER TABLE users ADD COLUMN role ${type} NOT NULL DEFAULT 'player'`);
+    },
+    
+    async down(db) {
+        await db.run('ALTER TABLE users DROP COLUMN role');
+    }
+};
@@ -0,0 +1,73 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Friend requests, friendships (one row per direction) and blocks
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS friend_requests (
+                    from_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    to_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (from_user_id, to_user_id)
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_friend_requests_to ON friend_requests (to_user_id)');
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS friendships (
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    friend_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (user_id, friend_id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS user_blocks (
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    blocked_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (user_id, blocked_user_id)
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS friend_requests (
+                from_user_id INT NOT NULL,
+                to_user_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (from_user_id, to_user_id),
+                INDEX idx_friend_requests_to (to_user_id),
+                FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS friendships (
+                user_id INT NOT NULL,
+                friend_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, friend_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (friend_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_blocks (
+                user_id INT NOT NULL,
+                blocked_user_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, blocked_user_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (blocked_user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS user_blocks');
+        await db.run('DROP TABLE IF EXISTS friendships');
+        await db.run('DROP TABLE IF EXISTS friend_requests');
+    }
+};
@@ -0,0 +1,94 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Places catalog and one saved position per (user, place). player_data keeps
+// the place a player was in last; its position is copied over as the saved
+// position for that place. Every place id already in use gets a catalog entry.
+module.exports = {
+    async up(db) {
+        const sqlite = db.dialect === 'sqlite';
+        
+        if (sqlite) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS places (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    owner_id INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+                    description TEXT NULL,
+                    spawn_x REAL DEFAULT 0,
+                    spawn_y REAL DEFAULT 5,
+                    spawn_z REAL DEFAULT 0,
+                    visibility TEXT DEFAULT 'public',
+                    max_players INTEGER DEFAULT 20,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    updated_at TEXT DEFAULT ${SQLITE_NOW}
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_places_owner ON places (owner_id)');
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_positions (
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    place_id INTEGER NOT NULL REFERENCES places(id) ON DELETE CASCADE,
+                    pos_x REAL DEFAULT 0,
+                    pos_y REAL DEFAULT 5,
+                    pos_z REAL DEFAULT 0,
+                    updated_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (user_id, place_id)
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS places (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(64) NOT NULL,
+                    owner_id INT NULL,
+                    description VARCHAR(500) NULL,
+                    spawn_x FLOAT DEFAULT 0,
+                    spawn_y FLOAT DEFAULT 5,
+                    spawn_z FLOAT DEFAULT 0,
+                    visibility VARCHAR(16) DEFAULT 'public',
+                    max_players INT DEFAULT 20,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_places_owner (owner_id),
+                    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_positions (
+                    user_id INT NOT NULL,
+                    place_id INT NOT NULL,
+                    pos_x FLOAT DEFAULT 0,
+                    pos_y FLOAT DEFAULT 5,
+                    pos_z FLOAT DEFAULT 0,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, place_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            // TINYINT caps place ids at 127
+            await db.run('ALTER TABLE player_data MODIFY place_id INT DEFAULT 1');
+        }
+        
+        const insertIgnore = sqlite ? 'INSERT OR IGNORE' : 'INSERT IGNORE';
+        const placeName = sqlite ? `'Place ' || place_id` : `CONCAT('Place ', place_id)`;
+        
+        await db.run(`${insertIgnore} INTO places (id, name) VALUES (1, 'ForgeBlock')`);
+        await db.run(
+            `${insertIgnore} INTO places (id, name)
+             SELECT DISTINCT place_id, ${placeName} FROM player_data WHERE place_id > 1`
+        );
+        await db.run(
+            `${insertIgnore} INTO player_positions (user_id, place_id, pos_x, pos_y, pos_z, updated_at)
+             SELECT user_id, place_id, pos_x, pos_y, pos_z, last_save FROM player_data WHERE place_id >= 1`
+        );
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS player_positions');
+        await db.run('DROP TABLE IF EXISTS places');
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE player_data MODIFY place_id TINYINT DEFAULT 1');
+        }
+    }
+};
@@ -0,0 +1,40 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Player state documents per (user, place): core fields as JSON, the custom
+// blob separately, and a revision number for optimistic concurrency
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_states (
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    place_id INTEGER NOT NULL REFERENCES places(id) ON DELETE CASCADE,
+                    revision INTEGER NOT NULL DEFAULT 0,
+                    state TEXT NULL,
+                    custom_data TEXT NULL,
+                    updated_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (user_id, place_id)
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS player_states (
+                user_id INT NOT NULL,
+                place_id INT NOT NULL,
+                revision INT NOT NULL DEFAULT 0,
+                state TEXT NULL,
+                custom_data TEXT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, place_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS player_states');
+    }
+};
@@ -0,0 +1,45 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// World chunk index with per-chunk revisions. data holds the deflated chunk
+// when WORLD_STORE=database and stays NULL with the filesystem store.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS world_chunks (
+                    place_id INTEGER NOT NULL REFERENCES places(id) ON DELETE CASCADE,
+                    cx INTEGER NOT NULL,
+                    cy INTEGER NOT NULL,
+                    cz INTEGER NOT NULL,
+                    revision INTEGER NOT NULL DEFAULT 1,
+                    size INTEGER NOT NULL DEFAULT 0,
+                    data BLOB NULL,
+                    updated_by TEXT NULL,
+                    updated_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (place_id, cx, cy, cz)
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS world_chunks (
+                place_id INT NOT NULL,
+                cx INT NOT NULL,
+                cy INT NOT NULL,
+                cz INT NOT NULL,
+                revision INT NOT NULL DEFAULT 1,
+                size INT NOT NULL DEFAULT 0,
+                data MEDIUMBLOB NULL,
+                updated_by VARCHAR(64) NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (place_id, cx, cy, cz),
+                FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS world_chunks');
+    }
+};
@@ -0,0 +1,47 @@
+// Play sessions opened and closed by game servers. duration (seconds) is set
+// on close and added to player_data.play_time, the per-user total.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS play_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    place_id INTEGER NOT NULL,
+                    server_id TEXT NOT NULL,
+                    started_at TEXT NOT NULL,
+                    last_seen_at TEXT NOT NULL,
+                    ended_at TEXT NULL,
+                    duration INTEGER NOT NULL DEFAULT 0,
+                    end_reason TEXT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_play_sessions_user ON play_sessions (user_id, ended_at)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_play_sessions_server ON play_sessions (server_id, ended_at)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_play_sessions_place ON play_sessions (place_id)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS play_sessions (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                place_id INT NOT NULL,
+                server_id VARCHAR(64) NOT NULL,
+                started_at DATETIME NOT NULL,
+                last_seen_at DATETIME NOT NULL,
+                ended_at DATETIME NULL,
+                duration INT NOT NULL DEFAULT 0,
+                end_reason VARCHAR(16) NULL,
+                INDEX idx_play_sessions_user (user_id, ended_at),
+                INDEX idx_play_sessions_server (server_id, ended_at),
+                INDEX idx_play_sessions_place (place_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS play_sessions');
+    }
+};
@@ -0,0 +1,94 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Achievement progress and unlocks per user, and player stats: all-time
+// totals (player_stats) plus per-day amounts (player_stat_days, UTC
+// YYYY-MM-DD) for the daily and weekly leaderboards. play_time is backfilled
+// from the play sessions recorded so far.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS user_achievements (
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    achievement_id TEXT NOT NULL,
+                    progress INTEGER NOT NULL DEFAULT 0,
+                    unlocked_at TEXT NULL,
+                    updated_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (user_id, achievement_id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_stats (
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    stat TEXT NOT NULL,
+                    value INTEGER NOT NULL DEFAULT 0,
+                    updated_at TEXT DEFAULT ${SQLITE_NOW},
+                    PRIMARY KEY (user_id, stat)
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_player_stats_stat ON player_stats (stat, value)');
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_stat_days (
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    stat TEXT NOT NULL,
+                    day TEXT NOT NULL,
+                    value INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (user_id, stat, day)
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_player_stat_days_stat ON player_stat_days (stat, day)');
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS user_achievements (
+                    user_id INT NOT NULL,
+                    achievement_id VARCHAR(64) NOT NULL,
+                    progress BIGINT NOT NULL DEFAULT 0,
+                    unlocked_at TIMESTAMP NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, achievement_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_stats (
+                    user_id INT NOT NULL,
+                    stat VARCHAR(32) NOT NULL,
+                    value BIGINT NOT NULL DEFAULT 0,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, stat),
+                    INDEX idx_player_stats_stat (stat, value),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS player_stat_days (
+                    user_id INT NOT NULL,
+                    stat VARCHAR(32) NOT NULL,
+                    day CHAR(10) NOT NULL,
+                    value BIGINT NOT NULL DEFAULT 0,
+                    PRIMARY KEY (user_id, stat, day),
+                    INDEX idx_player_stat_days_stat (stat, day),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+        }
+        
+        const day = db.dialect === 'sqlite' ? 'substr(ended_at, 1, 10)' : "DATE_FORMAT(ended_at, '%Y-%m-%d')";
+        await db.run(
+            `INSERT INTO player_stats (user_id, stat, value)
+             SELECT user_id, 'play_time', play_time FROM player_data WHERE play_time > 0`
+        );
+        await db.run(
+            `INSERT INTO player_stat_days (user_id, stat, day, value)
+             SELECT user_id, 'play_time', ${day}, SUM(duration) FROM play_sessions
+             WHERE ended_at IS NOT NULL AND duration > 0
+             GROUP BY user_id, ${day}`
+        );
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS player_stat_days');
+        await db.run('DROP TABLE IF EXISTS player_stats');
+        await db.run('DROP TABLE IF EXISTS user_achievements');
+    }
+};
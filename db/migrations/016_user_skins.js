@@ -0,0 +1,46 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Skin history per user. data is the normalized 64x64 PNG (a few KB), hash
+// its SHA-256 so re-uploading a skin reuses the entry. At most one row per
+// user is active; without one the player wears the default skin.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS user_skins (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    model TEXT NOT NULL DEFAULT 'classic',
+                    hash TEXT NOT NULL,
+                    data BLOB NOT NULL,
+                    active INTEGER NOT NULL DEFAULT 0,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    activated_at TEXT DEFAULT ${SQLITE_NOW},
+                    UNIQUE (user_id, hash)
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_user_skins_active ON user_skins (user_id, active)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_skins (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                model VARCHAR(16) NOT NULL DEFAULT 'classic',
+                hash CHAR(64) NOT NULL,
+                data BLOB NOT NULL,
+                active TINYINT(1) NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                activated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_user_skins_hash (user_id, hash),
+                INDEX idx_user_skins_active (user_id, active),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS user_skins');
+    }
+};
@@ -0,0 +1,57 @@
+// Published client releases and their file manifests. The files are stored
+// under RELEASES_DIR/<version>/ (see releases/index.js).
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS client_releases (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    version TEXT NOT NULL UNIQUE,
+                    channel TEXT NOT NULL,
+                    notes TEXT NULL,
+                    min_version TEXT NULL,
+                    published_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+                    published_at TEXT NOT NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS client_release_files (
+                    release_id INTEGER NOT NULL REFERENCES client_releases(id) ON DELETE CASCADE,
+                    path TEXT NOT NULL,
+                    size INTEGER NOT NULL,
+                    sha256 TEXT NOT NULL,
+                    PRIMARY KEY (release_id, path)
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS client_releases (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                version VARCHAR(32) NOT NULL UNIQUE,
+                channel VARCHAR(16) NOT NULL,
+                notes TEXT NULL,
+                min_version VARCHAR(32) NULL,
+                published_by INT NULL,
+                published_at DATETIME NOT NULL,
+                FOREIGN KEY (published_by) REFERENCES users(id) ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS client_release_files (
+                release_id INT NOT NULL,
+                path VARCHAR(255) NOT NULL,
+                size BIGINT NOT NULL,
+                sha256 CHAR(64) NOT NULL,
+                PRIMARY KEY (release_id, path),
+                FOREIGN KEY (release_id) REFERENCES client_releases(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS client_release_files');
+        await db.run('DROP TABLE IF EXISTS client_releases');
+    }
+};
@@ -0,0 +1,35 @@
+// Download counts per release: kind 'file' (name = file path) or 'patch'
+// (name = installed version, 'full' for a full bundle)
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS client_release_downloads (
+                    release_id INTEGER NOT NULL REFERENCES client_releases(id) ON DELETE CASCADE,
+                    kind TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    downloads INTEGER NOT NULL DEFAULT 0,
+                    last_download_at TEXT NULL,
+                    PRIMARY KEY (release_id, kind, name)
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS client_release_downloads (
+                release_id INT NOT NULL,
+                kind VARCHAR(8) NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                downloads BIGINT NOT NULL DEFAULT 0,
+                last_download_at DATETIME NULL,
+                PRIMARY KEY (release_id, kind, name),
+                FOREIGN KEY (release_id) REFERENCES client_releases(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS client_release_downloads');
+    }
+};
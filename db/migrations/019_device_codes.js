@@ -0,0 +1,53 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Device login: a game client asks for a code pair, the player approves the
+// short user code on the portal and the client exchanges its device code
+// (only the SHA-256 is stored) for a game session.
+// status: pending, approved, denied or consumed
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS device_codes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    device_code_hash TEXT UNIQUE NOT NULL,
+                    user_code TEXT UNIQUE NOT NULL,
+                    client_name TEXT NULL,
+                    user_agent TEXT NULL,
+                    ip TEXT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    user_id INTEGER NULL REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    expires_at TEXT NOT NULL,
+                    last_polled_at TEXT NULL,
+                    approved_at TEXT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_device_codes_expires ON device_codes (expires_at)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS device_codes (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                device_code_hash CHAR(64) UNIQUE NOT NULL,
+                user_code CHAR(8) UNIQUE NOT NULL,
+                client_name VARCHAR(64) NULL,
+                user_agent VARCHAR(255) NULL,
+                ip VARCHAR(45) NULL,
+                status VARCHAR(16) NOT NULL DEFAULT 'pending',
+                user_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                last_polled_at DATETIME NULL,
+                approved_at DATETIME NULL,
+                INDEX idx_device_codes_expires (expires_at),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS device_codes');
+    }
+};
@@ -0,0 +1,49 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// Personal access tokens for community tools. Only the SHA-256 of a token is
+// stored; token_prefix is kept so players can tell their tokens apart.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS personal_access_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    name TEXT NOT NULL,
+                    token_hash TEXT UNIQUE NOT NULL,
+                    token_prefix TEXT NOT NULL,
+                    scopes TEXT NOT NULL,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    expires_at TEXT NOT NULL,
+                    last_used_at TEXT NULL,
+                    last_used_ip TEXT NULL,
+                    revoked_at TEXT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON personal_access_tokens (user_id)');
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS personal_access_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                name VARCHAR(64) NOT NULL,
+                token_hash CHAR(64) UNIQUE NOT NULL,
+                token_prefix VARCHAR(16) NOT NULL,
+                scopes VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                last_used_at DATETIME NULL,
+                last_used_ip VARCHAR(45) NULL,
+                revoked_at DATETIME NULL,
+                INDEX idx_personal_access_tokens_user (user_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS personal_access_tokens');
+    }
+};
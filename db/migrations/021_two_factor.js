@@ -0,0 +1,56 @@
+const { SQLITE_NOW } = require('../migrator');
+
+// TOTP two-factor authentication. A row without enabled_at is an enrollment
+// waiting for its confirmation code. The secret is encrypted (see
+// twofactor/index.js); recovery codes are stored as SHA-256 hashes.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS user_two_factor (
+                    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                    secret TEXT NOT NULL,
+                    last_used_step INTEGER NOT NULL DEFAULT 0,
+                    created_at TEXT DEFAULT ${SQLITE_NOW},
+                    enabled_at TEXT NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    code_hash TEXT NOT NULL,
+                    used_at TEXT NULL,
+                    UNIQUE (user_id, code_hash)
+                )
+            `);
+            return;
+        }
+        
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_two_factor (
+                user_id INT PRIMARY KEY,
+                secret VARCHAR(255) NOT NULL,
+                last_used_step BIGINT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                enabled_at DATETIME NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                code_hash CHAR(64) NOT NULL,
+                used_at DATETIME NULL,
+                UNIQUE KEY uniq_recovery_code (user_id, code_hash),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+    
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS two_factor_recovery_codes');
+        await db.run('DROP TABLE IF EXISTS user_two_factor');
+    }
+};
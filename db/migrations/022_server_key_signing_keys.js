@@ -0,0 +1,27 @@
+const { columnExists } = require('../migrator');
+
+// Servers sign with sha256(secret), so that digest is a credential rather than
+// a lookup hash: key_hash becomes signing_key and holds it encrypted (existing
+// rows are sealed at startup, see sealServerSigningKeys in server.js)
+module.exports = {
+    async up(db) {
+        if (await columnExists(db, 'server_keys', 'signing_key')) {
+            return;
+        }
+        
+        if (db.dialect === 'sqlite') {
+            await db.run('ALTER TABLE server_keys RENAME COLUMN key_hash TO signing_key');
+        } else {
+            await db.run('ALTER TABLE server_keys CHANGE key_hash signing_key VARCHAR(255) NOT NULL');
+        }
+    },
+    
+    // Sealed keys don't work as plain digests: reissue them after rolling back
+    async down(db) {
+        if (db.dialect === 'sqlite') {
+            await db.run('ALTER TABLE server_keys RENAME COLUMN signing_key TO key_hash');
+        } else {
+            await db.run('ALTER TABLE server_keys CHANGE signing_key key_hash VARCHAR(255) NOT NULL');
+        }
+    }
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js and export async up(db) / down(db).
+// `db` is a driver handle (see db/drivers); check db.dialect for engine-specific DDL.
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .map(file => {
+            const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            
+            return { version: parseInt(version, 10), name, file, ...migration };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )${db.dialect === 'mysql' ? ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4' : ''}
+    `);
+}
+
+async function getAppliedVersions(db) {
+    await ensureMigrationsTable(db);
+    const rows = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+}
+
+// Migrations not yet recorded in schema_migrations, in apply order
+async function getPendingMigrations(db) {
+    const applied = new Set(await getAppliedVersions(db));
+    return loadMigrations().filter(m => !applied.has(m.version));
+}
+
+// Run one migration step inside a transaction.
+// Note: MySQL commits DDL implicitly, so migrations should be idempotent
+// (IF NOT EXISTS / column checks) in case a step fails half way.
+async function runStep(db, migration, direction) {
+    try {
+        await db.transaction(async (tx) => {
+            await migration[direction](tx);
+            
+            if (direction === 'up') {
+                await tx.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            } else {
+                await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            }
+        });
+    } catch (error) {
+        throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+    }
+}
+
+// Apply all pending migrations. With dryRun, only report what would run.
+async function migrate(db, { dryRun = false } = {}) {
+    const pending = await getPendingMigrations(db);
+    
+    for (const migration of pending) {
+        if (dryRun) {
+            console.log(`[dry-run] would apply ${migration.file}`);
+            continue;
+        }
+        await runStep(db, migration, 'up');
+        console.log(`Applied migration ${migration.file}`);
+    }
+    
+    return pending;
+}
+
+// Roll back the last `steps` applied migrations, newest first
+async function rollback(db, { steps = 1, dryRun = false } = {}) {
+    const applied = await getAppliedVersions(db);
+    const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+    const targets = applied.slice(-steps).reverse();
+    const rolledBack = [];
+    
+    for (const version of targets) {
+        const migration = byVersion.get(version);
+        if (!migration) {
+            throw new Error(`Migration file for applied version ${version} is missing`);
+        }
+        if (dryRun) {
+            console.log(`[dry-run] would roll back ${migration.file}`);
+        } else {
+            await runStep(db, migration, 'down');
+            console.log(`Rolled back migration ${migration.file}`);
+        }
+        rolledBack.push(migration);
+    }
+    
+    return rolledBack;
+}
+
+// Helpers for migrations
+
+async function columnExists(db, table, column) {
+    if (db.dialect === 'sqlite') {
+        const columns = await db.query(`PRAGMA table_info(${table})`);
+        return columns.some(c => c.name === column);
+    }
+    
+    const rows = await db.query(
+        'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+// SQLite column default matching how the driver binds Date values
+const SQLITE_NOW = `(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+
+module.exports = {
+    loadMigrations,
+    getAppliedVersions,
+    getPendingMigrations,
+    migrate,
+    rollback,
+    columnExists,
+    SQLITE_NOW
+};
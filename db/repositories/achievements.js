@@ -0,0 +1,76 @@
+const { toDate } = require('./helpers');
+
+function mapAchievement(row) {
+    if (!row) return null;
+    return {
+        achievementId: row.achievement_id,
+        progress: Number(row.progress),
+        unlockedAt: toDate(row.unlocked_at),
+        updatedAt: toDate(row.updated_at)
+    };
+}
+
+const ACHIEVEMENT_COLUMNS = 'achievement_id, progress, unlocked_at, updated_at';
+
+// Achievement progress and unlocks per user (user_achievements). The
+// definitions themselves are in achievements/index.js.
+function createAchievementRepository(db) {
+    const sqlite = db.dialect === 'sqlite';
+    const insertIgnore = sqlite ? 'INSERT OR IGNORE' : 'INSERT IGNORE';
+    
+    return {
+        async listForUser(userId) {
+            const rows = await db.query(`SELECT ${ACHIEVEMENT_COLUMNS} FROM user_achievements WHERE user_id = ?`, [userId]);
+            return rows.map(mapAchievement);
+        },
+        
+        // Add to the progress of an achievement, capped at goal; it unlocks
+        // once progress reaches goal. Returns { progress, unlockedAt, unlocked }
+        // where unlocked is true only for the call that unlocked it.
+        async addProgress(userId, achievementId, amount, goal) {
+            const now = new Date();
+            return db.transaction(async (tx) => {
+                await tx.run(
+                    `${insertIgnore} INTO user_achievements (user_id, achievement_id, progress, updated_at) VALUES (?, ?, 0, ?)`,
+                    [userId, achievementId, now]
+                );
+                await tx.run(
+                    `UPDATE user_achievements SET progress = CASE WHEN progress + ? > ? THEN ? ELSE progress + ? END, updated_at = ?
+                     WHERE user_id = ? AND achievement_id = ? AND unlocked_at IS NULL`,
+                    [amount, goal, goal, amount, now, userId, achievementId]
+                );
+                const unlock = await tx.run(
+                    `UPDATE user_achievements SET unlocked_at = ?
+                     WHERE user_id = ? AND achievement_id = ? AND unlocked_at IS NULL AND progress >= ?`,
+                    [now, userId, achievementId, goal]
+                );
+                
+                const rows = await tx.query(
+                    `SELECT ${ACHIEVEMENT_COLUMNS} FROM user_achievements WHERE user_id = ? AND achievement_id = ?`,
+                    [userId, achievementId]
+                );
+                const record = mapAchievement(rows[0]);
+                return { progress: record.progress, unlockedAt: record.unlockedAt, unlocked: unlock.affectedRows > 0 };
+            });
+        },
+        
+        // Unlock outright; returns true if it wasn't unlocked before
+        async unlock(userId, achievementId, goal) {
+            const now = new Date();
+            return db.transaction(async (tx) => {
+                await tx.run(
+                    `${insertIgnore} INTO user_achievements (user_id, achievement_id, progress, updated_at) VALUES (?, ?, 0, ?)`,
+                    [userId, achievementId, now]
+                );
+                const result = await tx.run(
+                    `UPDATE user_achievements SET progress = ?, unlocked_at = ?, updated_at = ?
+                     WHERE user_id = ? AND achievement_id = ? AND unlocked_at IS NULL`,
+                    [goal, now, now, userId, achievementId]
+                );
+                return result.affectedRows > 0;
+            });
+        }
+    };
+}
+
+module.exports = { createAchievementRepository };
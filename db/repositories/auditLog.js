@@ -0,0 +1,46 @@
+const { toDate, limitClause } = require('./helpers');
+
+function mapAuditEntry(row) {
+    return {
+        id: row.id,
+        action: row.action,
+        actorId: row.actor_id,
+        actor: row.actor_name || null,
+        targetUserId: row.target_user_id,
+        target: row.target_name || null,
+        details: row.details ? JSON.parse(row.details) : null,
+        createdAt: toDate(row.created_at)
+    };
+}
+
+// Moderation audit log (who did what to which account)
+function createAuditLogRepository(db) {
+    return {
+        async record({ actorId, action, targetUserId, details }) {
+            await db.run(
+                'INSERT INTO audit_log (actor_id, action, target_user_id, details, created_at) VALUES (?, ?, ?, ?, ?)',
+                [actorId, action, targetUserId, details ? JSON.stringify(details) : null, new Date()]
+            );
+        },
+        
+        // Newest first, optionally only entries about one account
+        async list({ targetUserId, limit = 50, offset = 0 } = {}) {
+            const where = targetUserId ? 'WHERE a.target_user_id = ?' : '';
+            const params = targetUserId ? [targetUserId] : [];
+            
+            const rows = await db.query(
+                `SELECT a.*, actor.username AS actor_name, target.username AS target_name
+                 FROM audit_log a
+                 LEFT JOIN users actor ON actor.id = a.actor_id
+                 LEFT JOIN users target ON target.id = a.target_user_id
+                 ${where}
+                 ORDER BY a.id DESC
+                 ${limitClause(limit, offset)}`,
+                params
+            );
+            return rows.map(mapAuditEntry);
+        }
+    };
+}
+
+module.exports = { createAuditLogRepository };
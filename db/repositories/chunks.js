@@ -0,0 +1,102 @@
+const { toDate } = require('./helpers');
+
+function mapChunk(row) {
+    if (!row) return null;
+    return {
+        x: row.cx,
+        y: row.cy,
+        z: row.cz,
+        revision: row.revision,
+        size: row.size,
+        updatedBy: row.updated_by,
+        updatedAt: toDate(row.updated_at)
+    };
+}
+
+const CHUNK_COLUMNS = 'cx, cy, cz, revision, size, updated_by, updated_at';
+const CHUNK_KEY = 'place_id = ? AND cx = ? AND cy = ? AND cz = ?';
+
+// World chunk index (world_chunks); chunk bytes go through a store, see world/stores.js
+function createChunkRepository(db) {
+    const sqlite = db.dialect === 'sqlite';
+    const upsert = sqlite
+        ? `INSERT INTO world_chunks (place_id, cx, cy, cz, revision, size, updated_by, updated_at) VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+           ON CONFLICT(place_id, cx, cy, cz) DO UPDATE SET revision = world_chunks.revision + 1, size = excluded.size, updated_by = excluded.updated_by, updated_at = excluded.updated_at`
+        : `INSERT INTO world_chunks (place_id, cx, cy, cz, revision, size, updated_by, updated_at) VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE revision = revision + 1, size = VALUES(size), updated_by = VALUES(updated_by), updated_at = VALUES(updated_at)`;
+    
+    const key = (placeId, { x, y, z }) => [placeId, x, y, z];
+    
+    return {
+        async get(placeId, coords) {
+            const rows = await db.query(`SELECT ${CHUNK_COLUMNS} FROM world_chunks WHERE ${CHUNK_KEY}`, key(placeId, coords));
+            return mapChunk(rows[0]);
+        },
+        
+        // Every chunk with from <= coords <= to
+        async listRegion(placeId, from, to) {
+            const rows = await db.query(
+                `SELECT ${CHUNK_COLUMNS} FROM world_chunks
+                 WHERE place_id = ? AND cx BETWEEN ? AND ? AND cy BETWEEN ? AND ? AND cz BETWEEN ? AND ?
+                 ORDER BY cy, cz, cx`,
+                [placeId, from.x, to.x, from.y, to.y, from.z, to.z]
+            );
+            return rows.map(mapChunk);
+        },
+        
+        async list(placeId) {
+            const rows = await db.query(
+                `SELECT ${CHUNK_COLUMNS} FROM world_chunks WHERE place_id = ? ORDER BY cy, cz, cx`,
+                [placeId]
+            );
+            return rows.map(mapChunk);
+        },
+        
+        // Take the next revision of a chunk. expectedRevision 0 means the chunk
+        // must not exist yet, null skips the check. Returns the new revision,
+        // or null if the stored revision didn't match.
+        async claimRevision(placeId, coords, { expectedRevision, size, updatedBy }) {
+            const now = new Date();
+            
+            if (expectedRevision === 0) {
+                const result = await db.run(
+                    `${sqlite ? 'INSERT OR IGNORE' : 'INSERT IGNORE'} INTO world_chunks (place_id, cx, cy, cz, revision, size, updated_by, updated_at)
+                     VALUES (?, ?, ?, ?, 1, ?, ?, ?)`,
+                    [...key(placeId, coords), size, updatedBy, now]
+                );
+                return result.affectedRows > 0 ? 1 : null;
+            }
+            
+            if (expectedRevision !== null) {
+                const result = await db.run(
+                    `UPDATE world_chunks SET revision = revision + 1, size = ?, updated_by = ?, updated_at = ?
+                     WHERE ${CHUNK_KEY} AND revision = ?`,
+                    [size, updatedBy, now, ...key(placeId, coords), expectedRevision]
+                );
+                return result.affectedRows > 0 ? expectedRevision + 1 : null;
+            }
+            
+            return db.transaction(async (tx) => {
+                await tx.run(upsert, [...key(placeId, coords), size, updatedBy, now]);
+                const rows = await tx.query(`SELECT revision FROM world_chunks WHERE ${CHUNK_KEY}`, key(placeId, coords));
+                return rows[0].revision;
+            });
+        },
+        
+        async getData(placeId, coords) {
+            const rows = await db.query(`SELECT data FROM world_chunks WHERE ${CHUNK_KEY}`, key(placeId, coords));
+            return rows[0]?.data ? Buffer.from(rows[0].data) : null;
+        },
+        
+        async setData(placeId, coords, data) {
+            await db.run(`UPDATE world_chunks SET data = ? WHERE ${CHUNK_KEY}`, [data, ...key(placeId, coords)]);
+        },
+        
+        async delete(placeId, coords) {
+            const result = await db.run(`DELETE FROM world_chunks WHERE ${CHUNK_KEY}`, key(placeId, coords));
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createChunkRepository };
@@ -0,0 +1,94 @@
+const { toDate } = require('./helpers');
+
+function mapDeviceCode(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        userCode: row.user_code,
+        clientName: row.client_name || null,
+        userAgent: row.user_agent || null,
+        ip: row.ip || null,
+        status: row.status,
+        userId: row.user_id || null,
+        createdAt: toDate(row.created_at),
+        expiresAt: toDate(row.expires_at),
+        lastPolledAt: toDate(row.last_polled_at),
+        approvedAt: toDate(row.approved_at)
+    };
+}
+
+const DEVICE_CODE_COLUMNS = 'id, user_code, client_name, user_agent, ip, status, user_id, created_at, expires_at, last_polled_at, approved_at';
+
+// Pending device logins (device_codes). The client holds the device code,
+// looked up by its SHA-256; the player types the user code on the portal.
+// Status changes only go forward: pending -> approved/denied -> consumed.
+function createDeviceCodeRepository(db) {
+    async function setStatus(id, from, to, extra = {}) {
+        const sets = ['status = ?'];
+        const params = [to];
+        for (const [column, value] of Object.entries(extra)) {
+            sets.push(`${column} = ?`);
+            params.push(value);
+        }
+        const result = await db.run(
+            `UPDATE device_codes SET ${sets.join(', ')} WHERE id = ? AND status = ? AND expires_at > ?`,
+            [...params, id, from, new Date()]
+        );
+        return result.affectedRows > 0;
+    }
+    
+    return {
+        // Returns false if the user code is taken by another pending login
+        async create({ deviceCodeHash, userCode, clientName, userAgent, ip, expiresAt }) {
+            const now = new Date();
+            await db.run('DELETE FROM device_codes WHERE expires_at <= ?', [now]);
+            
+            const existing = await db.query('SELECT id FROM device_codes WHERE user_code = ?', [userCode]);
+            if (existing.length > 0) return false;
+            
+            await db.run(
+                `INSERT INTO device_codes (device_code_hash, user_code, client_name, user_agent, ip, status, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+                [deviceCodeHash, userCode, clientName, userAgent, ip, now, expiresAt]
+            );
+            return true;
+        },
+        
+        // Not expired, whatever its status
+        async findByUserCode(userCode) {
+            const rows = await db.query(
+                `SELECT ${DEVICE_CODE_COLUMNS} FROM device_codes WHERE user_code = ? AND expires_at > ?`,
+                [userCode, new Date()]
+            );
+            return mapDeviceCode(rows[0]);
+        },
+        
+        // Expired codes are returned too so the client can be told so
+        async findByDeviceCode(deviceCodeHash) {
+            const rows = await db.query(
+                `SELECT ${DEVICE_CODE_COLUMNS} FROM device_codes WHERE device_code_hash = ?`,
+                [deviceCodeHash]
+            );
+            return mapDeviceCode(rows[0]);
+        },
+        
+        async recordPoll(id) {
+            await db.run('UPDATE device_codes SET last_polled_at = ? WHERE id = ?', [new Date(), id]);
+        },
+        
+        // Each returns false if the code is no longer pending (or approved, for consume)
+        async approve(id, userId) {
+            return setStatus(id, 'pending', 'approved', { user_id: userId, approved_at: new Date() });
+        },
+        
+        async deny(id, userId) {
+            return setStatus(id, 'pending', 'denied', { user_id: userId });
+        },
+        
+        async consume(id) {
+            return setStatus(id, 'approved', 'consumed');
+        }
+    };
+}
+
+module.exports = { createDeviceCodeRepository };
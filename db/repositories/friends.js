@@ -0,0 +1,189 @@
+const { toDate } = require('./helpers');
+
+function mapFriend(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        face: row.face || 'default.png',
+        since: toDate(row.created_at)
+    };
+}
+
+// Friend requests, friendships and blocks. A friendship is stored as two rows
+// (a -> b and b -> a) so listing a user's friends is a single lookup.
+function createFriendRepository(db) {
+    const insertIgnore = db.dialect === 'sqlite' ? 'INSERT OR IGNORE' : 'INSERT IGNORE';
+    
+    return {
+        async listFriends(userId) {
+            const rows = await db.query(
+                `SELECT u.id, u.username, u.face, f.created_at
+                 FROM friendships f JOIN users u ON u.id = f.friend_id
+                 WHERE f.user_id = ? ORDER BY u.username`,
+                [userId]
+            );
+            return rows.map(mapFriend);
+        },
+        
+        async countFriends(userId) {
+            const rows = await db.query('SELECT COUNT(*) AS count FROM friendships WHERE user_id = ?', [userId]);
+            return Number(rows[0].count);
+        },
+        
+        async areFriends(userId, otherId) {
+            const rows = await db.query(
+                'SELECT 1 AS found FROM friendships WHERE user_id = ? AND friend_id = ?',
+                [userId, otherId]
+            );
+            return rows.length > 0;
+        },
+        
+        // Requests sent to the user
+        async listIncoming(userId) {
+            const rows = await db.query(
+                `SELECT u.id, u.username, u.face, r.created_at
+                 FROM friend_requests r JOIN users u ON u.id = r.from_user_id
+                 WHERE r.to_user_id = ? ORDER BY r.created_at DESC`,
+                [userId]
+            );
+            return rows.map(mapFriend);
+        },
+        
+        // Requests the user sent
+        async listOutgoing(userId) {
+            const rows = await db.query(
+                `SELECT u.id, u.username, u.face, r.created_at
+                 FROM friend_requests r JOIN users u ON u.id = r.to_user_id
+                 WHERE r.from_user_id = ? ORDER BY r.created_at DESC`,
+                [userId]
+            );
+            return rows.map(mapFriend);
+        },
+        
+        async countOutgoing(userId) {
+            const rows = await db.query('SELECT COUNT(*) AS count FROM friend_requests WHERE from_user_id = ?', [userId]);
+            return Number(rows[0].count);
+        },
+        
+        async hasRequest(fromId, toId) {
+            const rows = await db.query(
+                'SELECT 1 AS found FROM friend_requests WHERE from_user_id = ? AND to_user_id = ?',
+                [fromId, toId]
+            );
+            return rows.length > 0;
+        },
+        
+        async createRequest(fromId, toId) {
+            await db.run(
+                `${insertIgnore} INTO friend_requests (from_user_id, to_user_id, created_at) VALUES (?, ?, ?)`,
+                [fromId, toId, new Date()]
+            );
+        },
+        
+        // Decline or cancel; returns false if there was no such request
+        async deleteRequest(fromId, toId) {
+            const result = await db.run(
+                'DELETE FROM friend_requests WHERE from_user_id = ? AND to_user_id = ?',
+                [fromId, toId]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        // Turn the request fromId -> toId into a friendship unless either list
+        // already has maxFriends entries (counted inside the transaction).
+        // Returns { accepted: true }, { notFound: true } or { full: userId }.
+        async acceptRequest(fromId, toId, { maxFriends }) {
+            return db.transaction(async (tx) => {
+                const pending = await tx.query(
+                    'SELECT 1 AS found FROM friend_requests WHERE from_user_id = ? AND to_user_id = ?',
+                    [fromId, toId]
+                );
+                if (pending.length === 0) {
+                    return { notFound: true };
+                }
+                
+                for (const userId of [toId, fromId]) {
+                    const rows = await tx.query('SELECT COUNT(*) AS count FROM friendships WHERE user_id = ?', [userId]);
+                    if (Number(rows[0].count) >= maxFriends) {
+                        return { full: userId };
+                    }
+                }
+                
+                const result = await tx.run(
+                    'DELETE FROM friend_requests WHERE from_user_id = ? AND to_user_id = ?',
+                    [fromId, toId]
+                );
+                if (result.affectedRows === 0) {
+                    return { notFound: true };
+                }
+                
+                const now = new Date();
+                await tx.run(
+                    'DELETE FROM friend_requests WHERE from_user_id = ? AND to_user_id = ?',
+                    [toId, fromId]
+                );
+                await tx.run(
+                    `${insertIgnore} INTO friendships (user_id, friend_id, created_at) VALUES (?, ?, ?), (?, ?, ?)`,
+                    [fromId, toId, now, toId, fromId, now]
+                );
+                return { accepted: true };
+            });
+        },
+        
+        async removeFriend(userId, friendId) {
+            const result = await db.run(
+                'DELETE FROM friendships WHERE (user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)',
+                [userId, friendId, friendId, userId]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        // Blocking also ends the friendship and drops pending requests both ways
+        async block(userId, blockedId) {
+            await db.transaction(async (tx) => {
+                await tx.run(
+                    `${insertIgnore} INTO user_blocks (user_id, blocked_user_id, created_at) VALUES (?, ?, ?)`,
+                    [userId, blockedId, new Date()]
+                );
+                await tx.run(
+                    'DELETE FROM friendships WHERE (user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)',
+                    [userId, blockedId, blockedId, userId]
+                );
+                await tx.run(
+                    'DELETE FROM friend_requests WHERE (from_user_id = ? AND to_user_id = ?) OR (from_user_id = ? AND to_user_id = ?)',
+                    [userId, blockedId, blockedId, userId]
+                );
+            });
+        },
+        
+        async unblock(userId, blockedId) {
+            const result = await db.run(
+                'DELETE FROM user_blocks WHERE user_id = ? AND blocked_user_id = ?',
+                [userId, blockedId]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        async listBlocked(userId) {
+            const rows = await db.query(
+                `SELECT u.id, u.username, u.face, b.created_at
+                 FROM user_blocks b JOIN users u ON u.id = b.blocked_user_id
+                 WHERE b.user_id = ? ORDER BY u.username`,
+                [userId]
+            );
+            return rows.map(mapFriend);
+        },
+        
+        // True if either user blocked the other
+        async isBlockedEitherWay(userId, otherId) {
+            const rows = await db.query(
+                `SELECT 1 AS found FROM user_blocks
+                 WHERE (user_id = ? AND blocked_user_id = ?) OR (user_id = ? AND blocked_user_id = ?)`,
+                [userId, otherId, otherId, userId]
+            );
+            return rows.length > 0;
+        }
+    };
+}
+
+module.exports = { createFriendRepository };
@@ -0,0 +1,15 @@
+// MySQL returns Date objects, SQLite returns ISO strings
+function toDate(value) {
+    if (value === null || value === undefined) return null;
+    return value instanceof Date ? value : new Date(value);
+}
+
+// LIMIT/OFFSET as literals: mysql2 prepared statements reject numeric
+// placeholders there on MySQL 8.0.22+
+function limitClause(limit, offset = 0) {
+    const safeLimit = Math.max(1, parseInt(limit, 10) || 1);
+    const safeOffset = Math.max(0, parseInt(offset, 10) || 0);
+    return `LIMIT ${safeLimit} OFFSET ${safeOffset}`;
+}
+
+module.exports = { toDate, limitClause };
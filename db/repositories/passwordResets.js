@@ -0,0 +1,60 @@
+const { toDate } = require('./helpers');
+
+function mapPasswordReset(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        createdAt: toDate(row.created_at),
+        expiresAt: toDate(row.expires_at),
+        usedAt: toDate(row.used_at)
+    };
+}
+
+// Password reset tokens, looked up by the SHA-256 of the token
+function createPasswordResetRepository(db) {
+    return {
+        async create({ userId, tokenHash, expiresAt }) {
+            await db.run(
+                'INSERT INTO password_resets (user_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)',
+                [userId, tokenHash, new Date(), expiresAt]
+            );
+        },
+        
+        // Unused and not expired
+        async findValid(tokenHash) {
+            const rows = await db.query(
+                'SELECT * FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+                [tokenHash, new Date()]
+            );
+            return mapPasswordReset(rows[0]);
+        },
+        
+        // Returns false if the token was used in the meantime
+        async markUsed(id) {
+            const result = await db.run(
+                'UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL',
+                [new Date(), id]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        // Invalidate every outstanding token, e.g. after the password changed
+        async invalidateForUser(userId) {
+            await db.run(
+                'UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+                [new Date(), userId]
+            );
+        },
+        
+        async lastRequestedAt(userId) {
+            const rows = await db.query(
+                'SELECT MAX(created_at) AS last FROM password_resets WHERE user_id = ?',
+                [userId]
+            );
+            return toDate(rows[0].last);
+        }
+    };
+}
+
+module.exports = { createPasswordResetRepository };
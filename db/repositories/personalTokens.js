@@ -0,0 +1,88 @@
+const { toDate } = require('./helpers');
+
+function mapPersonalToken(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        prefix: row.token_prefix,
+        scopes: row.scopes.split(','),
+        createdAt: toDate(row.created_at),
+        expiresAt: toDate(row.expires_at),
+        lastUsedAt: toDate(row.last_used_at),
+        lastUsedIp: row.last_used_ip || null,
+        revokedAt: toDate(row.revoked_at)
+    };
+}
+
+const TOKEN_COLUMNS = 'id, user_id, name, token_prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at';
+
+// Personal access tokens (personal_access_tokens), looked up by the SHA-256
+// of the token. Revoked tokens are kept so they can't be confused with
+// unknown ones in logs, but are never listed.
+function createPersonalTokenRepository(db) {
+    return {
+        // Not revoked, expired ones included (shown as expired), newest first
+        async listForUser(userId) {
+            const rows = await db.query(
+                `SELECT ${TOKEN_COLUMNS} FROM personal_access_tokens
+                 WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+            return rows.map(mapPersonalToken);
+        },
+        
+        async countActive(userId) {
+            const rows = await db.query(
+                'SELECT COUNT(*) AS count FROM personal_access_tokens WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?',
+                [userId, new Date()]
+            );
+            return Number(rows[0].count);
+        },
+        
+        // Neither revoked nor expired, or null
+        async findActiveByHash(tokenHash) {
+            const rows = await db.query(
+                `SELECT ${TOKEN_COLUMNS} FROM personal_access_tokens
+                 WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?`,
+                [tokenHash, new Date()]
+            );
+            return mapPersonalToken(rows[0]);
+        },
+        
+        // Returns the token id
+        async create({ userId, name, tokenHash, prefix, scopes, expiresAt }) {
+            const result = await db.run(
+                `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [userId, name, tokenHash, prefix, scopes.join(','), new Date(), expiresAt]
+            );
+            return result.insertId;
+        },
+        
+        async touch(id, ip) {
+            await db.run('UPDATE personal_access_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?', [new Date(), ip, id]);
+        },
+        
+        // Returns false if the token isn't the user's or is already revoked
+        async revoke(id, userId) {
+            const result = await db.run(
+                'UPDATE personal_access_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [new Date(), id, userId]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        // e.g. after a password reset; returns the count
+        async revokeAllForUser(userId) {
+            const result = await db.run(
+                'UPDATE personal_access_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+                [new Date(), userId]
+            );
+            return result.affectedRows;
+        }
+    };
+}
+
+module.exports = { createPersonalTokenRepository };
@@ -0,0 +1,94 @@
+const { toDate, limitClause } = require('./helpers');
+
+function mapPlace(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        ownerId: row.owner_id,
+        owner: row.owner_name || null,
+        description: row.description || '',
+        spawn: { x: row.spawn_x, y: row.spawn_y, z: row.spawn_z },
+        visibility: row.visibility,
+        maxPlayers: row.max_players,
+        createdAt: toDate(row.created_at),
+        updatedAt: toDate(row.updated_at)
+    };
+}
+
+const PLACE_SELECT = 'SELECT p.*, u.username AS owner_name FROM places p LEFT JOIN users u ON u.id = p.owner_id';
+
+// Column for each updatable field
+const PLACE_FIELDS = {
+    name: 'name',
+    description: 'description',
+    visibility: 'visibility',
+    maxPlayers: 'max_players'
+};
+
+// Places catalog (what a place is; saved positions live in the player repository)
+function createPlaceRepository(db) {
+    return {
+        async findById(id) {
+            const rows = await db.query(`${PLACE_SELECT} WHERE p.id = ?`, [id]);
+            return mapPlace(rows[0]);
+        },
+        
+        // Public places plus the ones owned by userId (unlisted and private included)
+        async list({ userId = null, ownedOnly = false, limit = 50, offset = 0 } = {}) {
+            const where = ownedOnly
+                ? 'WHERE p.owner_id = ?'
+                : `WHERE p.visibility = 'public' OR p.owner_id = ?`;
+            
+            const rows = await db.query(
+                `${PLACE_SELECT} ${where} ORDER BY p.id ${limitClause(limit, offset)}`,
+                [userId]
+            );
+            return rows.map(mapPlace);
+        },
+        
+        async countByOwner(ownerId) {
+            const rows = await db.query('SELECT COUNT(*) AS count FROM places WHERE owner_id = ?', [ownerId]);
+            return Number(rows[0].count);
+        },
+        
+        async create({ name, ownerId, description, spawn, visibility, maxPlayers }) {
+            const now = new Date();
+            const result = await db.run(
+                `INSERT INTO places (name, owner_id, description, spawn_x, spawn_y, spawn_z, visibility, max_players, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [name, ownerId, description || null, spawn.x, spawn.y, spawn.z, visibility, maxPlayers, now, now]
+            );
+            return result.insertId;
+        },
+        
+        // Only the given fields change (see PLACE_FIELDS, plus spawn {x, y, z})
+        async update(id, fields) {
+            const sets = [];
+            const params = [];
+            
+            for (const [field, column] of Object.entries(PLACE_FIELDS)) {
+                if (fields[field] !== undefined) {
+                    sets.push(`${column} = ?`);
+                    params.push(fields[field]);
+                }
+            }
+            if (fields.spawn) {
+                sets.push('spawn_x = ?', 'spawn_y = ?', 'spawn_z = ?');
+                params.push(fields.spawn.x, fields.spawn.y, fields.spawn.z);
+            }
+            
+            sets.push('updated_at = ?');
+            params.push(new Date(), id);
+            
+            await db.run(`UPDATE places SET ${sets.join(', ')} WHERE id = ?`, params);
+        },
+        
+        async delete(id) {
+            const result = await db.run('DELETE FROM places WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createPlaceRepository };
@@ -0,0 +1,178 @@
+const { toDate, limitClause } = require('./helpers');
+const { addStats } = require('./stats');
+
+function mapPlaySession(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        placeId: row.place_id,
+        serverId: row.server_id,
+        startedAt: toDate(row.started_at),
+        lastSeenAt: toDate(row.last_seen_at),
+        endedAt: toDate(row.ended_at),
+        duration: row.duration,
+        endReason: row.end_reason
+    };
+}
+
+const SESSION_COLUMNS = 'id, user_id, place_id, server_id, started_at, last_seen_at, ended_at, duration, end_reason';
+
+// Play sessions (play_sessions). Open sessions have ended_at NULL; game
+// server heartbeats move last_seen_at forward, so a session whose server
+// disappeared can be closed at the last time it was known to be alive.
+function createPlaySessionRepository(db) {
+    // Close open sessions; endAt(session) picks the end time. Each closed
+    // session's duration is added to the player's play_time, and to the
+    // play_time stat on the day it ended (leaderboards).
+    async function closeSessions(tx, rows, reason, endAt) {
+        let closed = 0;
+        for (const session of rows.map(mapPlaySession)) {
+            const endedAt = endAt(session);
+            const duration = Math.max(0, Math.round((endedAt - session.startedAt) / 1000));
+            
+            const result = await tx.run(
+                'UPDATE play_sessions SET ended_at = ?, duration = ?, end_reason = ? WHERE id = ? AND ended_at IS NULL',
+                [endedAt, duration, reason, session.id]
+            );
+            if (result.affectedRows > 0) {
+                await tx.run('UPDATE player_data SET play_time = play_time + ? WHERE user_id = ?', [duration, session.userId]);
+                await addStats(tx, db.dialect, session.userId, { play_time: duration }, endedAt);
+                closed++;
+            }
+        }
+        return closed;
+    }
+    
+    const now = () => new Date();
+    const lastSeen = (session) => session.lastSeenAt;
+    
+    return {
+        async findOpen(id) {
+            const rows = await db.query(`SELECT ${SESSION_COLUMNS} FROM play_sessions WHERE id = ? AND ended_at IS NULL`, [id]);
+            return mapPlaySession(rows[0]);
+        },
+        
+        async findOpenByUser(userId) {
+            const rows = await db.query(
+                `SELECT ${SESSION_COLUMNS} FROM play_sessions WHERE user_id = ? AND ended_at IS NULL ORDER BY started_at DESC`,
+                [userId]
+            );
+            return mapPlaySession(rows[0]);
+        },
+        
+        // Open a session. A player is in one place at a time, so any session
+        // still open for them is closed first. Returns { id, replaced }.
+        async open({ userId, placeId, serverId }) {
+            return db.transaction(async (tx) => {
+                const open = await tx.query(`SELECT ${SESSION_COLUMNS} FROM play_sessions WHERE user_id = ? AND ended_at IS NULL`, [userId]);
+                const replaced = await closeSessions(tx, open, 'replaced', now);
+                
+                const startedAt = now();
+                const result = await tx.run(
+                    'INSERT INTO play_sessions (user_id, place_id, server_id, started_at, last_seen_at) VALUES (?, ?, ?, ?, ?)',
+                    [userId, placeId, serverId, startedAt, startedAt]
+                );
+                return { id: result.insertId, replaced };
+            });
+        },
+        
+        // Close one session now; returns its duration in seconds, or null if it wasn't open
+        async close(id, reason) {
+            return db.transaction(async (tx) => {
+                const rows = await tx.query(`SELECT ${SESSION_COLUMNS} FROM play_sessions WHERE id = ? AND ended_at IS NULL`, [id]);
+                if (rows.length === 0) return null;
+                
+                await closeSessions(tx, rows, reason, now);
+                const closed = await tx.query('SELECT duration FROM play_sessions WHERE id = ?', [id]);
+                return closed[0].duration;
+            });
+        },
+        
+        async closeForUser(userId, serverId, reason) {
+            return db.transaction(async (tx) => {
+                const rows = await tx.query(
+                    `SELECT ${SESSION_COLUMNS} FROM play_sessions WHERE user_id = ? AND server_id = ? AND ended_at IS NULL`,
+                    [userId, serverId]
+                );
+                return closeSessions(tx, rows, reason, now);
+            });
+        },
+        
+        // Heartbeat: every open session on the server is still alive
+        async touchServer(serverId) {
+            await db.run('UPDATE play_sessions SET last_seen_at = ? WHERE server_id = ? AND ended_at IS NULL', [now(), serverId]);
+        },
+        
+        // Close every open session on a server. atLastSeen: end them at their
+        // last heartbeat instead of now (the server went away unannounced).
+        async closeServer(serverId, reason, { atLastSeen = false } = {}) {
+            return db.transaction(async (tx) => {
+                const rows = await tx.query(
+                    `SELECT ${SESSION_COLUMNS} FROM play_sessions WHERE server_id = ? AND ended_at IS NULL`,
+                    [serverId]
+                );
+                return closeSessions(tx, rows, reason, atLastSeen ? lastSeen : now);
+            });
+        },
+        
+        // Close sessions without a heartbeat since cutoff (servers that crashed,
+        // or sessions left over from before an API restart)
+        async closeStale(cutoff) {
+            return db.transaction(async (tx) => {
+                const rows = await tx.query(
+                    `SELECT ${SESSION_COLUMNS} FROM play_sessions WHERE ended_at IS NULL AND last_seen_at < ?`,
+                    [cutoff]
+                );
+                return closeSessions(tx, rows, 'timeout', lastSeen);
+            });
+        },
+        
+        // Total play time of a user in seconds and the split per place, most played first
+        async totalsForUser(userId) {
+            const totalRows = await db.query('SELECT play_time FROM player_data WHERE user_id = ?', [userId]);
+            const placeRows = await db.query(
+                `SELECT s.place_id, p.name, SUM(s.duration) AS seconds
+                 FROM play_sessions s LEFT JOIN places p ON p.id = s.place_id
+                 WHERE s.user_id = ? AND s.ended_at IS NOT NULL
+                 GROUP BY s.place_id, p.name
+                 ORDER BY seconds DESC`,
+                [userId]
+            );
+            return {
+                total: Number(totalRows[0]?.play_time || 0),
+                places: placeRows.map(row => ({ placeId: row.place_id, name: row.name, seconds: Number(row.seconds) }))
+            };
+        },
+        
+        // Most played places by closed session time
+        async topPlaces(limit) {
+            const rows = await db.query(
+                `SELECT s.place_id, p.name, SUM(s.duration) AS seconds, COUNT(DISTINCT s.user_id) AS players
+                 FROM play_sessions s JOIN places p ON p.id = s.place_id
+                 WHERE s.ended_at IS NOT NULL
+                 GROUP BY s.place_id, p.name
+                 ORDER BY seconds DESC
+                 ${limitClause(limit)}`
+            );
+            return rows.map(row => ({ placeId: row.place_id, name: row.name, seconds: Number(row.seconds), players: Number(row.players) }));
+        },
+        
+        // Totals for /api/stats: all-time play time, and players and play time since a date
+        async summary(since) {
+            const total = await db.query('SELECT COALESCE(SUM(play_time), 0) AS seconds FROM player_data');
+            const recent = await db.query(
+                `SELECT COUNT(DISTINCT user_id) AS players, COALESCE(SUM(CASE WHEN ended_at IS NOT NULL THEN duration ELSE 0 END), 0) AS seconds
+                 FROM play_sessions WHERE last_seen_at > ?`,
+                [since]
+            );
+            return {
+                totalSeconds: Number(total[0].seconds),
+                recentPlayers: Number(recent[0].players),
+                recentSeconds: Number(recent[0].seconds)
+            };
+        }
+    };
+}
+
+module.exports = { createPlaySessionRepository };
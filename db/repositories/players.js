@@ -0,0 +1,123 @@
+const { toDate } = require('./helpers');
+
+function mapPlayerData(row) {
+    if (!row) return null;
+    return {
+        userId: row.user_id,
+        placeId: row.place_id,
+        x: row.pos_x,
+        y: row.pos_y,
+        z: row.pos_z,
+        playTime: row.play_time,
+        lastSave: toDate(row.last_save)
+    };
+}
+
+// Saved player state: player_data holds the place a player was in last,
+// player_positions one saved position per (user, place) and player_states the
+// rest of the state document (see playerstate/index.js) with its revision
+function createPlayerRepository(db) {
+    const sqlite = db.dialect === 'sqlite';
+    const upsertPosition = sqlite
+        ? `INSERT INTO player_positions (user_id, place_id, pos_x, pos_y, pos_z, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT(user_id, place_id) DO UPDATE SET pos_x = excluded.pos_x, pos_y = excluded.pos_y, pos_z = excluded.pos_z, updated_at = excluded.updated_at`
+        : `INSERT INTO player_positions (user_id, place_id, pos_x, pos_y, pos_z, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE pos_x = VALUES(pos_x), pos_y = VALUES(pos_y), pos_z = VALUES(pos_z), updated_at = VALUES(updated_at)`;
+    // Position-only saves still count as a new revision of the document
+    const bumpRevision = sqlite
+        ? `INSERT INTO player_states (user_id, place_id, revision, updated_at) VALUES (?, ?, 1, ?)
+           ON CONFLICT(user_id, place_id) DO UPDATE SET revision = player_states.revision + 1, updated_at = excluded.updated_at`
+        : `INSERT INTO player_states (user_id, place_id, revision, updated_at) VALUES (?, ?, 1, ?)
+           ON DUPLICATE KEY UPDATE revision = revision + 1, updated_at = VALUES(updated_at)`;
+    
+    async function writePosition(tx, userId, placeId, { x, y, z }, now) {
+        await tx.run(
+            'UPDATE player_data SET place_id = ?, pos_x = ?, pos_y = ?, pos_z = ?, last_save = ? WHERE user_id = ?',
+            [placeId, x, y, z, now, userId]
+        );
+        await tx.run(upsertPosition, [userId, placeId, x, y, z, now]);
+    }
+    
+    return {
+        async get(userId) {
+            const rows = await db.query(
+                'SELECT user_id, place_id, pos_x, pos_y, pos_z, play_time, last_save FROM player_data WHERE user_id = ?',
+                [userId]
+            );
+            return mapPlayerData(rows[0]);
+        },
+        
+        // Saved position in one place, or null if the player was never there
+        async getPosition(userId, placeId) {
+            const rows = await db.query(
+                'SELECT pos_x, pos_y, pos_z, updated_at FROM player_positions WHERE user_id = ? AND place_id = ?',
+                [userId, placeId]
+            );
+            if (!rows[0]) return null;
+            return { x: rows[0].pos_x, y: rows[0].pos_y, z: rows[0].pos_z, updatedAt: toDate(rows[0].updated_at) };
+        },
+        
+        // Position in the place the player is currently in
+        async savePosition(userId, { x, y, z }) {
+            const data = await this.get(userId);
+            await this.save(userId, { placeId: data?.placeId || 1, x, y, z });
+        },
+        
+        async save(userId, { placeId, x, y, z }) {
+            const now = new Date();
+            await db.transaction(async (tx) => {
+                await writePosition(tx, userId, placeId, { x, y, z }, now);
+                await tx.run(bumpRevision, [userId, placeId, now]);
+            });
+        },
+        
+        // State document in one place (without position), or null before the first save
+        async getState(userId, placeId) {
+            const rows = await db.query(
+                'SELECT revision, state, custom_data, updated_at FROM player_states WHERE user_id = ? AND place_id = ?',
+                [userId, placeId]
+            );
+            if (!rows[0]) return null;
+            return {
+                revision: rows[0].revision,
+                state: rows[0].state ? JSON.parse(rows[0].state) : null,
+                custom: rows[0].custom_data ? JSON.parse(rows[0].custom_data) : null,
+                updatedAt: toDate(rows[0].updated_at)
+            };
+        },
+        
+        // Save position and state only if the stored revision is still expectedRevision
+        // (0: nothing saved yet). A null position keeps the saved one.
+        // Returns { revision } or { conflict: true }.
+        async saveState(userId, placeId, { expectedRevision, position, state }) {
+            const now = new Date();
+            const { custom, ...core } = state;
+            const customData = custom === null ? null : JSON.stringify(custom);
+            
+            return db.transaction(async (tx) => {
+                const result = expectedRevision === 0
+                    ? await tx.run(
+                        `${sqlite ? 'INSERT OR IGNORE' : 'INSERT IGNORE'} INTO player_states (user_id, place_id, revision, state, custom_data, updated_at)
+                         VALUES (?, ?, 1, ?, ?, ?)`,
+                        [userId, placeId, JSON.stringify(core), customData, now]
+                    )
+                    : await tx.run(
+                        `UPDATE player_states SET revision = revision + 1, state = ?, custom_data = ?, updated_at = ?
+                         WHERE user_id = ? AND place_id = ? AND revision = ?`,
+                        [JSON.stringify(core), customData, now, userId, placeId, expectedRevision]
+                    );
+                
+                if (result.affectedRows === 0) {
+                    return { conflict: true };
+                }
+                
+                if (position) {
+                    await writePosition(tx, userId, placeId, position, now);
+                }
+                return { revision: expectedRevision + 1 };
+            });
+        }
+    };
+}
+
+module.exports = { createPlayerRepository };
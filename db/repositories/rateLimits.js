@@ -0,0 +1,38 @@
+// Rate limit entries for the shared store (JSON values with an expiry)
+function createRateLimitRepository(db) {
+    const upsert = db.dialect === 'sqlite'
+        ? 'INSERT INTO rate_limits (limit_key, data, expires_at) VALUES (?, ?, ?) ON CONFLICT(limit_key) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at'
+        : 'INSERT INTO rate_limits (limit_key, data, expires_at) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE data = VALUES(data), expires_at = VALUES(expires_at)';
+    
+    return {
+        async get(key) {
+            const rows = await db.query(
+                'SELECT data FROM rate_limits WHERE limit_key = ? AND expires_at > ?',
+                [key, new Date()]
+            );
+            return rows[0] ? JSON.parse(rows[0].data) : null;
+        },
+        
+        async set(key, value, expiresAt) {
+            await db.run(upsert, [key, JSON.stringify(value), expiresAt]);
+        },
+        
+        async delete(key) {
+            await db.run('DELETE FROM rate_limits WHERE limit_key = ?', [key]);
+        },
+        
+        async list(prefix) {
+            const rows = await db.query(
+                'SELECT limit_key, data FROM rate_limits WHERE limit_key LIKE ? AND expires_at > ?',
+                [`${prefix}%`, new Date()]
+            );
+            return rows.map(row => ({ key: row.limit_key, value: JSON.parse(row.data) }));
+        },
+        
+        async purgeExpired() {
+            await db.run('DELETE FROM rate_limits WHERE expires_at <= ?', [new Date()]);
+        }
+    };
+}
+
+module.exports = { createRateLimitRepository };
@@ -0,0 +1,138 @@
+const { toDate } = require('./helpers');
+
+function mapRelease(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        version: row.version,
+        channel: row.channel,
+        notes: row.notes || '',
+        minVersion: row.min_version || null,
+        publishedBy: row.published_by_name || null,
+        publishedAt: toDate(row.published_at),
+        fileCount: Number(row.file_count || 0),
+        totalSize: Number(row.total_size || 0),
+        downloads: Number(row.downloads || 0)
+    };
+}
+
+function mapFile(row) {
+    return { path: row.path, size: Number(row.size), sha256: row.sha256 };
+}
+
+const RELEASE_SELECT = `
+    SELECT r.*, u.username AS published_by_name,
+        (SELECT COUNT(*) FROM client_release_files f WHERE f.release_id = r.id) AS file_count,
+        (SELECT COALESCE(SUM(f.size), 0) FROM client_release_files f WHERE f.release_id = r.id) AS total_size,
+        (SELECT COALESCE(SUM(d.downloads), 0) FROM client_release_downloads d WHERE d.release_id = r.id) AS downloads
+    FROM client_releases r LEFT JOIN users u ON u.id = r.published_by`;
+
+// Column for each updatable field
+const RELEASE_FIELDS = {
+    channel: 'channel',
+    notes: 'notes',
+    minVersion: 'min_version'
+};
+
+// Published client releases (client_releases), their file manifests
+// (client_release_files) and download counts (client_release_downloads).
+// Versions are ordered in code (releases/index.js), not by SQL, so lists
+// come back in publish order.
+function createReleaseRepository(db) {
+    const sqlite = db.dialect === 'sqlite';
+    
+    return {
+        async list({ channels = null } = {}) {
+            const where = channels ? `WHERE r.channel IN (${channels.map(() => '?').join(', ')})` : '';
+            const rows = await db.query(`${RELEASE_SELECT} ${where} ORDER BY r.published_at DESC, r.id DESC`, channels || []);
+            return rows.map(mapRelease);
+        },
+        
+        async findByVersion(version) {
+            const rows = await db.query(`${RELEASE_SELECT} WHERE r.version = ?`, [version]);
+            return mapRelease(rows[0]);
+        },
+        
+        async listFiles(releaseId) {
+            const rows = await db.query(
+                'SELECT path, size, sha256 FROM client_release_files WHERE release_id = ? ORDER BY path',
+                [releaseId]
+            );
+            return rows.map(mapFile);
+        },
+        
+        async findFile(releaseId, path) {
+            const rows = await db.query(
+                'SELECT path, size, sha256 FROM client_release_files WHERE release_id = ? AND path = ?',
+                [releaseId, path]
+            );
+            return rows[0] ? mapFile(rows[0]) : null;
+        },
+        
+        // Record a release with its manifest; returns the release id
+        async create({ version, channel, notes, minVersion, publishedBy, files }) {
+            return db.transaction(async (tx) => {
+                const result = await tx.run(
+                    `INSERT INTO client_releases (version, channel, notes, min_version, published_by, published_at)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [version, channel, notes || null, minVersion || null, publishedBy, new Date()]
+                );
+                for (const file of files) {
+                    await tx.run(
+                        'INSERT INTO client_release_files (release_id, path, size, sha256) VALUES (?, ?, ?, ?)',
+                        [result.insertId, file.path, file.size, file.sha256]
+                    );
+                }
+                return result.insertId;
+            });
+        },
+        
+        // fields: any of channel, notes, minVersion
+        async update(id, fields) {
+            const sets = [];
+            const params = [];
+            for (const [field, column] of Object.entries(RELEASE_FIELDS)) {
+                if (fields[field] === undefined) continue;
+                sets.push(`${column} = ?`);
+                params.push(fields[field] === '' ? null : fields[field]);
+            }
+            if (sets.length === 0) return;
+            
+            await db.run(`UPDATE client_releases SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+        },
+        
+        // kind: 'file' (name = path) or 'patch' (name = installed version or 'full')
+        async recordDownload(releaseId, kind, name) {
+            await db.run(
+                sqlite
+                    ? `INSERT INTO client_release_downloads (release_id, kind, name, downloads, last_download_at) VALUES (?, ?, ?, 1, ?)
+                       ON CONFLICT(release_id, kind, name) DO UPDATE SET downloads = downloads + 1, last_download_at = excluded.last_download_at`
+                    : `INSERT INTO client_release_downloads (release_id, kind, name, downloads, last_download_at) VALUES (?, ?, ?, 1, ?)
+                       ON DUPLICATE KEY UPDATE downloads = downloads + 1, last_download_at = VALUES(last_download_at)`,
+                [releaseId, kind, name, new Date()]
+            );
+        },
+        
+        // Most downloaded first
+        async listDownloads(releaseId) {
+            const rows = await db.query(
+                `SELECT kind, name, downloads, last_download_at FROM client_release_downloads
+                 WHERE release_id = ? ORDER BY downloads DESC, kind, name`,
+                [releaseId]
+            );
+            return rows.map(row => ({
+                kind: row.kind,
+                name: row.name,
+                downloads: Number(row.downloads),
+                lastDownloadAt: toDate(row.last_download_at)
+            }));
+        },
+        
+        async delete(id) {
+            const result = await db.run('DELETE FROM client_releases WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createReleaseRepository };
@@ -0,0 +1,56 @@
+const { toDate } = require('./helpers');
+
+function mapServerKey(row) {
+    if (!row) return null;
+    return {
+        keyId: row.key_id,
+        signingKey: row.signing_key,
+        name: row.name,
+        scopes: row.scopes.split(','),
+        createdBy: row.created_by,
+        createdAt: toDate(row.created_at),
+        lastUsedAt: toDate(row.last_used_at),
+        revokedAt: toDate(row.revoked_at)
+    };
+}
+
+// Game server API keys. signing_key is the encrypted HMAC key (see server.js).
+function createServerKeyRepository(db) {
+    return {
+        async findByKeyId(keyId) {
+            const rows = await db.query('SELECT * FROM server_keys WHERE key_id = ?', [keyId]);
+            return mapServerKey(rows[0]);
+        },
+        
+        async list() {
+            const rows = await db.query('SELECT * FROM server_keys ORDER BY created_at DESC');
+            return rows.map(mapServerKey);
+        },
+        
+        async create({ keyId, signingKey, name, scopes, createdBy }) {
+            await db.run(
+                'INSERT INTO server_keys (key_id, signing_key, name, scopes, created_by) VALUES (?, ?, ?, ?, ?)',
+                [keyId, signingKey, name, scopes.join(','), createdBy]
+            );
+        },
+        
+        async setSigningKey(keyId, signingKey) {
+            await db.run('UPDATE server_keys SET signing_key = ? WHERE key_id = ?', [signingKey, keyId]);
+        },
+        
+        // Returns false if the key doesn't exist or is already revoked
+        async revoke(keyId) {
+            const result = await db.run(
+                'UPDATE server_keys SET revoked_at = ? WHERE key_id = ? AND revoked_at IS NULL',
+                [new Date(), keyId]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        async touch(keyId) {
+            await db.run('UPDATE server_keys SET last_used_at = ? WHERE key_id = ?', [new Date(), keyId]);
+        }
+    };
+}
+
+module.exports = { createServerKeyRepository };
@@ -0,0 +1,90 @@
+const { toDate } = require('./helpers');
+
+function mapSession(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        userAgent: row.user_agent,
+        ip: row.ip,
+        createdAt: toDate(row.created_at),
+        lastSeenAt: toDate(row.last_seen_at),
+        expiresAt: toDate(row.expires_at),
+        revokedAt: toDate(row.revoked_at)
+    };
+}
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip, created_at, last_seen_at, expires_at, revoked_at';
+
+// Login sessions, one per device. Refresh tokens are stored as sha256 hashes.
+function createSessionRepository(db) {
+    return {
+        async create({ id, userId, refreshTokenHash, userAgent, ip, expiresAt }) {
+            await db.run(
+                'INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [id, userId, refreshTokenHash, userAgent, ip, expiresAt]
+            );
+        },
+        
+        // Session that is neither revoked nor expired, or null
+        async findActive(id) {
+            const rows = await db.query(
+                `SELECT ${SESSION_COLUMNS} FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?`,
+                [id, new Date()]
+            );
+            return mapSession(rows[0]);
+        },
+        
+        async findActiveByRefreshHash(refreshTokenHash) {
+            const rows = await db.query(
+                `SELECT ${SESSION_COLUMNS} FROM sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?`,
+                [refreshTokenHash, new Date()]
+            );
+            return mapSession(rows[0]);
+        },
+        
+        async listActiveForUser(userId) {
+            const rows = await db.query(
+                `SELECT ${SESSION_COLUMNS} FROM sessions WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ? ORDER BY last_seen_at DESC`,
+                [userId, new Date()]
+            );
+            return rows.map(mapSession);
+        },
+        
+        // Replace the refresh token (rotation on every refresh)
+        // Swap the refresh token only if it is still the presented one, so two
+        // concurrent refreshes can't both succeed. Returns false for the loser.
+        async rotateRefreshToken(id, currentHash, newHash) {
+            const result = await db.run(
+                `UPDATE sessions SET refresh_token_hash = ?, last_seen_at = ?
+                 WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?`,
+                [newHash, new Date(), id, currentHash, new Date()]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        async touch(id, ip) {
+            await db.run('UPDATE sessions SET last_seen_at = ?, ip = ? WHERE id = ?', [new Date(), ip, id]);
+        },
+        
+        // Returns false if the session doesn't belong to the user or is already revoked
+        async revoke(id, userId) {
+            const result = await db.run(
+                'UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [new Date(), id, userId]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        // Revoke every session of a user, optionally keeping one; returns the count
+        async revokeAllForUser(userId, exceptId = null) {
+            const result = await db.run(
+                'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL AND id != ?',
+                [new Date(), userId, exceptId || '']
+            );
+            return result.affectedRows;
+        }
+    };
+}
+
+module.exports = { createSessionRepository };
@@ -0,0 +1,116 @@
+const { toDate } = require('./helpers');
+
+function mapSkin(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        model: row.model,
+        hash: row.hash,
+        active: !!row.active,
+        createdAt: toDate(row.created_at),
+        activatedAt: toDate(row.activated_at)
+    };
+}
+
+// Everything but the PNG itself, which is only read when a texture is served
+const SKIN_COLUMNS = 'id, user_id, model, hash, active, created_at, activated_at';
+
+// Skin history per user (user_skins), most recently worn first
+function createSkinRepository(db) {
+    // Make one skin the active one; the caller checked it belongs to userId
+    async function activate(tx, userId, id, model, now) {
+        await tx.run('UPDATE user_skins SET active = 0 WHERE user_id = ? AND active = 1', [userId]);
+        await tx.run(
+            'UPDATE user_skins SET active = 1, model = ?, activated_at = ? WHERE id = ? AND user_id = ?',
+            [model, now, id, userId]
+        );
+    }
+    
+    return {
+        async listForUser(userId) {
+            const rows = await db.query(
+                `SELECT ${SKIN_COLUMNS} FROM user_skins WHERE user_id = ? ORDER BY activated_at DESC, id DESC`,
+                [userId]
+            );
+            return rows.map(mapSkin);
+        },
+        
+        async findById(id) {
+            const rows = await db.query(`SELECT ${SKIN_COLUMNS} FROM user_skins WHERE id = ?`, [id]);
+            return mapSkin(rows[0]);
+        },
+        
+        async findActive(userId) {
+            const rows = await db.query(`SELECT ${SKIN_COLUMNS} FROM user_skins WHERE user_id = ? AND active = 1`, [userId]);
+            return mapSkin(rows[0]);
+        },
+        
+        async getData(id) {
+            const rows = await db.query('SELECT data FROM user_skins WHERE id = ?', [id]);
+            return rows[0]?.data ? Buffer.from(rows[0].data) : null;
+        },
+        
+        // Store a skin and wear it. The same texture uploaded again reuses
+        // its history entry. Returns the skin id.
+        async add(userId, { model, hash, data }) {
+            const now = new Date();
+            return db.transaction(async (tx) => {
+                const existing = await tx.query('SELECT id FROM user_skins WHERE user_id = ? AND hash = ?', [userId, hash]);
+                let id = existing[0]?.id;
+                
+                if (!id) {
+                    const result = await tx.run(
+                        'INSERT INTO user_skins (user_id, model, hash, data, active, created_at, activated_at) VALUES (?, ?, ?, ?, 0, ?, ?)',
+                        [userId, model, hash, data, now, now]
+                    );
+                    id = result.insertId;
+                }
+                
+                await activate(tx, userId, id, model, now);
+                return id;
+            });
+        },
+        
+        // Wear an earlier skin again, optionally switching its model.
+        // Returns false if the skin isn't one of the user's.
+        async activate(userId, id, model) {
+            const now = new Date();
+            return db.transaction(async (tx) => {
+                const rows = await tx.query('SELECT model FROM user_skins WHERE id = ? AND user_id = ?', [id, userId]);
+                if (rows.length === 0) return false;
+                
+                await activate(tx, userId, id, model || rows[0].model, now);
+                return true;
+            });
+        },
+        
+        // Back to the default skin; history is kept
+        async deactivate(userId) {
+            await db.run('UPDATE user_skins SET active = 0 WHERE user_id = ? AND active = 1', [userId]);
+        },
+        
+        async delete(userId, id) {
+            const result = await db.run('DELETE FROM user_skins WHERE id = ? AND user_id = ?', [id, userId]);
+            return result.affectedRows > 0;
+        },
+        
+        // Drop the oldest inactive skins beyond `keep` entries of history
+        async prune(userId, keep) {
+            const rows = await db.query(
+                'SELECT id, active FROM user_skins WHERE user_id = ? ORDER BY activated_at DESC, id DESC',
+                [userId]
+            );
+            const stale = rows.slice(keep).filter(row => !row.active).map(row => row.id);
+            if (stale.length === 0) return 0;
+            
+            const result = await db.run(
+                `DELETE FROM user_skins WHERE user_id = ? AND id IN (${stale.map(() => '?').join(', ')})`,
+                [userId, ...stale]
+            );
+            return result.affectedRows;
+        }
+    };
+}
+
+module.exports = { createSkinRepository };
@@ -0,0 +1,114 @@
+const { limitClause } = require('./helpers');
+
+// UTC day a stat increment is counted in
+function statDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Add amounts to a player's stats inside a transaction, both the all-time
+// total and the day's bucket. Also used when play sessions close.
+async function addStats(tx, dialect, userId, increments, now) {
+    const day = statDay(now);
+    const sqlite = dialect === 'sqlite';
+    
+    for (const [stat, amount] of Object.entries(increments)) {
+        if (!amount) continue;
+        
+        await tx.run(
+            sqlite
+                ? `INSERT INTO player_stats (user_id, stat, value, updated_at) VALUES (?, ?, ?, ?)
+                   ON CONFLICT(user_id, stat) DO UPDATE SET value = player_stats.value + excluded.value, updated_at = excluded.updated_at`
+                : `INSERT INTO player_stats (user_id, stat, value, updated_at) VALUES (?, ?, ?, ?)
+                   ON DUPLICATE KEY UPDATE value = value + VALUES(value), updated_at = VALUES(updated_at)`,
+            [userId, stat, amount, now]
+        );
+        await tx.run(
+            sqlite
+                ? `INSERT INTO player_stat_days (user_id, stat, day, value) VALUES (?, ?, ?, ?)
+                   ON CONFLICT(user_id, stat, day) DO UPDATE SET value = player_stat_days.value + excluded.value`
+                : `INSERT INTO player_stat_days (user_id, stat, day, value) VALUES (?, ?, ?, ?)
+                   ON DUPLICATE KEY UPDATE value = value + VALUES(value)`,
+            [userId, stat, day, amount]
+        );
+    }
+}
+
+// Leaderboards leave out players who are currently banned
+const NOT_BANNED = 'NOT (u.is_banned = 1 AND (u.banned_until IS NULL OR u.banned_until > ?))';
+
+// Player stats (player_stats totals, player_stat_days per UTC day) and the
+// leaderboards built on them. A leaderboard window is a number of days
+// including today (1 = today only), or null for all time.
+function createStatRepository(db) {
+    // Per-player value of a stat in a window, as a subquery with user_id and value
+    function windowValues(days) {
+        if (!days) {
+            return { sql: 'SELECT user_id, value FROM player_stats WHERE stat = ?', params: [] };
+        }
+        const since = statDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+        return {
+            sql: 'SELECT user_id, SUM(value) AS value FROM player_stat_days WHERE stat = ? AND day >= ? GROUP BY user_id',
+            params: [since]
+        };
+    }
+    
+    return {
+        async add(userId, increments) {
+            const now = new Date();
+            await db.transaction(tx => addStats(tx, db.dialect, userId, increments, now));
+        },
+        
+        // All-time stats of a player as { stat: value }
+        async getTotals(userId) {
+            const rows = await db.query('SELECT stat, value FROM player_stats WHERE user_id = ?', [userId]);
+            return Object.fromEntries(rows.map(row => [row.stat, Number(row.value)]));
+        },
+        
+        // Stat names anyone has a value for
+        async listStats() {
+            const rows = await db.query('SELECT DISTINCT stat FROM player_stats ORDER BY stat');
+            return rows.map(row => row.stat);
+        },
+        
+        // One page of a leaderboard, highest first (ties: oldest account first)
+        async leaderboard(stat, { days, limit, offset }) {
+            const values = windowValues(days);
+            const from = `FROM (${values.sql}) v JOIN users u ON u.id = v.user_id WHERE v.value > 0 AND ${NOT_BANNED}`;
+            const params = [stat, ...values.params, new Date()];
+            
+            const rows = await db.query(
+                `SELECT v.user_id, u.username, u.face, v.value ${from} ORDER BY v.value DESC, v.user_id ASC ${limitClause(limit, offset)}`,
+                params
+            );
+            const countRows = await db.query(`SELECT COUNT(*) AS count ${from}`, params);
+            
+            return {
+                entries: rows.map((row, i) => ({
+                    rank: offset + i + 1,
+                    userId: row.user_id,
+                    username: row.username,
+                    face: row.face,
+                    value: Number(row.value)
+                })),
+                total: Number(countRows[0].count)
+            };
+        },
+        
+        // A player's place on a leaderboard: { rank, value }, or null without a value
+        async rank(stat, userId, { days }) {
+            const values = windowValues(days);
+            const mine = await db.query(`SELECT value FROM (${values.sql}) v WHERE v.user_id = ?`, [stat, ...values.params, userId]);
+            const value = Number(mine[0]?.value || 0);
+            if (value <= 0) return null;
+            
+            const ahead = await db.query(
+                `SELECT COUNT(*) AS count FROM (${values.sql}) v JOIN users u ON u.id = v.user_id
+                 WHERE (v.value > ? OR (v.value = ? AND v.user_id < ?)) AND ${NOT_BANNED}`,
+                [stat, ...values.params, value, value, userId, new Date()]
+            );
+            return { rank: Number(ahead[0].count) + 1, value };
+        }
+    };
+}
+
+module.exports = { createStatRepository, addStats };
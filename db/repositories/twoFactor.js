@@ -0,0 +1,102 @@
+const { toDate } = require('./helpers');
+
+function mapTwoFactor(row) {
+    if (!row) return null;
+    return {
+        userId: row.user_id,
+        secret: row.secret,
+        lastUsedStep: Number(row.last_used_step),
+        createdAt: toDate(row.created_at),
+        enabledAt: toDate(row.enabled_at)
+    };
+}
+
+// TOTP enrollments (user_two_factor) and recovery codes
+// (two_factor_recovery_codes). Secrets arrive already encrypted.
+function createTwoFactorRepository(db) {
+    async function replaceRecoveryCodes(tx, userId, codeHashes) {
+        await tx.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+        for (const codeHash of codeHashes) {
+            await tx.run('INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, codeHash]);
+        }
+    }
+    
+    return {
+        // Enrollment, confirmed or not
+        async find(userId) {
+            const rows = await db.query('SELECT * FROM user_two_factor WHERE user_id = ?', [userId]);
+            return mapTwoFactor(rows[0]);
+        },
+        
+        async findEnabled(userId) {
+            const rows = await db.query('SELECT * FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL', [userId]);
+            return mapTwoFactor(rows[0]);
+        },
+        
+        // Start (or restart) an enrollment; the caller checked 2FA isn't enabled
+        async startEnrollment(userId, secret) {
+            await db.transaction(async (tx) => {
+                await tx.run('DELETE FROM user_two_factor WHERE user_id = ? AND enabled_at IS NULL', [userId]);
+                await tx.run(
+                    'INSERT INTO user_two_factor (user_id, secret, last_used_step, created_at) VALUES (?, ?, 0, ?)',
+                    [userId, secret, new Date()]
+                );
+            });
+        },
+        
+        // Confirm the enrollment with the step of the first code. Returns
+        // false if there is no pending enrollment.
+        async enable(userId, step, recoveryCodeHashes) {
+            return db.transaction(async (tx) => {
+                const result = await tx.run(
+                    'UPDATE user_two_factor SET enabled_at = ?, last_used_step = ? WHERE user_id = ? AND enabled_at IS NULL',
+                    [new Date(), step, userId]
+                );
+                if (result.affectedRows === 0) return false;
+                
+                await replaceRecoveryCodes(tx, userId, recoveryCodeHashes);
+                return true;
+            });
+        },
+        
+        async disable(userId) {
+            await db.transaction(async (tx) => {
+                await tx.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+                await tx.run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+            });
+        },
+        
+        // Remember the last accepted time step. Returns false if a code of
+        // that step (or a later one) was already used.
+        async useStep(userId, step) {
+            const result = await db.run(
+                'UPDATE user_two_factor SET last_used_step = ? WHERE user_id = ? AND last_used_step < ?',
+                [step, userId, step]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        async replaceRecoveryCodes(userId, codeHashes) {
+            await db.transaction(tx => replaceRecoveryCodes(tx, userId, codeHashes));
+        },
+        
+        // Returns false if the code is unknown or already used
+        async useRecoveryCode(userId, codeHash) {
+            const result = await db.run(
+                'UPDATE two_factor_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+                [new Date(), userId, codeHash]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        async countRecoveryCodes(userId) {
+            const rows = await db.query(
+                'SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+                [userId]
+            );
+            return Number(rows[0].count);
+        }
+    };
+}
+
+module.exports = { createTwoFactorRepository };
@@ -0,0 +1,163 @@
+const { toDate, limitClause } = require('./helpers');
+
+const USER_COLUMNS = 'id, username, email, email_verified, verification_sent_at, password_hash, password_algo, role, face, is_banned, ban_reason, banned_until, created_at, last_login';
+
+function mapUser(row) {
+    if (!row) return null;
+    const bannedUntil = toDate(row.banned_until);
+    return {
+        id: row.id,
+        username: row.username,
+        email: row.email,
+        emailVerified: !!row.email_verified,
+        verificationSentAt: toDate(row.verification_sent_at),
+        passwordHash: row.password_hash,
+        passwordAlgo: row.password_algo,
+        role: row.role || 'player',
+        face: row.face || 'default.png',
+        // Temporary bans lift themselves once banned_until has passed
+        isBanned: !!row.is_banned && (!bannedUntil || bannedUntil > new Date()),
+        banReason: row.ban_reason || null,
+        bannedUntil,
+        createdAt: toDate(row.created_at),
+        lastLogin: toDate(row.last_login)
+    };
+}
+
+function createUserRepository(db) {
+    return {
+        async findById(id) {
+            const rows = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+            return mapUser(rows[0]);
+        },
+        
+        // Username lookups are case-insensitive on both backends (column collation)
+        async findByUsername(username) {
+            const rows = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE username = ?`, [username]);
+            return mapUser(rows[0]);
+        },
+        
+        async findByEmail(email) {
+            const rows = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE LOWER(email) = LOWER(?)`, [email]);
+            return mapUser(rows[0]);
+        },
+        
+        async isEmailTaken(email, exceptUserId = 0) {
+            const rows = await db.query(
+                'SELECT id FROM users WHERE LOWER(email) = LOWER(?) AND id != ?',
+                [email, exceptUserId]
+            );
+            return rows.length > 0;
+        },
+        
+        async isUsernameTaken(username, exceptUserId = 0) {
+            const rows = await db.query(
+                'SELECT id FROM users WHERE LOWER(username) = LOWER(?) AND id != ?',
+                [username, exceptUserId]
+            );
+            return rows.length > 0;
+        },
+        
+        // Creates the account and its player_data row; returns the new user id
+        async create({ username, email, passwordHash, passwordAlgo }) {
+            return db.transaction(async (tx) => {
+                const result = await tx.run(
+                    'INSERT INTO users (username, email, password_hash, password_algo, face) VALUES (?, ?, ?, ?, ?)',
+                    [username, email, passwordHash, passwordAlgo, 'default.png']
+                );
+                await tx.run('INSERT INTO player_data (user_id) VALUES (?)', [result.insertId]);
+                return result.insertId;
+            });
+        },
+        
+        async updatePassword(id, passwordHash, passwordAlgo) {
+            await db.run(
+                'UPDATE users SET password_hash = ?, password_algo = ? WHERE id = ?',
+                [passwordHash, passwordAlgo, id]
+            );
+        },
+        
+        async updateUsername(id, username) {
+            await db.run('UPDATE users SET username = ? WHERE id = ?', [username, id]);
+        },
+        
+        // A new address has to be verified again
+        async updateEmail(id, email) {
+            await db.run(
+                'UPDATE users SET email = ?, email_verified = ?, email_verified_at = NULL WHERE id = ?',
+                [email, false, id]
+            );
+        },
+        
+        // Only verifies if the account still has that address; returns false otherwise
+        async markEmailVerified(id, email) {
+            const result = await db.run(
+                'UPDATE users SET email_verified = ?, email_verified_at = ? WHERE id = ? AND LOWER(email) = LOWER(?)',
+                [true, new Date(), id, email]
+            );
+            return result.affectedRows > 0;
+        },
+        
+        async markVerificationSent(id) {
+            await db.run('UPDATE users SET verification_sent_at = ? WHERE id = ?', [new Date(), id]);
+        },
+        
+        async setFace(id, face) {
+            await db.run('UPDATE users SET face = ? WHERE id = ?', [face, id]);
+        },
+        
+        async setRole(id, role) {
+            await db.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+        },
+        
+        async countByRole(role) {
+            const rows = await db.query('SELECT COUNT(*) AS count FROM users WHERE role = ?', [role]);
+            return Number(rows[0].count);
+        },
+        
+        // until = null bans permanently
+        async ban(id, { reason, until }) {
+            await db.run(
+                'UPDATE users SET is_banned = ?, ban_reason = ?, banned_until = ? WHERE id = ?',
+                [true, reason, until, id]
+            );
+        },
+        
+        async unban(id) {
+            await db.run(
+                'UPDATE users SET is_banned = ?, ban_reason = NULL, banned_until = NULL WHERE id = ?',
+                [false, id]
+            );
+        },
+        
+        // Admin search by username or email (substring), newest accounts first
+        async search(query, { limit = 20, offset = 0 } = {}) {
+            const pattern = `%${String(query || '').replace(/[!%_]/g, '!$&')}%`;
+            const where = "WHERE username LIKE ? ESCAPE '!' OR email LIKE ? ESCAPE '!'";
+            
+            const rows = await db.query(
+                `SELECT ${USER_COLUMNS} FROM users ${where} ORDER BY id DESC ${limitClause(limit, offset)}`,
+                [pattern, pattern]
+            );
+            const countRows = await db.query(`SELECT COUNT(*) AS count FROM users ${where}`, [pattern, pattern]);
+            
+            return { users: rows.map(mapUser), total: Number(countRows[0].count) };
+        },
+        
+        async recordLogin(id) {
+            await db.run('UPDATE users SET last_login = ? WHERE id = ?', [new Date(), id]);
+        },
+        
+        async count() {
+            const rows = await db.query('SELECT COUNT(*) AS count FROM users');
+            return Number(rows[0].count);
+        },
+        
+        async countActiveSince(since) {
+            const rows = await db.query('SELECT COUNT(*) AS count FROM users WHERE last_login > ?', [since]);
+            return Number(rows[0].count);
+        }
+    };
+}
+
+module.exports = { createUserRepository };
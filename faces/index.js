@@ -0,0 +1,114 @@
+const { PNG } = require('pngjs');
+
+// Player faces: uploaded PNGs are checked (signature, IHDR dimensions) before
+// they are decoded, then normalized to FACE_SIZE x FACE_SIZE RGBA, the size
+// the game client draws, with smaller copies for the portal.
+//   face_<userId>_<time>.png       normalized face
+//   face_<userId>_<time>_<n>.png   thumbnail, n in THUMBNAIL_SIZES
+
+const FACE_SIZE = 512;
+const THUMBNAIL_SIZES = [32, 64, 128];
+const MIN_UPLOAD_SIZE = 8;
+const MAX_UPLOAD_SIZE = 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Width and height from the IHDR chunk, without decoding the image
+function readPngHeader(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return { error: 'Not a PNG image' };
+    }
+    if (buffer.readUInt32BE(8) !== 13 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+        return { error: 'Corrupt PNG header' };
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Square RGBA resample: box average when shrinking, nearest pixel when
+// growing (faces are pixel art, so upscaling stays sharp)
+function resample(source, sourceSize, size) {
+    const target = Buffer.alloc(size * size * 4);
+    
+    for (let ty = 0; ty < size; ty++) {
+        const y0 = Math.floor(ty * sourceSize / size);
+        const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * sourceSize / size));
+        
+        for (let tx = 0; tx < size; tx++) {
+            const x0 = Math.floor(tx * sourceSize / size);
+            const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * sourceSize / size));
+            let r = 0, g = 0, b = 0, a = 0;
+            
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * sourceSize + x) * 4;
+                    const alpha = source[i + 3];
+                    r += source[i] * alpha;
+                    g += source[i + 1] * alpha;
+                    b += source[i + 2] * alpha;
+                    a += alpha;
+                }
+            }
+            
+            const o = (ty * size + tx) * 4;
+            const count = (y1 - y0) * (x1 - x0);
+            if (a > 0) {
+                target[o] = Math.round(r / a);
+                target[o + 1] = Math.round(g / a);
+                target[o + 2] = Math.round(b / a);
+            }
+            target[o + 3] = Math.round(a / count);
+        }
+    }
+    
+    return target;
+}
+
+function encode(data, size) {
+    const png = new PNG({ width: size, height: size });
+    png.data = data;
+    return PNG.sync.write(png);
+}
+
+// Validate an uploaded face and build the files to store.
+// Returns { face, thumbnails: { [size]: Buffer } } or { error }.
+function processFace(buffer) {
+    const { width, height, error } = readPngHeader(buffer);
+    if (error) return { error };
+    
+    if (width !== height) {
+        return { error: `Face must be square (got ${width}x${height})` };
+    }
+    if (width < MIN_UPLOAD_SIZE || width > MAX_UPLOAD_SIZE) {
+        return { error: `Face must be ${MIN_UPLOAD_SIZE}x${MIN_UPLOAD_SIZE} to ${MAX_UPLOAD_SIZE}x${MAX_UPLOAD_SIZE} pixels` };
+    }
+    
+    let image;
+    try {
+        image = PNG.sync.read(buffer); // always decodes to 8-bit RGBA
+    } catch (decodeError) {
+        return { error: 'Corrupt PNG image' };
+    }
+    if (image.width !== width || image.height !== height) {
+        return { error: 'Corrupt PNG image' };
+    }
+    
+    const face = width === FACE_SIZE ? image.data : resample(image.data, width, FACE_SIZE);
+    const thumbnails = {};
+    for (const size of THUMBNAIL_SIZES) {
+        thumbnails[size] = encode(resample(face, FACE_SIZE, size), size);
+    }
+    
+    return { face: encode(face, FACE_SIZE), thumbnails };
+}
+
+function thumbnailName(face, size) {
+    return face.replace(/\.png$/, `_${size}.png`);
+}
+
+// File to serve for a requested display size: the smallest thumbnail that
+// is at least that big, or the full face
+function avatarFileFor(face, size) {
+    const thumbnail = THUMBNAIL_SIZES.find(candidate => candidate >= size);
+    return size && thumbnail ? thumbnailName(face, thumbnail) : face;
+}
+
+module.exports = { FACE_SIZE, THUMBNAIL_SIZES, readPngHeader, processFace, thumbnailName, avatarFileFor };
@@ -0,0 +1,226 @@
+const { WebSocketServer } = require('ws');
+
+const PING_INTERVAL = 30 * 1000; // sockets that miss a pong are dropped
+const MAX_SUBSCRIPTIONS = 1000; // account subscriptions per game server socket
+
+// Close codes sent to clients. Browsers should not reconnect after LOGOUT.
+const CLOSE_LOGOUT = 4000;
+
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+function rejectUpgrade(socket, status, message) {
+    const reason = status === 403 ? 'Forbidden' : 'Unauthorized';
+    socket.write(
+        `HTTP/1.1 ${status} ${reason}\r\n` +
+        'Content-Type: application/json\r\n' +
+        'Connection: close\r\n\r\n' +
+        JSON.stringify({ error: message })
+    );
+    socket.destroy();
+}
+
+// Real-time event gateway on the HTTP server (path /ws by default).
+//
+// authenticate(req) resolves the upgrade request to one of:
+//   { kind: 'user', userId, username, sessionId }  - signed-in portal user
+//   { kind: 'server', keyId, name }                 - game server (signed with a server key)
+//   { status, message }                             - rejected
+//
+// Users receive events pushed with sendToUser()/broadcast() and a "logout"
+// event before their socket is closed for a revoked session. Game servers
+// send { type: 'subscribe', userIds } for the players they host and then get
+// { type: 'account', event, userId, ... } for those accounts.
+function createGateway(httpServer, { path = '/ws', authenticate }) {
+    const wss = new WebSocketServer({ noServer: true });
+    const userSockets = new Map(); // userId -> Set<socket>
+    const subscribers = new Map(); // userId -> Set<game server socket>
+    
+    function index(map, key, socket) {
+        if (!map.has(key)) {
+            map.set(key, new Set());
+        }
+        map.get(key).add(socket);
+    }
+    
+    function unindex(map, key, socket) {
+        const sockets = map.get(key);
+        if (sockets) {
+            sockets.delete(socket);
+            if (sockets.size === 0) {
+                map.delete(key);
+            }
+        }
+    }
+    
+    function parseUserIds(value) {
+        if (!Array.isArray(value)) {
+            return [];
+        }
+        return value
+            .map(id => parseInt(id, 10))
+            .filter(id => Number.isInteger(id) && id > 0);
+    }
+    
+    function handleServerMessage(socket, message) {
+        const userIds = parseUserIds(message.userIds);
+        
+        if (message.type === 'subscribe') {
+            for (const userId of userIds) {
+                if (socket.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+                    return send(socket, { type: 'error', message: `At most ${MAX_SUBSCRIPTIONS} subscriptions` });
+                }
+                socket.subscriptions.add(userId);
+                index(subscribers, userId, socket);
+            }
+            send(socket, { type: 'subscribed', userIds: [...socket.subscriptions] });
+        } else if (message.type === 'unsubscribe') {
+            for (const userId of userIds) {
+                socket.subscriptions.delete(userId);
+                unindex(subscribers, userId, socket);
+            }
+            send(socket, { type: 'subscribed', userIds: [...socket.subscriptions] });
+        } else if (message.type !== 'ping') {
+            send(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+    
+    wss.on('connection', (socket, client) => {
+        socket.client = client;
+        socket.alive = true;
+        socket.on('pong', () => { socket.alive = true; });
+        
+        if (client.kind === 'user') {
+            index(userSockets, client.userId, socket);
+        } else {
+            socket.subscriptions = new Set();
+        }
+        
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString('utf8'));
+            } catch (e) {
+                return send(socket, { type: 'error', message: 'Invalid JSON' });
+            }
+            if (!message || typeof message.type !== 'string') {
+                return send(socket, { type: 'error', message: 'Message type required' });
+            }
+            
+            // Portal users only listen; "ping" keeps proxies from closing idle sockets
+            if (client.kind === 'server') {
+                handleServerMessage(socket, message);
+            }
+        });
+        
+        socket.on('close', () => {
+            if (client.kind === 'user') {
+                unindex(userSockets, client.userId, socket);
+            } else {
+                for (const userId of socket.subscriptions) {
+                    unindex(subscribers, userId, socket);
+                }
+            }
+        });
+        
+        socket.on('error', error => console.error('Gateway socket error:', error.message));
+        
+        send(socket, client.kind === 'user'
+            ? { type: 'hello', username: client.username }
+            : { type: 'hello', server: client.name });
+    });
+    
+    httpServer.on('upgrade', async (req, socket, head) => {
+        let pathname;
+        try {
+            pathname = new URL(req.url, 'http://localhost').pathname;
+        } catch (e) {
+            return socket.destroy();
+        }
+        
+        if (pathname !== path) {
+            return socket.destroy();
+        }
+        
+        try {
+            const client = await authenticate(req);
+            if (!client.kind) {
+                return rejectUpgrade(socket, client.status || 401, client.message);
+            }
+            wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, client));
+        } catch (error) {
+            console.error('Gateway auth error:', error);
+            rejectUpgrade(socket, 401, 'Authentication failed');
+        }
+    });
+    
+    const pingTimer = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.alive) {
+                socket.terminate();
+                continue;
+            }
+            socket.alive = false;
+            socket.ping();
+        }
+    }, PING_INTERVAL);
+    pingTimer.unref();
+    
+    function closeWithLogout(socket, reason) {
+        send(socket, { type: 'logout', reason });
+        socket.close(CLOSE_LOGOUT, 'logout');
+    }
+    
+    return {
+        isOnline(userId) {
+            return userSockets.has(userId);
+        },
+        
+        sendToUser(userId, message) {
+            for (const socket of userSockets.get(userId) || []) {
+                send(socket, message);
+            }
+        },
+        
+        // Every signed-in portal user
+        broadcast(message) {
+            const data = JSON.stringify(message);
+            for (const sockets of userSockets.values()) {
+                for (const socket of sockets) {
+                    if (socket.readyState === socket.OPEN) socket.send(data);
+                }
+            }
+        },
+        
+        closeSession(sessionId, reason) {
+            for (const sockets of userSockets.values()) {
+                for (const socket of sockets) {
+                    if (socket.client.sessionId === sessionId) {
+                        closeWithLogout(socket, reason);
+                    }
+                }
+            }
+        },
+        
+        // All of a user's sockets, optionally sparing the session that asked for it
+        closeUser(userId, reason, exceptSessionId = null) {
+            for (const socket of userSockets.get(userId) || []) {
+                if (socket.client.sessionId !== exceptSessionId) {
+                    closeWithLogout(socket, reason);
+                }
+            }
+        },
+        
+        // Tell game servers hosting this account (ban, rename, logout, role change)
+        publishAccountEvent(userId, event, details = {}) {
+            for (const socket of subscribers.get(userId) || []) {
+                send(socket, { type: 'account', event, userId, ...details });
+            }
+        }
+    };
+}
+
+module.exports = { createGateway };
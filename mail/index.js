@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'outbox');
+
+// Writes every message to MAIL_OUTBOX_DIR as a .eml file (local dev, LAN hosts)
+function createFileTransport(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    
+    return {
+        name: 'file',
+        async send(message) {
+            const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`);
+            const lines = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                message.text
+            ];
+            await fs.promises.writeFile(file, lines.join('\r\n'));
+            console.log(`Mail to ${message.to} written to ${file}`);
+        }
+    };
+}
+
+// Prints messages to the server log
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log(`---- Mail to ${message.to}: ${message.subject} ----\n${message.text}\n----`);
+        }
+    };
+}
+
+// Real delivery through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, ...)
+function createSmtpTransport() {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+    }
+    
+    const nodemailer = require('nodemailer');
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+    
+    return {
+        name: 'smtp',
+        async send(message) {
+            await transporter.sendMail(message);
+        }
+    };
+}
+
+// Pick the transport from MAIL_TRANSPORT (smtp | file | console, default console)
+function createMailer() {
+    const type = process.env.MAIL_TRANSPORT || 'console';
+    const from = process.env.MAIL_FROM || 'ForgeBlock <no-reply@forgeblock.local>';
+    
+    let transport;
+    if (type === 'smtp') {
+        transport = createSmtpTransport();
+    } else if (type === 'file') {
+        transport = createFileTransport(process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+    } else if (type === 'console') {
+        transport = createConsoleTransport();
+    } else {
+        throw new Error(`Unknown MAIL_TRANSPORT "${type}" (use smtp, file or console)`);
+    }
+    
+    return {
+        transport: transport.name,
+        
+        // message: { to, subject, text, html? }
+        send(message) {
+            return transport.send({ from, ...message });
+        }
+    };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,55 @@
+// Roles and what each of them may do. Routes check permissions, never roles,
+// so moving a permission between roles only happens here.
+
+const ROLES = ['player', 'moderator', 'admin'];
+
+// Higher rank can moderate lower rank
+const ROLE_RANK = { player: 0, moderator: 1, admin: 2 };
+
+const PERMISSIONS = [
+    'view-users',          // search accounts, see details
+    'ban-users',
+    'rename-users',        // force a username change
+    'reset-faces',
+    'view-audit-log',
+    'moderate-game',       // in-game moderator powers, granted by the game server
+    'manage-lockouts',
+    'manage-server-keys',
+    'manage-roles',
+    'manage-places',       // edit or delete places owned by anyone
+    'publish-releases'
+];
+
+const MODERATOR_PERMISSIONS = [
+    'view-users',
+    'ban-users',
+    'rename-users',
+    'reset-faces',
+    'view-audit-log',
+    'moderate-game'
+];
+
+const ROLE_PERMISSIONS = {
+    player: [],
+    moderator: MODERATOR_PERMISSIONS,
+    admin: PERMISSIONS
+};
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+    return permissionsFor(role).includes(permission);
+}
+
+// Moderators can't act on other moderators or admins; admins can act on anyone
+function canModerate(actorRole, targetRole) {
+    return actorRole === 'admin' || (ROLE_RANK[actorRole] || 0) > (ROLE_RANK[targetRole] || 0);
+}
+
+module.exports = { ROLES, PERMISSIONS, isValidRole, permissionsFor, hasPermission, canModerate };
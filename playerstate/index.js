@@ -0,0 +1,172 @@
+// Player state document saved per (user, place) by game servers.
+//
+// {
+//   version: 1,                          - document format, bumped on breaking changes
+//   revision: 7,                         - increases on every save (optimistic concurrency)
+//   placeId: 1,
+//   position: { x, y, z },
+//   rotation: { yaw, pitch },            - degrees; yaw 0-360, pitch -90..90
+//   health: 20,                          - 0..MAX_HEALTH
+//   selectedSlot: 0,                     - hotbar slot 0..HOTBAR_SIZE-1
+//   inventory: [{ slot, item, count, durability? }],
+//   custom: { ... } | null               - free-form JSON for the game, at most CUSTOM_DATA_LIMIT bytes
+// }
+//
+// Position lives in player_positions (spawn logic reads it); everything else
+// in player_states.
+
+const STATE_VERSION = 1;
+const MAX_HEALTH = 20;
+const HOTBAR_SIZE = 9;
+const INVENTORY_SIZE = 36; // slots 0-8 are the hotbar
+const MAX_STACK_SIZE = 999;
+const CUSTOM_DATA_LIMIT = 16 * 1024;
+const ITEM_ID_PATTERN = /^[a-z0-9_]+(:[a-z0-9_/]+)?$/;
+
+function defaultState() {
+    return {
+        rotation: { yaw: 0, pitch: 0 },
+        health: MAX_HEALTH,
+        selectedSlot: 0,
+        inventory: [],
+        custom: null
+    };
+}
+
+function parseRotation(rotation) {
+    if (!rotation || typeof rotation !== 'object') {
+        return { error: 'rotation must be { yaw, pitch }' };
+    }
+    const yaw = Number(rotation.yaw);
+    const pitch = Number(rotation.pitch);
+    if (!Number.isFinite(yaw) || !Number.isFinite(pitch) || pitch < -90 || pitch > 90) {
+        return { error: 'rotation: numeric yaw and pitch (-90 to 90) required' };
+    }
+    return { value: { yaw: ((yaw % 360) + 360) % 360, pitch } };
+}
+
+function parsePosition(position) {
+    if (!position || typeof position !== 'object') {
+        return { error: 'position must be { x, y, z }' };
+    }
+    const value = { x: Number(position.x), y: Number(position.y), z: Number(position.z) };
+    if (![value.x, value.y, value.z].every(Number.isFinite)) {
+        return { error: 'position: numeric x, y and z required' };
+    }
+    return { value };
+}
+
+function parseInventory(inventory) {
+    if (!Array.isArray(inventory) || inventory.length > INVENTORY_SIZE) {
+        return { error: `inventory must be a list of at most ${INVENTORY_SIZE} stacks` };
+    }
+    
+    const usedSlots = new Set();
+    const stacks = [];
+    
+    for (const stack of inventory) {
+        if (!stack || typeof stack !== 'object') {
+            return { error: 'inventory stacks must be objects' };
+        }
+        
+        const slot = Number(stack.slot);
+        if (!Number.isInteger(slot) || slot < 0 || slot >= INVENTORY_SIZE || usedSlots.has(slot)) {
+            return { error: `inventory: slot must be a unique integer 0-${INVENTORY_SIZE - 1}` };
+        }
+        if (typeof stack.item !== 'string' || stack.item.length > 64 || !ITEM_ID_PATTERN.test(stack.item)) {
+            return { error: `inventory slot ${slot}: invalid item id` };
+        }
+        
+        const count = Number(stack.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_STACK_SIZE) {
+            return { error: `inventory slot ${slot}: count must be 1-${MAX_STACK_SIZE}` };
+        }
+        
+        const parsed = { slot, item: stack.item, count };
+        if (stack.durability !== undefined && stack.durability !== null) {
+            const durability = Number(stack.durability);
+            if (!Number.isInteger(durability) || durability < 0) {
+                return { error: `inventory slot ${slot}: durability must be a non-negative integer` };
+            }
+            parsed.durability = durability;
+        }
+        
+        usedSlots.add(slot);
+        stacks.push(parsed);
+    }
+    
+    return { value: stacks.sort((a, b) => a.slot - b.slot) };
+}
+
+function parseCustom(custom) {
+    if (custom === null) {
+        return { value: null };
+    }
+    if (typeof custom !== 'object' || Array.isArray(custom)) {
+        return { error: 'custom must be an object or null' };
+    }
+    if (Buffer.byteLength(JSON.stringify(custom)) > CUSTOM_DATA_LIMIT) {
+        return { error: `custom data is limited to ${CUSTOM_DATA_LIMIT} bytes` };
+    }
+    return { value: custom };
+}
+
+// Validate the fields a server sent and merge them over the current state.
+// Omitted fields keep their current value; custom: null clears the blob.
+function mergeState(current, input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'state must be an object' };
+    }
+    
+    const state = { ...current };
+    
+    if (input.rotation !== undefined) {
+        const { value, error } = parseRotation(input.rotation);
+        if (error) return { error };
+        state.rotation = value;
+    }
+    
+    if (input.health !== undefined) {
+        const health = Number(input.health);
+        if (!Number.isFinite(health) || health < 0 || health > MAX_HEALTH) {
+            return { error: `health must be 0-${MAX_HEALTH}` };
+        }
+        state.health = health;
+    }
+    
+    if (input.selectedSlot !== undefined) {
+        const slot = Number(input.selectedSlot);
+        if (!Number.isInteger(slot) || slot < 0 || slot >= HOTBAR_SIZE) {
+            return { error: `selectedSlot must be 0-${HOTBAR_SIZE - 1}` };
+        }
+        state.selectedSlot = slot;
+    }
+    
+    if (input.inventory !== undefined) {
+        const { value, error } = parseInventory(input.inventory);
+        if (error) return { error };
+        state.inventory = value;
+    }
+    
+    if (input.custom !== undefined) {
+        const { value, error } = parseCustom(input.custom);
+        if (error) return { error };
+        state.custom = value;
+    }
+    
+    return { state };
+}
+
+// The document sent to game servers
+function serializeState({ placeId, revision, position, state, updatedAt }) {
+    return {
+        version: STATE_VERSION,
+        revision,
+        placeId,
+        position,
+        ...state,
+        updatedAt
+    };
+}
+
+module.exports = { defaultState, mergeState, parsePosition, serializeState };
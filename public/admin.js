@@ -0,0 +1,515 @@
+// API URL
+const API_URL = '/api';
+
+// State (the admin page reuses the session saved by the main page)
+let authToken = localStorage.getItem('authToken');
+let refreshToken = localStorage.getItem('refreshToken');
+let searchPage = 1;
+let selectedUserId = null;
+let permissions = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!authToken) {
+        showMessage('adminMessage', 'Sign in on the main page (with "Remember me") first');
+        return;
+    }
+    
+    permissions = await loadPermissions();
+    if (!permissions.includes('view-users')) {
+        showMessage('adminMessage', 'Moderator access required');
+        return;
+    }
+    
+    // Only show the tools this role can use
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.classList.toggle('hidden', !permissions.includes(el.dataset.permission));
+    });
+    
+    document.getElementById('adminContent').classList.remove('hidden');
+    searchUsers(1);
+    if (permissions.includes('manage-lockouts')) loadLockouts();
+    if (permissions.includes('publish-releases')) loadReleases();
+    if (permissions.includes('view-audit-log')) loadAuditLog();
+    setupAdminForms();
+});
+
+async function loadPermissions() {
+    const verify = () => fetch(`${API_URL}/verify`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${authToken}` }
+    }).then(response => response.json());
+    
+    let data = await verify();
+    if (!data.valid && await refreshSession()) {
+        data = await verify();
+    }
+    return data.valid ? data.permissions : [];
+}
+
+function showMessage(elementId, message, isError = true) {
+    const el = document.getElementById(elementId);
+    if (el) {
+        el.textContent = message;
+        el.className = 'message ' + (isError ? 'error' : 'success');
+    }
+}
+
+function formatDate(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleString('en-US', {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+// Same refresh handling as app.js
+async function refreshSession() {
+    if (!refreshToken) return false;
+    
+    try {
+        const response = await fetch(`${API_URL}/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        const data = await response.json();
+        
+        if (!data.success) return false;
+        
+        authToken = data.token;
+        refreshToken = data.refreshToken;
+        localStorage.setItem('authToken', authToken);
+        localStorage.setItem('refreshToken', refreshToken);
+        return true;
+    } catch (error) {
+        console.error('Refresh error:', error);
+        return false;
+    }
+}
+
+async function authFetch(url, options = {}) {
+    const request = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${authToken}` },
+        credentials: 'include'
+    });
+    
+    let response = await request();
+    if (response.status === 401 && await refreshSession()) {
+        response = await request();
+    }
+    return response;
+}
+
+async function postJson(url, body = {}) {
+    const response = await authFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+// ==================== USERS ====================
+
+async function searchUsers(page = 1) {
+    const q = document.getElementById('searchQuery').value.trim();
+    
+    try {
+        const response = await authFetch(`${API_URL}/admin/users?q=${encodeURIComponent(q)}&page=${page}`);
+        renderUsers(await response.json());
+    } catch (error) {
+        console.error('Search error:', error);
+        showMessage('adminMessage', 'Connection error');
+    }
+}
+
+function renderUsers(data) {
+    const tbody = document.getElementById('userResults');
+    tbody.innerHTML = '';
+    
+    if (!data.success) {
+        showMessage('adminMessage', data.message || 'Search failed');
+        return;
+    }
+    
+    searchPage = data.page;
+    const pages = Math.max(1, Math.ceil(data.total / data.pageSize));
+    document.getElementById('pageInfo').textContent = `${data.page} / ${pages} (${data.total})`;
+    document.getElementById('prevPage').disabled = data.page <= 1;
+    document.getElementById('nextPage').disabled = data.page >= pages;
+    
+    data.users.forEach(user => {
+        const row = document.createElement('tr');
+        row.className = user.id === selectedUserId ? 'selected' : '';
+        
+        [user.id, user.username, user.email, user.role, user.isBanned ? 'BANNED' : 'OK'].forEach((value, i) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (i === 4 && user.isBanned) cell.className = 'status-banned';
+            row.appendChild(cell);
+        });
+        
+        row.addEventListener('click', () => selectUser(user.id));
+        tbody.appendChild(row);
+    });
+}
+
+async function selectUser(userId) {
+    selectedUserId = userId;
+    
+    try {
+        const response = await authFetch(`${API_URL}/admin/users/${userId}`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('adminMessage', data.message || 'Failed to load user');
+            return;
+        }
+        
+        const { user, history } = data;
+        
+        document.getElementById('userDetail').classList.remove('hidden');
+        document.getElementById('detailTitle').textContent = `${user.username} (#${user.id})`;
+        document.getElementById('detailEmail').textContent = user.email + (user.emailVerified ? '' : ' (unverified)');
+        document.getElementById('detailJoined').textContent = formatDate(user.createdAt);
+        document.getElementById('detailLastLogin').textContent = formatDate(user.lastLogin);
+        document.getElementById('detailStatus').textContent = user.isBanned
+            ? `Banned ${user.bannedUntil ? 'until ' + formatDate(user.bannedUntil) : 'permanently'}: ${user.banReason || '-'}`
+            : 'Active';
+        
+        document.getElementById('roleSelect').value = user.role;
+        renderAuditEntries('userHistory', history);
+    } catch (error) {
+        console.error('Load user error:', error);
+        showMessage('adminMessage', 'Connection error');
+    }
+}
+
+// Run a moderation action on the selected user and reload everything it affects
+async function moderate(action, body) {
+    if (!selectedUserId) return;
+    
+    try {
+        const data = await postJson(`${API_URL}/admin/users/${selectedUserId}/${action}`, body);
+        
+        if (!data.success) {
+            showMessage('adminMessage', data.message || 'Action failed');
+            return;
+        }
+        
+        showMessage('adminMessage', 'Done', false);
+        await selectUser(selectedUserId);
+        searchUsers(searchPage);
+        if (permissions.includes('view-audit-log')) loadAuditLog();
+    } catch (error) {
+        console.error(`${action} error:`, error);
+        showMessage('adminMessage', 'Connection error');
+    }
+}
+
+function setupAdminForms() {
+    document.getElementById('searchForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        searchUsers(1);
+    });
+    document.getElementById('prevPage').addEventListener('click', () => searchUsers(searchPage - 1));
+    document.getElementById('nextPage').addEventListener('click', () => searchUsers(searchPage + 1));
+    
+    document.getElementById('banForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const reason = document.getElementById('banReason').value.trim();
+        const hours = parseInt(document.getElementById('banDuration').value, 10);
+        const until = hours ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null;
+        
+        moderate('ban', { reason, until });
+    });
+    
+    document.getElementById('unbanBtn').addEventListener('click', () => moderate('unban'));
+    
+    document.getElementById('roleForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        moderate('role', { role: document.getElementById('roleSelect').value });
+    });
+    
+    document.getElementById('renameForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        moderate('rename', { newUsername: document.getElementById('renameUsername').value.trim() });
+    });
+    
+    document.getElementById('resetFaceBtn').addEventListener('click', () => {
+        if (confirm('Reset this face to default.png?')) moderate('reset-face');
+    });
+    
+    document.getElementById('releaseForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        publishRelease();
+    });
+}
+
+// ==================== CLIENT RELEASES ====================
+
+async function loadReleases() {
+    const list = document.getElementById('releaseList');
+    
+    try {
+        const response = await authFetch(`${API_URL}/admin/releases`);
+        const data = await response.json();
+        
+        list.innerHTML = '';
+        
+        if (!data.releases || !data.releases.length) {
+            list.innerHTML = '<tr><td colspan="7">Nothing published yet</td></tr>';
+            return;
+        }
+        
+        data.releases.forEach(release => {
+            const row = document.createElement('tr');
+            const cells = [
+                release.version,
+                release.channel,
+                `${release.fileCount} (${(release.totalSize / 1024 / 1024).toFixed(1)}MB)`,
+                release.minVersion || '-',
+                `${formatDate(release.publishedAt)}${release.publishedBy ? ' by ' + release.publishedBy : ''}`
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            if (release.notes) row.title = release.notes;
+            
+            const downloads = document.createElement('td');
+            const downloadsBtn = document.createElement('button');
+            downloadsBtn.className = 'btn-small';
+            downloadsBtn.textContent = release.downloads;
+            downloadsBtn.title = 'Downloads per file and patch';
+            downloadsBtn.addEventListener('click', () => loadReleaseDownloads(release.version));
+            downloads.appendChild(downloadsBtn);
+            row.appendChild(downloads);
+            
+            const actions = document.createElement('td');
+            actions.className = 'admin-actions';
+            
+            if (release.channel === 'beta') {
+                const promote = document.createElement('button');
+                promote.className = 'btn-small';
+                promote.textContent = 'PROMOTE';
+                promote.title = 'Move to the stable channel';
+                promote.addEventListener('click', () => updateRelease(release.version, { channel: 'stable' }));
+                actions.appendChild(promote);
+            }
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn-small btn-danger';
+            remove.textContent = 'DELETE';
+            remove.addEventListener('click', () => {
+                if (confirm(`Delete release ${release.version} and its files?`)) deleteRelease(release.version);
+            });
+            actions.appendChild(remove);
+            
+            row.appendChild(actions);
+            list.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Releases error:', error);
+    }
+}
+
+async function loadReleaseDownloads(version) {
+    const list = document.getElementById('releaseDownloads');
+    
+    try {
+        const response = await authFetch(`${API_URL}/admin/releases/${encodeURIComponent(version)}/downloads`);
+        const data = await response.json();
+        if (!data.success) return;
+        
+        document.getElementById('releaseDownloadsTitle').textContent = `Downloads of ${version}`;
+        document.getElementById('releaseDownloadsSection').classList.remove('hidden');
+        list.innerHTML = '';
+        
+        if (!data.downloads.length) {
+            const empty = document.createElement('li');
+            empty.textContent = 'Nothing downloaded yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        data.downloads.forEach(entry => {
+            const item = document.createElement('li');
+            const what = entry.kind === 'patch'
+                ? (entry.name === 'full' ? 'full bundle' : `patch from ${entry.name}`)
+                : entry.name;
+            item.textContent = `${entry.downloads} × ${what} • last ${formatDate(entry.lastDownloadAt)}`;
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Release downloads error:', error);
+    }
+}
+
+// Upload the chosen client folder; each file is sent with its path inside
+// the folder (the folder's own name is dropped)
+async function publishRelease() {
+    const files = Array.from(document.getElementById('releaseFiles').files);
+    const body = new FormData();
+    body.append('version', document.getElementById('releaseVersion').value.trim());
+    body.append('channel', document.getElementById('releaseChannel').value);
+    body.append('minVersion', document.getElementById('releaseMinVersion').value.trim());
+    body.append('notes', document.getElementById('releaseNotes').value);
+    files.forEach(file => {
+        const relative = (file.webkitRelativePath || file.name).split('/').slice(file.webkitRelativePath ? 1 : 0).join('/');
+        body.append('files', file, relative);
+    });
+    
+    showMessage('releaseMessage', `Uploading ${files.length} files...`, false);
+    
+    try {
+        const response = await authFetch(`${API_URL}/admin/releases`, { method: 'POST', body });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('releaseMessage', data.message || 'Publish failed');
+            return;
+        }
+        
+        showMessage('releaseMessage', `Published ${data.release.version} (${data.release.fileCount} files)`, false);
+        document.getElementById('releaseForm').reset();
+        loadReleases();
+        if (permissions.includes('view-audit-log')) loadAuditLog();
+    } catch (error) {
+        console.error('Publish release error:', error);
+        showMessage('releaseMessage', 'Connection error');
+    }
+}
+
+async function updateRelease(version, fields) {
+    const response = await authFetch(`${API_URL}/admin/releases/${encodeURIComponent(version)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        showMessage('releaseMessage', data.message || 'Update failed');
+        return;
+    }
+    loadReleases();
+    if (permissions.includes('view-audit-log')) loadAuditLog();
+}
+
+async function deleteRelease(version) {
+    const response = await authFetch(`${API_URL}/admin/releases/${encodeURIComponent(version)}`, { method: 'DELETE' });
+    const data = await response.json();
+    
+    if (!data.success) {
+        showMessage('releaseMessage', data.message || 'Delete failed');
+        return;
+    }
+    loadReleases();
+    if (permissions.includes('view-audit-log')) loadAuditLog();
+}
+
+// ==================== AUDIT LOG & LOCKOUTS ====================
+
+function describeAuditEntry(entry) {
+    const target = entry.target || (entry.targetUserId ? `#${entry.targetUserId}` : '');
+    const details = entry.details || {};
+    
+    switch (entry.action) {
+        case 'ban':
+            return `banned ${target}${details.until ? ' until ' + formatDate(details.until) : ''}: ${details.reason}`;
+        case 'unban':
+            return `unbanned ${target}`;
+        case 'rename':
+            return `renamed ${details.from} to ${details.to}`;
+        case 'reset-face':
+            return `reset the face of ${target}`;
+        case 'unlock':
+            return `lifted lockout ${details.key}`;
+        case 'set-role':
+            return `made ${target} ${details.to}${details.via ? ' (' + details.via + ')' : ''}`;
+        case 'delete-place':
+            return `deleted place "${details.name}" of ${target}`;
+        case 'import-world':
+            return `imported ${details.chunks} chunks into place "${details.name}" of ${target}`;
+        case 'publish-release':
+            return `published ${details.channel} release ${details.version} (${details.files} files)`;
+        case 'update-release':
+            return `updated release ${details.version}${details.channel ? ' (now ' + details.channel + ')' : ''}`;
+        case 'delete-release':
+            return `deleted ${details.channel} release ${details.version}`;
+        default:
+            return `${entry.action} ${target}`;
+    }
+}
+
+function renderAuditEntries(listId, entries) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    
+    if (!entries.length) {
+        const empty = document.createElement('li');
+        empty.textContent = 'Nothing yet';
+        list.appendChild(empty);
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = `${formatDate(entry.createdAt)} • ${entry.actor || 'system'} ${describeAuditEntry(entry)}`;
+        list.appendChild(item);
+    });
+}
+
+async function loadAuditLog() {
+    try {
+        const response = await authFetch(`${API_URL}/admin/audit`);
+        const data = await response.json();
+        if (data.success) renderAuditEntries('auditList', data.entries);
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+}
+
+async function loadLockouts() {
+    const list = document.getElementById('lockoutList');
+    
+    try {
+        const response = await authFetch(`${API_URL}/admin/lockouts`);
+        const data = await response.json();
+        
+        list.innerHTML = '';
+        
+        if (!data.lockouts || !data.lockouts.length) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No active lockouts';
+            list.appendChild(empty);
+            return;
+        }
+        
+        data.lockouts.forEach(lockout => {
+            const item = document.createElement('li');
+            item.className = 'lockout-item';
+            
+            const text = document.createElement('span');
+            text.textContent = `${lockout.key} • until ${formatDate(lockout.lockedUntil)} (#${lockout.lockouts})`;
+            
+            const btn = document.createElement('button');
+            btn.className = 'btn-small';
+            btn.textContent = 'UNLOCK';
+            btn.addEventListener('click', async () => {
+                await authFetch(`${API_URL}/admin/lockouts/${encodeURIComponent(lockout.key)}`, { method: 'DELETE' });
+                loadLockouts();
+                loadAuditLog();
+            });
+            
+            item.appendChild(text);
+            item.appendChild(btn);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Lockouts error:', error);
+    }
+}
@@ -4,18 +4,50 @@ const API_URL = '/api';
 // State
 let currentUser = null;
 let authToken = null;
-
-// Avatar base URL
-const AVATAR_BASE_URL = 'https://forgeblock.onrender.com/faces/';
+let refreshToken = null;
+let resetToken = null;
+let pendingDeviceCode = null; // from a ?device= link, confirmed once logged in
+let loginChallenge = null; // from /api/login when the account has 2FA
+let loginRemember = true;
+let gatewaySocket = null;
+let gatewayRetries = 0;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-    checkSession();
+    // Opened from a password reset email
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('reset')) {
+        resetToken = params.get('reset');
+        window.history.replaceState(null, '', window.location.pathname);
+        showAuthSection();
+        showTab('reset');
+    } else {
+        // Opened from the link a game client shows for device login
+        if (params.has('device')) {
+            pendingDeviceCode = params.get('device');
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+        
+        checkSession();
+        
+        // Opened from an email verification link
+        if (params.get('verify')) {
+            window.history.replaceState(null, '', window.location.pathname);
+            verifyEmail(params.get('verify'));
+        }
+    }
+    
     checkServerStatus();
     setupForms();
+    setupPasswordForms();
+    setupFriendForms();
     setupUsernameValidation();
     
     setInterval(checkServerStatus, 30000);
+    // Fallback for when the live connection is down
+    setInterval(() => {
+        if (currentUser && !isGatewayOpen()) loadFriends();
+    }, 30000);
     
     const modal = document.getElementById('settingsModal');
     if (modal) {
@@ -59,27 +91,88 @@ function isValidUsername(username) {
     return /^[a-zA-Z0-9_]{3,24}$/.test(username);
 }
 
+// Save tokens after login/refresh (persisted only for "remember me" sessions)
+function setSession(token, refresh, username, remember) {
+    authToken = token;
+    refreshToken = refresh;
+    currentUser = username;
+    
+    if (remember) {
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('refreshToken', refresh);
+        localStorage.setItem('username', username);
+    }
+}
+
+function clearSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('username');
+    authToken = null;
+    refreshToken = null;
+    currentUser = null;
+}
+
+// Get a new access token with the refresh token
+async function refreshSession() {
+    if (!refreshToken) return false;
+    
+    try {
+        const response = await fetch(`${API_URL}/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ refreshToken })
+        });
+        const data = await response.json();
+        
+        if (!data.success) return false;
+        
+        setSession(data.token, data.refreshToken, data.username, !!localStorage.getItem('refreshToken'));
+        return true;
+    } catch (error) {
+        console.error('Refresh error:', error);
+        return false;
+    }
+}
+
+// fetch() with the access token; refreshes it once if it has expired
+async function authFetch(url, options = {}) {
+    const request = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${authToken}` },
+        credentials: 'include'
+    });
+    
+    let response = await request();
+    if (response.status === 401 && await refreshSession()) {
+        response = await request();
+    }
+    return response;
+}
+
 // Tab switching
 function showTab(tab) {
     const loginTab = document.getElementById('loginTab');
     const registerTab = document.getElementById('registerTab');
-    const loginForm = document.getElementById('loginForm');
-    const registerForm = document.getElementById('registerForm');
+    const forms = {
+        login: document.getElementById('loginForm'),
+        register: document.getElementById('registerForm'),
+        forgot: document.getElementById('forgotForm'),
+        reset: document.getElementById('resetForm'),
+        twoFactor: document.getElementById('twoFactorForm')
+    };
     
     // Сброс всех сообщений
     clearMessages();
     
-    if (tab === 'login') {
-        loginTab.classList.add('active');
-        registerTab.classList.remove('active');
-        loginForm.classList.remove('hidden');
-        registerForm.classList.add('hidden');
-    } else {
-        registerTab.classList.add('active');
-        loginTab.classList.remove('active');
-        registerForm.classList.remove('hidden');
-        loginForm.classList.add('hidden');
-    }
+    // Forgot/reset belong to the sign in tab
+    loginTab.classList.toggle('active', tab !== 'register');
+    registerTab.classList.toggle('active', tab === 'register');
+    
+    Object.entries(forms).forEach(([name, form]) => {
+        if (form) form.classList.toggle('hidden', name !== tab);
+    });
 }
 
 function clearMessages() {
@@ -143,13 +236,27 @@ function showUserPanel() {
     // Load avatar
     if (currentUser) {
         loadPlayerAvatar(currentUser);
+        loadPanelPlayTime();
+        loadAchievements();
+        loadFriends();
+        connectGateway();
+        
+        if (pendingDeviceCode !== null) {
+            openDeviceLink(pendingDeviceCode);
+            pendingDeviceCode = null;
+        }
     }
     
     console.log('Showing user panel for:', currentUser);
 }
 
+// Face of a player, served by the API with thumbnails (see /api/avatar)
+function avatarUrlFor(username, size) {
+    return `${API_URL}/avatar/${encodeURIComponent(username)}.png?size=${size}`;
+}
+
 // Load Player Avatar
-async function loadPlayerAvatar(username) {
+function loadPlayerAvatar(username) {
     const placeholder = document.getElementById('avatarPlaceholder');
     const loading = document.getElementById('avatarLoading');
     const avatarImg = document.getElementById('userFaceImg');
@@ -161,36 +268,21 @@ async function loadPlayerAvatar(username) {
     loading.style.display = 'flex';
     avatarImg.style.display = 'none';
     
-    try {
-        // Try to load avatar from server
-        const avatarUrl = `${AVATAR_BASE_URL}${username}.png?t=${Date.now()}`;
-        
-        // Create image element and test if it loads
-        const img = new Image();
-        img.onload = function() {
-            avatarImg.src = avatarUrl;
-            loading.style.display = 'none';
-            avatarImg.style.display = 'block';
-        };
-        
-        img.onerror = function() {
-            // If avatar not found, load default
-            avatarImg.src = `${AVATAR_BASE_URL}default.png`;
-            avatarImg.onload = function() {
-                loading.style.display = 'none';
-                avatarImg.style.display = 'block';
-            };
-        };
-        
-        img.src = avatarUrl;
-        
-    } catch (error) {
-        console.error('Failed to load avatar:', error);
+    // The API answers with the stored face (or the default), revalidated by ETag
+    const avatarUrl = avatarUrlFor(username, 128);
+    const img = new Image();
+    img.onload = function() {
+        avatarImg.src = avatarUrl;
+        loading.style.display = 'none';
+        avatarImg.style.display = 'block';
+    };
+    img.onerror = function() {
         // Show first letter as fallback
         loading.style.display = 'none';
         placeholder.textContent = username.charAt(0).toUpperCase();
         placeholder.style.display = 'flex';
-    }
+    };
+    img.src = avatarUrl;
 }
 
 // Settings Modal
@@ -210,24 +302,19 @@ function closeSettings() {
         modal.style.display = 'none';
     }
     clearMessages();
+    resetDeviceLink();
+    hideCreatedToken();
+    hideTwoFactorSecrets();
 }
 
 async function loadSettings() {
+    loadSessions();
+    loadSkins();
+    loadTokens();
+    loadTwoFactor();
+    
     try {
-        const tokenResponse = await fetch(`${API_URL}/get-token`, {
-            headers: { 'Authorization': `Bearer ${authToken}` },
-            credentials: 'include'
-        });
-        const tokenData = await tokenResponse.json();
-        const authTokenEl = document.getElementById('authToken');
-        if (authTokenEl) {
-            authTokenEl.textContent = tokenData.token || authToken || 'Error loading token';
-        }
-        
-        const settingsResponse = await fetch(`${API_URL}/settings`, {
-            headers: { 'Authorization': `Bearer ${authToken}` },
-            credentials: 'include'
-        });
+        const settingsResponse = await authFetch(`${API_URL}/settings`);
         
         if (settingsResponse.ok) {
             const data = await settingsResponse.json();
@@ -235,8 +322,13 @@ async function loadSettings() {
             const userEmail = document.getElementById('userEmail');
             const userJoined = document.getElementById('userJoined');
             const newUsername = document.getElementById('newUsername');
+            const emailNotice = document.getElementById('placeholderEmailNotice');
+            
+            if (userEmail) userEmail.textContent = data.hasRealEmail ? data.email : 'Not set';
+            if (emailNotice) emailNotice.classList.toggle('hidden', data.hasRealEmail);
             
-            if (userEmail) userEmail.textContent = data.email || '-';
+            const verifyRow = document.getElementById('emailVerifyRow');
+            if (verifyRow) verifyRow.classList.toggle('hidden', !data.hasRealEmail || data.emailVerified);
             if (userJoined) {
                 const date = new Date(data.createdAt);
                 userJoined.textContent = date.toLocaleDateString('en-US', {
@@ -244,12 +336,68 @@ async function loadSettings() {
                 });
             }
             if (newUsername) newUsername.placeholder = data.username;
+            if (data.playTime) renderPlayTime(data.playTime);
+            
+            const facePreview = document.getElementById('facePreview');
+            if (facePreview) facePreview.src = avatarUrlFor(data.username, 128);
         }
     } catch (error) {
         console.error('Load settings error:', error);
     }
 }
 
+// Play time
+function formatPlayTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return seconds > 0 ? '<1m' : '0m';
+}
+
+async function loadPanelPlayTime() {
+    const panelEl = document.getElementById('panelPlayTime');
+    if (!panelEl) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/settings`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        if (data.playTime) {
+            panelEl.textContent = `Played ${formatPlayTime(data.playTime.total)}`;
+        }
+    } catch (error) {
+        console.error('Play time error:', error);
+    }
+}
+
+function renderPlayTime(playTime) {
+    const totalEl = document.getElementById('userPlayTime');
+    const placesEl = document.getElementById('placePlayTime');
+    const panelEl = document.getElementById('panelPlayTime');
+    
+    if (totalEl) totalEl.textContent = formatPlayTime(playTime.total);
+    if (panelEl) panelEl.textContent = `Played ${formatPlayTime(playTime.total)}`;
+    if (!placesEl) return;
+    
+    placesEl.innerHTML = '';
+    playTime.places.slice(0, 5).forEach(place => {
+        const row = document.createElement('div');
+        row.className = 'info-row info-row-sub';
+        
+        const name = document.createElement('span');
+        name.textContent = `${place.name || `Place ${place.placeId}`}` +
+            (playTime.current && playTime.current.placeId === place.placeId ? ' (now)' : '');
+        
+        const time = document.createElement('span');
+        time.textContent = formatPlayTime(place.seconds);
+        
+        row.append(name, time);
+        placesEl.appendChild(row);
+    });
+}
+
 // Setup form handlers
 function setupForms() {
     // Login
@@ -283,18 +431,17 @@ function setupForms() {
                 if (data.success) {
                     showMessage('loginMessage', 'Login successful!', false);
                     
-                    authToken = data.token;
-                    currentUser = data.username;
-                    
-                    if (remember) {
-                        localStorage.setItem('authToken', data.token);
-                        localStorage.setItem('username', data.username);
-                    }
+                    setSession(data.token, data.refreshToken, data.username, remember);
                     
                     // Switch to user panel
                     setTimeout(() => {
                         showUserPanel();
                     }, 300);
+                } else if (data.twoFactorRequired) {
+                    loginChallenge = data.challenge;
+                    loginRemember = remember;
+                    showTab('twoFactor');
+                    document.getElementById('loginTwoFactorCode').focus();
                 } else {
                     showMessage('loginMessage', data.message || 'Login failed');
                 }
@@ -308,6 +455,49 @@ function setupForms() {
         });
     }
     
+    // Second login step (2FA)
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    if (twoFactorForm) {
+        twoFactorForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const btn = document.getElementById('twoFactorBtn');
+            setButtonLoading(btn, true);
+            
+            try {
+                const response = await fetch(`${API_URL}/login/2fa`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({
+                        challenge: loginChallenge,
+                        code: document.getElementById('loginTwoFactorCode').value.trim()
+                    })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    const left = data.recoveryCodesLeft;
+                    showMessage('twoFactorMessage', left !== undefined
+                        ? `Recovery code used, ${left} left`
+                        : 'Login successful!', false);
+                    
+                    loginChallenge = null;
+                    twoFactorForm.reset();
+                    setSession(data.token, data.refreshToken, data.username, loginRemember);
+                    setTimeout(() => showUserPanel(), left !== undefined ? 1500 : 300);
+                } else {
+                    showMessage('twoFactorMessage', data.message || 'Verification failed');
+                }
+            } catch (error) {
+                console.error('2FA login error:', error);
+                showMessage('twoFactorMessage', 'Connection error. Please try again.');
+            }
+            
+            setButtonLoading(btn, false);
+        });
+    }
+    
     // Register
     const registerForm = document.getElementById('registerForm');
     if (registerForm) {
@@ -361,10 +551,7 @@ function setupForms() {
                             const loginData = await loginResponse.json();
                             
                             if (loginData.success) {
-                                authToken = loginData.token;
-                                currentUser = loginData.username;
-                                localStorage.setItem('authToken', loginData.token);
-                                localStorage.setItem('username', loginData.username);
+                                setSession(loginData.token, loginData.refreshToken, loginData.username, true);
                                 
                                 // Switch to user panel
                                 showUserPanel();
@@ -393,6 +580,265 @@ function setupForms() {
         });
     }
     
+    // Upload Face Form
+    const uploadFaceForm = document.getElementById('uploadFaceForm');
+    const faceFile = document.getElementById('faceFile');
+    if (faceFile) {
+        faceFile.addEventListener('change', () => {
+            const preview = document.getElementById('facePreview');
+            if (preview && faceFile.files[0]) {
+                preview.src = URL.createObjectURL(faceFile.files[0]);
+            }
+        });
+    }
+    if (uploadFaceForm) {
+        uploadFaceForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const file = faceFile.files[0];
+            if (!file) return;
+            
+            if (file.size > 512 * 1024) {
+                showMessage('faceMessage', 'Face files are limited to 512KB');
+                return;
+            }
+            
+            const btn = uploadFaceForm.querySelector('button[type="submit"]');
+            if (btn) {
+                btn.disabled = true;
+                btn.classList.add('loading');
+            }
+            
+            try {
+                const body = new FormData();
+                body.append('face', file);
+                
+                const response = await authFetch(`${API_URL}/upload-face`, { method: 'POST', body });
+                const data = await response.json();
+                
+                if (data.success) {
+                    showMessage('faceMessage', 'Face updated!', false);
+                    faceFile.value = '';
+                    loadPlayerAvatar(currentUser);
+                    document.getElementById('facePreview').src = avatarUrlFor(currentUser, 128);
+                } else {
+                    showMessage('faceMessage', data.message || 'Upload failed');
+                }
+            } catch (error) {
+                console.error('Upload face error:', error);
+                showMessage('faceMessage', 'Connection error');
+            }
+            
+            if (btn) {
+                btn.disabled = false;
+                btn.classList.remove('loading');
+            }
+        });
+    }
+    
+    // Upload Skin Form
+    const uploadSkinForm = document.getElementById('uploadSkinForm');
+    if (uploadSkinForm) {
+        uploadSkinForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const skinFile = document.getElementById('skinFile');
+            const file = skinFile.files[0];
+            if (!file) return;
+            
+            if (file.size > 64 * 1024) {
+                showMessage('skinMessage', 'Skin files are limited to 64KB');
+                return;
+            }
+            
+            const btn = uploadSkinForm.querySelector('button[type="submit"]');
+            if (btn) {
+                btn.disabled = true;
+                btn.classList.add('loading');
+            }
+            
+            try {
+                const body = new FormData();
+                body.append('model', document.getElementById('skinModel').value);
+                body.append('skin', file);
+                
+                const response = await authFetch(`${API_URL}/upload-skin`, { method: 'POST', body });
+                const data = await response.json();
+                
+                if (data.success) {
+                    showMessage('skinMessage', 'Skin updated!', false);
+                    skinFile.value = '';
+                    loadSkins();
+                } else {
+                    showMessage('skinMessage', data.message || 'Upload failed');
+                }
+            } catch (error) {
+                console.error('Upload skin error:', error);
+                showMessage('skinMessage', 'Connection error');
+            }
+            
+            if (btn) {
+                btn.disabled = false;
+                btn.classList.remove('loading');
+            }
+        });
+    }
+    
+    // Link Game Client Form
+    const deviceLinkForm = document.getElementById('deviceLinkForm');
+    if (deviceLinkForm) {
+        deviceLinkForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            lookupDevice(document.getElementById('deviceUserCode').value);
+        });
+    }
+    
+    // Two-Factor Setup: password, then the QR code and a first code
+    const twoFactorSetupForm = document.getElementById('twoFactorSetupForm');
+    if (twoFactorSetupForm) {
+        twoFactorSetupForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            try {
+                const response = await authFetch(`${API_URL}/two-factor/setup`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password: document.getElementById('twoFactorSetupPassword').value })
+                });
+                const data = await response.json();
+                
+                if (!data.success) {
+                    showMessage('twoFactorSettingsMessage', data.message || 'Failed to start setup');
+                    return;
+                }
+                
+                twoFactorSetupForm.reset();
+                twoFactorSetupForm.classList.add('hidden');
+                document.getElementById('twoFactorQr').src = data.qrCode;
+                document.getElementById('twoFactorSecret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+                document.getElementById('twoFactorEnableForm').classList.remove('hidden');
+                showMessage('twoFactorSettingsMessage', '', false);
+            } catch (error) {
+                console.error('2FA setup error:', error);
+                showMessage('twoFactorSettingsMessage', 'Connection error');
+            }
+        });
+    }
+    
+    const twoFactorEnableForm = document.getElementById('twoFactorEnableForm');
+    if (twoFactorEnableForm) {
+        twoFactorEnableForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            try {
+                const response = await authFetch(`${API_URL}/two-factor/enable`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code: document.getElementById('twoFactorEnableCode').value.trim() })
+                });
+                const data = await response.json();
+                
+                if (!data.success) {
+                    showMessage('twoFactorSettingsMessage', data.message || 'Failed to enable 2FA');
+                    return;
+                }
+                
+                hideTwoFactorSecrets();
+                await loadTwoFactor();
+                showRecoveryCodes(data.recoveryCodes);
+                showMessage('twoFactorSettingsMessage', 'Two-factor authentication is on', false);
+            } catch (error) {
+                console.error('2FA enable error:', error);
+                showMessage('twoFactorSettingsMessage', 'Connection error');
+            }
+        });
+    }
+    
+    // Two-Factor Disable
+    const twoFactorManageForm = document.getElementById('twoFactorManageForm');
+    if (twoFactorManageForm) {
+        twoFactorManageForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            try {
+                const response = await authFetch(`${API_URL}/two-factor/disable`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        password: document.getElementById('twoFactorDisablePassword').value,
+                        twoFactorCode: twoFactorCodeFrom('twoFactorManageCode')
+                    })
+                });
+                const data = await response.json();
+                
+                if (!data.success) {
+                    showMessage('twoFactorSettingsMessage', data.message || 'Failed to disable 2FA');
+                    return;
+                }
+                
+                twoFactorManageForm.reset();
+                hideTwoFactorSecrets();
+                loadTwoFactor();
+                showMessage('twoFactorSettingsMessage', 'Two-factor authentication is off', false);
+            } catch (error) {
+                console.error('2FA disable error:', error);
+                showMessage('twoFactorSettingsMessage', 'Connection error');
+            }
+        });
+    }
+    
+    // Create Access Token Form
+    const createTokenForm = document.getElementById('createTokenForm');
+    if (createTokenForm) {
+        createTokenForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const scopes = [...createTokenForm.querySelectorAll('input[name="tokenScope"]:checked')].map(input => input.value);
+            if (scopes.length === 0) {
+                showMessage('tokenMessage', 'Choose at least one scope');
+                return;
+            }
+            
+            const btn = createTokenForm.querySelector('button[type="submit"]');
+            if (btn) {
+                btn.disabled = true;
+                btn.classList.add('loading');
+            }
+            
+            try {
+                const response = await authFetch(`${API_URL}/tokens`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        name: document.getElementById('tokenName').value,
+                        scopes,
+                        expiresInDays: parseInt(document.getElementById('tokenExpiry').value, 10),
+                        twoFactorCode: twoFactorCodeFrom('tokenTwoFactorCode')
+                    })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    createTokenForm.reset();
+                    document.getElementById('tokenValue').textContent = data.token;
+                    document.getElementById('tokenCreated').classList.remove('hidden');
+                    showMessage('tokenMessage', 'Token created', false);
+                    loadTokens();
+                } else {
+                    showMessage('tokenMessage', data.message || 'Failed to create token');
+                }
+            } catch (error) {
+                console.error('Create token error:', error);
+                showMessage('tokenMessage', 'Connection error');
+            }
+            
+            if (btn) {
+                btn.disabled = false;
+                btn.classList.remove('loading');
+            }
+        });
+    }
+    
     // Change Username Form
     const changeUsernameForm = document.getElementById('changeUsernameForm');
     if (changeUsernameForm) {
@@ -414,14 +860,10 @@ function setupForms() {
             }
             
             try {
-                const response = await fetch(`${API_URL}/change-username`, {
+                const response = await authFetch(`${API_URL}/change-username`, {
                     method: 'POST',
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${authToken}`
-                    },
-                    credentials: 'include',
-                    body: JSON.stringify({ newUsername, password })
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ newUsername, password, twoFactorCode: twoFactorCodeFrom('usernameTwoFactorCode') })
                 });
                 
                 const data = await response.json();
@@ -431,16 +873,20 @@ function setupForms() {
                     
                     currentUser = data.newUsername;
                     authToken = data.newToken;
-                    localStorage.setItem('authToken', data.newToken);
-                    localStorage.setItem('username', data.newUsername);
+                    if (localStorage.getItem('authToken')) {
+                        localStorage.setItem('authToken', data.newToken);
+                        localStorage.setItem('username', data.newUsername);
+                    }
                     
                     const userName = document.getElementById('userName');
                     const avatarPlaceholder = document.getElementById('avatarPlaceholder');
                     if (userName) userName.textContent = data.newUsername;
                     if (avatarPlaceholder) avatarPlaceholder.textContent = data.newUsername.charAt(0).toUpperCase();
+                    loadPlayerAvatar(data.newUsername);
                     
                     document.getElementById('newUsername').value = '';
                     document.getElementById('confirmPassword').value = '';
+                    document.getElementById('usernameTwoFactorCode').value = '';
                     
                     setTimeout(() => loadSettings(), 500);
                 } else {
@@ -459,24 +905,227 @@ function setupForms() {
     }
 }
 
-// Check existing session
-async function checkSession() {
-    const savedToken = localStorage.getItem('authToken');
-    const savedUser = localStorage.getItem('username');
-    
-    if (!savedToken || !savedUser) {
-        showAuthSection();
-        return;
-    }
-    
+// Email verification
+async function verifyEmail(token) {
     try {
-        const response = await fetch(`${API_URL}/verify`, {
+        const response = await fetch(`${API_URL}/verify-email`, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${savedToken}`
-            },
-            credentials: 'include'
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+        
+        // Only one of them is visible, depending on whether we're signed in
+        showMessage('panelMessage', data.message || 'Failed', !data.success);
+        showMessage('loginMessage', data.message || 'Failed', !data.success);
+    } catch (error) {
+        console.error('Verify email error:', error);
+    }
+}
+
+async function resendVerification() {
+    try {
+        const response = await authFetch(`${API_URL}/resend-verification`, { method: 'POST' });
+        const data = await response.json();
+        
+        showMessage('verifyMessage', data.message || 'Failed', !data.success);
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        showMessage('verifyMessage', 'Connection error');
+    }
+}
+
+// Disable a submit button and show its spinner while a request runs
+function setButtonLoading(btn, loading) {
+    if (!btn) return;
+    btn.disabled = loading;
+    btn.classList.toggle('loading', loading);
+}
+
+// Password and email forms (sign in page and settings)
+function setupPasswordForms() {
+    // Forgot Password Form
+    const forgotForm = document.getElementById('forgotForm');
+    if (forgotForm) {
+        forgotForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const email = document.getElementById('forgotEmail').value.trim();
+            const btn = document.getElementById('forgotBtn');
+            setButtonLoading(btn, true);
+            
+            try {
+                const response = await fetch(`${API_URL}/forgot-password`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email })
+                });
+                const data = await response.json();
+                
+                showMessage('forgotMessage', data.message || 'Failed', !data.success);
+            } catch (error) {
+                console.error('Forgot password error:', error);
+                showMessage('forgotMessage', 'Connection error');
+            }
+            
+            setButtonLoading(btn, false);
+        });
+    }
+    
+    // Reset Password Form
+    const resetForm = document.getElementById('resetForm');
+    if (resetForm) {
+        resetForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const newPassword = document.getElementById('resetPassword').value;
+            const confirm = document.getElementById('resetConfirm').value;
+            
+            if (newPassword !== confirm) {
+                showMessage('resetMessage', 'Passwords do not match');
+                return;
+            }
+            
+            if (!resetToken) {
+                showMessage('resetMessage', 'Reset link is invalid or has expired');
+                return;
+            }
+            
+            const btn = document.getElementById('resetBtn');
+            setButtonLoading(btn, true);
+            
+            try {
+                const response = await fetch(`${API_URL}/reset-password`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token: resetToken, newPassword })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    resetToken = null;
+                    resetForm.reset();
+                    clearSession();
+                    showTab('login');
+                    showMessage('loginMessage', data.message, false);
+                } else {
+                    showMessage('resetMessage', data.message || 'Failed to reset password');
+                }
+            } catch (error) {
+                console.error('Reset password error:', error);
+                showMessage('resetMessage', 'Connection error');
+            }
+            
+            setButtonLoading(btn, false);
+        });
+    }
+    
+    // Change Password Form
+    const changePasswordForm = document.getElementById('changePasswordForm');
+    if (changePasswordForm) {
+        changePasswordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const currentPassword = document.getElementById('currentPassword').value;
+            const newPassword = document.getElementById('newPassword').value;
+            const confirm = document.getElementById('newPasswordConfirm').value;
+            
+            if (newPassword !== confirm) {
+                showMessage('passwordChangeMessage', 'Passwords do not match');
+                return;
+            }
+            
+            const btn = changePasswordForm.querySelector('button[type="submit"]');
+            setButtonLoading(btn, true);
+            
+            try {
+                const response = await authFetch(`${API_URL}/change-password`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ currentPassword, newPassword, twoFactorCode: twoFactorCodeFrom('passwordTwoFactorCode') })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    const others = data.revokedSessions
+                        ? ` ${data.revokedSessions} other device(s) signed out.`
+                        : '';
+                    const tokens = data.revokedTokens
+                        ? ` ${data.revokedTokens} access token(s) revoked.`
+                        : '';
+                    showMessage('passwordChangeMessage', `Password changed!${others}${tokens}`, false);
+                    changePasswordForm.reset();
+                    loadSessions();
+                    loadTokens();
+                } else {
+                    showMessage('passwordChangeMessage', data.message || 'Failed');
+                }
+            } catch (error) {
+                console.error('Change password error:', error);
+                showMessage('passwordChangeMessage', 'Connection error');
+            }
+            
+            setButtonLoading(btn, false);
+        });
+    }
+    
+    // Change Email Form
+    const changeEmailForm = document.getElementById('changeEmailForm');
+    if (changeEmailForm) {
+        changeEmailForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const newEmail = document.getElementById('newEmail').value.trim();
+            const password = document.getElementById('emailChangePassword').value;
+            
+            const btn = changeEmailForm.querySelector('button[type="submit"]');
+            setButtonLoading(btn, true);
+            
+            try {
+                const response = await authFetch(`${API_URL}/change-email`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ newEmail, password, twoFactorCode: twoFactorCodeFrom('emailTwoFactorCode') })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    showMessage('emailChangeMessage', 'Email changed!', false);
+                    changeEmailForm.reset();
+                    loadSettings();
+                } else {
+                    showMessage('emailChangeMessage', data.message || 'Failed');
+                }
+            } catch (error) {
+                console.error('Change email error:', error);
+                showMessage('emailChangeMessage', 'Connection error');
+            }
+            
+            setButtonLoading(btn, false);
+        });
+    }
+}
+
+// Check existing session
+async function checkSession() {
+    const savedToken = localStorage.getItem('authToken');
+    const savedUser = localStorage.getItem('username');
+    
+    if (!savedToken || !savedUser) {
+        showAuthSection();
+        return;
+    }
+    
+    refreshToken = localStorage.getItem('refreshToken');
+    
+    try {
+        const response = await fetch(`${API_URL}/verify`, {
+            method: 'POST',
+            headers: { 
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${savedToken}`
+            },
+            credentials: 'include'
         });
         
         const data = await response.json();
@@ -485,9 +1134,11 @@ async function checkSession() {
             authToken = savedToken;
             currentUser = data.username || savedUser;
             showUserPanel();
+        } else if (await refreshSession()) {
+            // Access token expired, but the session is still alive
+            showUserPanel();
         } else {
-            localStorage.removeItem('authToken');
-            localStorage.removeItem('username');
+            clearSession();
             showAuthSection();
         }
     } catch (error) {
@@ -498,68 +1149,655 @@ async function checkSession() {
     }
 }
 
-// Copy token
-function copyToken() {
-    const tokenEl = document.getElementById('authToken');
-    if (!tokenEl) return;
+// Friends (user panel)
+// Achievements and play time rank
+async function loadAchievements() {
+    const listEl = document.getElementById('achievementList');
+    if (!listEl) return;
     
-    const token = tokenEl.textContent;
-    
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-        navigator.clipboard.writeText(token).then(() => {
-            showCopySuccess();
-        }).catch(() => {
-            fallbackCopy(token);
+    try {
+        const [achievementsResponse, weeklyResponse, allTimeResponse] = await Promise.all([
+            authFetch(`${API_URL}/achievements`),
+            authFetch(`${API_URL}/leaderboards/play_time/me?window=weekly`),
+            authFetch(`${API_URL}/leaderboards/play_time/me?window=all`)
+        ]);
+        const data = await achievementsResponse.json();
+        const weekly = await weeklyResponse.json();
+        const allTime = await allTimeResponse.json();
+        
+        if (!data.success) return;
+        
+        document.getElementById('achievementCount').textContent = `(${data.unlocked}/${data.total})`;
+        listEl.innerHTML = '';
+        
+        data.achievements.forEach(achievement => {
+            const item = document.createElement('li');
+            item.className = 'achievement-item' + (achievement.unlockedAt ? '' : ' locked');
+            item.textContent = achievement.icon;
+            
+            const status = achievement.unlockedAt
+                ? `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`
+                : `${achievement.progress}/${achievement.goal}`;
+            item.title = `${achievement.name}\n${achievement.description}\n${status}`;
+            
+            listEl.appendChild(item);
         });
-    } else {
-        fallbackCopy(token);
+        
+        const rankEl = document.getElementById('rankLine');
+        if (rankEl) {
+            rankEl.textContent = allTime.rank
+                ? `Play time rank: #${weekly.rank || '-'} this week · #${allTime.rank} all time`
+                : 'Play on a server to get ranked';
+        }
+    } catch (error) {
+        console.error('Achievements error:', error);
+    }
+}
+
+async function loadFriends() {
+    const listEl = document.getElementById('friendList');
+    if (!listEl) return;
+    
+    try {
+        const [friendsResponse, blocksResponse] = await Promise.all([
+            authFetch(`${API_URL}/friends`),
+            authFetch(`${API_URL}/blocks`)
+        ]);
+        const data = await friendsResponse.json();
+        const blocks = await blocksResponse.json();
+        
+        if (!data.success) return;
+        
+        listEl.innerHTML = '';
+        document.getElementById('friendCount').textContent = `(${data.friends.length})`;
+        
+        renderFriendGroup(listEl, 'Requests', data.incoming, player => [
+            ['ACCEPT', () => friendAction('POST', `/friends/requests/${encodeURIComponent(player.username)}/accept`)],
+            ['DECLINE', () => friendAction('POST', `/friends/requests/${encodeURIComponent(player.username)}/decline`)]
+        ]);
+        
+        renderFriendGroup(listEl, data.incoming.length ? 'Friends' : null, data.friends, player => [
+            ['REMOVE', () => friendAction('DELETE', `/friends/${encodeURIComponent(player.username)}`)],
+            ['BLOCK', () => friendAction('POST', '/blocks', { username: player.username })]
+        ], 'No friends yet');
+        
+        renderFriendGroup(listEl, 'Sent', data.outgoing, player => [
+            ['CANCEL', () => friendAction('DELETE', `/friends/requests/${encodeURIComponent(player.username)}`)]
+        ]);
+        
+        renderFriendGroup(listEl, 'Blocked', blocks.blocked || [], player => [
+            ['UNBLOCK', () => friendAction('DELETE', `/blocks/${encodeURIComponent(player.username)}`)]
+        ]);
+    } catch (error) {
+        console.error('Load friends error:', error);
+    }
+}
+
+function renderFriendGroup(listEl, title, players, actionsFor, emptyText) {
+    if (!players.length && !emptyText) return;
+    
+    if (title) {
+        const heading = document.createElement('li');
+        heading.className = 'friend-group';
+        heading.textContent = title;
+        listEl.appendChild(heading);
+    }
+    
+    if (!players.length) {
+        const empty = document.createElement('li');
+        empty.className = 'friend-status';
+        empty.textContent = emptyText;
+        listEl.appendChild(empty);
+        return;
     }
+    
+    players.forEach(player => {
+        const item = document.createElement('li');
+        item.className = 'friend-item';
+        
+        const avatar = document.createElement('img');
+        avatar.className = 'friend-avatar';
+        avatar.alt = '';
+        avatar.src = avatarUrlFor(player.username, 32);
+        avatar.onerror = () => { avatar.src = '/faces/default.png'; };
+        
+        const info = document.createElement('div');
+        info.className = 'friend-info';
+        
+        const name = document.createElement('span');
+        name.className = 'friend-name';
+        name.textContent = player.username;
+        info.appendChild(name);
+        
+        // Presence only exists for accepted friends
+        if ('inGame' in player) {
+            const status = document.createElement('span');
+            status.className = 'friend-status' + (player.inGame ? ' in-game' : '');
+            status.textContent = player.inGame ? `● In game: ${player.server.name}` : 'Not in game';
+            info.appendChild(status);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'friend-actions';
+        actionsFor(player).forEach(([label, handler]) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-small';
+            btn.textContent = label;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        });
+        
+        item.appendChild(avatar);
+        item.appendChild(info);
+        item.appendChild(actions);
+        listEl.appendChild(item);
+    });
 }
 
-function fallbackCopy(text) {
-    const textArea = document.createElement('textarea');
-    textArea.value = text;
-    textArea.style.position = 'fixed';
-    textArea.style.left = '-9999px';
-    document.body.appendChild(textArea);
-    textArea.select();
+async function friendAction(method, path, body) {
     try {
-        document.execCommand('copy');
-        showCopySuccess();
-    } catch (err) {
-        console.error('Copy failed:', err);
-    }
-    document.body.removeChild(textArea);
-}
-
-function showCopySuccess() {
-    const btns = document.querySelectorAll('.token-display .btn-small');
-    btns.forEach(btn => {
-        const originalText = btn.textContent;
-        btn.textContent = 'COPIED!';
-        btn.style.background = '#238636';
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.style.background = '';
-        }, 2000);
+        const response = await authFetch(`${API_URL}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('friendsMessage', data.message || 'Failed');
+        }
+        loadFriends();
+        return data;
+    } catch (error) {
+        console.error('Friend action error:', error);
+        showMessage('friendsMessage', 'Connection error');
+        return null;
+    }
+}
+
+function setupFriendForms() {
+    const addFriendForm = document.getElementById('addFriendForm');
+    if (!addFriendForm) return;
+    
+    addFriendForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const input = document.getElementById('friendUsername');
+        const data = await friendAction('POST', '/friends/requests', { username: input.value.trim() });
+        
+        if (data && data.success) {
+            input.value = '';
+            showMessage('friendsMessage', data.status === 'friends' ? 'You are now friends!' : 'Friend request sent', false);
+        }
     });
 }
 
+// Skins (settings modal)
+async function loadSkins() {
+    const listEl = document.getElementById('skinHistory');
+    const preview = document.getElementById('skinPreview');
+    if (!listEl) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/skins`);
+        const data = await response.json();
+        
+        if (preview && currentUser) {
+            preview.src = `${API_URL}/skin/${encodeURIComponent(currentUser)}/preview?t=${Date.now()}`;
+        }
+        
+        listEl.innerHTML = '';
+        
+        (data.skins || []).forEach(skin => {
+            const item = document.createElement('li');
+            item.className = 'session-item' + (skin.active ? ' current' : '');
+            
+            const thumb = document.createElement('img');
+            thumb.className = 'skin-thumb';
+            thumb.src = skin.previewUrl;
+            thumb.alt = '';
+            
+            const info = document.createElement('div');
+            info.className = 'session-info';
+            
+            const model = document.createElement('span');
+            model.className = 'session-device';
+            model.textContent = (skin.model === 'slim' ? 'Slim' : 'Classic') + (skin.active ? ' (wearing)' : '');
+            
+            const meta = document.createElement('span');
+            meta.className = 'session-meta';
+            meta.textContent = new Date(skin.createdAt).toLocaleDateString('en-US', {
+                year: 'numeric', month: 'short', day: 'numeric'
+            });
+            
+            info.appendChild(model);
+            info.appendChild(meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'skin-actions';
+            
+            if (skin.active) {
+                // Same texture, the other arm width
+                const other = skin.model === 'slim' ? 'classic' : 'slim';
+                const switchBtn = document.createElement('button');
+                switchBtn.className = 'btn-small';
+                switchBtn.textContent = other.toUpperCase();
+                switchBtn.addEventListener('click', () => activateSkin(skin.id, other));
+                actions.appendChild(switchBtn);
+            } else {
+                const useBtn = document.createElement('button');
+                useBtn.className = 'btn-small';
+                useBtn.textContent = 'WEAR';
+                useBtn.addEventListener('click', () => activateSkin(skin.id));
+                actions.appendChild(useBtn);
+            }
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-small';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Remove from history';
+            deleteBtn.addEventListener('click', () => deleteSkin(skin.id));
+            actions.appendChild(deleteBtn);
+            
+            item.appendChild(thumb);
+            item.appendChild(info);
+            item.appendChild(actions);
+            listEl.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Load skins error:', error);
+    }
+}
+
+async function activateSkin(skinId, model) {
+    try {
+        const response = await authFetch(`${API_URL}/skins/${skinId}/activate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(model ? { model } : {})
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('skinMessage', data.message || 'Failed to change skin');
+            return;
+        }
+        loadSkins();
+    } catch (error) {
+        console.error('Activate skin error:', error);
+        showMessage('skinMessage', 'Connection error');
+    }
+}
+
+async function deleteSkin(skinId) {
+    try {
+        const response = await authFetch(`${API_URL}/skins/${skinId}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('skinMessage', data.message || 'Failed to delete skin');
+            return;
+        }
+        loadSkins();
+    } catch (error) {
+        console.error('Delete skin error:', error);
+        showMessage('skinMessage', 'Connection error');
+    }
+}
+
+async function useDefaultSkin() {
+    try {
+        const response = await authFetch(`${API_URL}/skins/default`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('skinMessage', data.message || 'Failed to reset skin');
+            return;
+        }
+        showMessage('skinMessage', 'Wearing the default skin', false);
+        loadSkins();
+    } catch (error) {
+        console.error('Reset skin error:', error);
+        showMessage('skinMessage', 'Connection error');
+    }
+}
+
+// Device login (settings modal): the game client shows a code, the player
+// checks what is asking for access and approves it here
+let deviceUserCode = null;
+
+function openDeviceLink(code) {
+    openSettings();
+    const input = document.getElementById('deviceUserCode');
+    if (input) input.value = code;
+    document.getElementById('deviceLinkSection')?.scrollIntoView({ block: 'center' });
+    if (code) lookupDevice(code);
+}
+
+function resetDeviceLink() {
+    deviceUserCode = null;
+    document.getElementById('deviceRequest')?.classList.add('hidden');
+}
+
+async function lookupDevice(code) {
+    resetDeviceLink();
+    
+    try {
+        const response = await authFetch(`${API_URL}/device/${encodeURIComponent(code.trim())}`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('deviceMessage', data.message || 'Code not found or expired');
+            return;
+        }
+        
+        const device = data.device;
+        const requested = new Date(device.createdAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('deviceRequestInfo').textContent =
+            `${device.clientName || device.device} wants to play as ${currentUser}. ` +
+            `Requested at ${requested} from ${device.ip || 'an unknown address'}. ` +
+            'Only approve if this is your game.';
+        document.getElementById('deviceRequest').classList.remove('hidden');
+        showMessage('deviceMessage', '', false);
+        deviceUserCode = device.userCode;
+    } catch (error) {
+        console.error('Device lookup error:', error);
+        showMessage('deviceMessage', 'Connection error');
+    }
+}
+
+async function approveDevice() {
+    await answerDevice('approve', 'Game client linked! It will sign in in a few seconds.');
+    loadSessions();
+}
+
+async function denyDevice() {
+    await answerDevice('deny', 'Login denied');
+}
+
+async function answerDevice(action, successMessage) {
+    if (!deviceUserCode) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/device/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ userCode: deviceUserCode, twoFactorCode: twoFactorCodeFrom('deviceTwoFactorCode') })
+        });
+        const data = await response.json();
+        
+        document.getElementById('deviceTwoFactorCode').value = '';
+        if (data.twoFactorRequired) {
+            showMessage('deviceMessage', data.message);
+            return;
+        }
+        
+        resetDeviceLink();
+        if (!data.success) {
+            showMessage('deviceMessage', data.message || 'Request failed');
+            return;
+        }
+        document.getElementById('deviceUserCode').value = '';
+        showMessage('deviceMessage', successMessage, false);
+    } catch (error) {
+        console.error('Device answer error:', error);
+        showMessage('deviceMessage', 'Connection error');
+    }
+}
+
+// Two-factor authentication (settings modal)
+function twoFactorCodeFrom(inputId) {
+    const input = document.getElementById(inputId);
+    return input && input.value.trim() ? input.value.trim() : undefined;
+}
+
+async function loadTwoFactor() {
+    const statusEl = document.getElementById('twoFactorStatus');
+    if (!statusEl) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/two-factor`);
+        const data = await response.json();
+        if (!data.success) return;
+        
+        statusEl.textContent = data.enabled
+            ? `On since ${formatShortDate(data.enabledAt)}. ${data.recoveryCodesLeft} recovery code(s) left.`
+            : 'Off. Protect your account with a code from an authenticator app when signing in.';
+        
+        // Sensitive forms ask for a code while 2FA is on
+        document.querySelectorAll('.two-factor-field').forEach(field => {
+            field.classList.toggle('hidden', !data.enabled);
+        });
+        
+        const enrolling = !document.getElementById('twoFactorEnableForm').classList.contains('hidden');
+        document.getElementById('twoFactorSetupForm').classList.toggle('hidden', data.enabled || enrolling);
+        document.getElementById('twoFactorManageForm').classList.toggle('hidden', !data.enabled);
+    } catch (error) {
+        console.error('Load 2FA error:', error);
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    try {
+        const response = await authFetch(`${API_URL}/two-factor/recovery-codes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ twoFactorCode: twoFactorCodeFrom('twoFactorManageCode') })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('twoFactorSettingsMessage', data.message || 'Failed to create recovery codes');
+            return;
+        }
+        
+        document.getElementById('twoFactorManageCode').value = '';
+        showRecoveryCodes(data.recoveryCodes);
+        loadTwoFactor();
+        showMessage('twoFactorSettingsMessage', 'New recovery codes created, the old ones no longer work', false);
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        showMessage('twoFactorSettingsMessage', 'Connection error');
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('recoveryCodeList').textContent = codes.join('\n');
+    document.getElementById('recoveryCodes').classList.remove('hidden');
+}
+
+// Secrets and recovery codes are only shown until the modal is closed
+function hideTwoFactorSecrets() {
+    const enableForm = document.getElementById('twoFactorEnableForm');
+    if (!enableForm) return;
+    
+    enableForm.reset();
+    enableForm.classList.add('hidden');
+    document.getElementById('twoFactorQr').removeAttribute('src');
+    document.getElementById('twoFactorSecret').textContent = '';
+    document.getElementById('recoveryCodeList').textContent = '';
+    document.getElementById('recoveryCodes').classList.add('hidden');
+}
+
+// Access tokens (settings modal)
+function formatShortDate(value) {
+    return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+async function loadTokens() {
+    const listEl = document.getElementById('tokenList');
+    if (!listEl) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/tokens`);
+        const data = await response.json();
+        
+        listEl.innerHTML = '';
+        
+        (data.tokens || []).forEach(token => {
+            const item = document.createElement('li');
+            item.className = 'session-item';
+            
+            const info = document.createElement('div');
+            info.className = 'session-info';
+            
+            const name = document.createElement('span');
+            name.className = 'session-device';
+            name.textContent = `${token.name} (${token.prefix}…)`;
+            
+            const scopes = document.createElement('span');
+            scopes.className = 'session-meta';
+            scopes.textContent = token.scopes.join(', ');
+            
+            const meta = document.createElement('span');
+            meta.className = 'session-meta';
+            const lastUsed = token.lastUsedAt ? `used ${formatShortDate(token.lastUsedAt)} from ${token.lastUsedIp || '-'}` : 'never used';
+            const expiry = token.expired ? 'expired' : `expires ${formatShortDate(token.expiresAt)}`;
+            meta.textContent = `${lastUsed} • ${expiry}`;
+            
+            info.appendChild(name);
+            info.appendChild(scopes);
+            info.appendChild(meta);
+            
+            const btn = document.createElement('button');
+            btn.className = 'btn-small';
+            btn.textContent = token.expired ? 'REMOVE' : 'REVOKE';
+            btn.addEventListener('click', () => revokeToken(token.id));
+            
+            item.appendChild(info);
+            item.appendChild(btn);
+            listEl.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Load tokens error:', error);
+    }
+}
+
+async function revokeToken(tokenId) {
+    try {
+        const response = await authFetch(`${API_URL}/tokens/${tokenId}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('tokenMessage', data.message || 'Failed to revoke token');
+            return;
+        }
+        loadTokens();
+    } catch (error) {
+        console.error('Revoke token error:', error);
+        showMessage('tokenMessage', 'Connection error');
+    }
+}
+
+function hideCreatedToken() {
+    const created = document.getElementById('tokenCreated');
+    if (created) created.classList.add('hidden');
+    const value = document.getElementById('tokenValue');
+    if (value) value.textContent = '';
+}
+
+// Sessions (settings modal)
+async function loadSessions() {
+    const listEl = document.getElementById('sessionList');
+    if (!listEl) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/sessions`);
+        const data = await response.json();
+        
+        listEl.innerHTML = '';
+        
+        (data.sessions || []).forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'session-item' + (session.current ? ' current' : '');
+            
+            const info = document.createElement('div');
+            info.className = 'session-info';
+            
+            const device = document.createElement('span');
+            device.className = 'session-device';
+            device.textContent = session.device + (session.current ? ' (this device)' : '');
+            
+            const meta = document.createElement('span');
+            meta.className = 'session-meta';
+            const lastSeen = new Date(session.lastSeenAt).toLocaleString('en-US', {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+            meta.textContent = `${session.ip || '-'} • ${lastSeen}`;
+            
+            info.appendChild(device);
+            info.appendChild(meta);
+            
+            const btn = document.createElement('button');
+            btn.className = 'btn-small';
+            btn.textContent = 'REVOKE';
+            btn.addEventListener('click', () => revokeSession(session.id, session.current));
+            
+            item.appendChild(info);
+            item.appendChild(btn);
+            listEl.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Load sessions error:', error);
+    }
+}
+
+async function revokeSession(sessionId, isCurrent) {
+    try {
+        const response = await authFetch(`${API_URL}/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('sessionsMessage', data.message || 'Failed to revoke session');
+            return;
+        }
+        
+        if (isCurrent) {
+            signOutLocally();
+        } else {
+            loadSessions();
+        }
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        showMessage('sessionsMessage', 'Connection error');
+    }
+}
+
+async function logoutEverywhere() {
+    try {
+        await authFetch(`${API_URL}/sessions/revoke-all`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keepCurrent: false })
+        });
+    } catch (error) {
+        console.error('Logout everywhere error:', error);
+    }
+    
+    signOutLocally();
+}
+
 // Logout
 async function logout() {
     try {
         await fetch(`${API_URL}/logout`, {
             method: 'POST',
+            headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {},
             credentials: 'include'
         });
     } catch (e) {
         console.error('Logout error:', e);
     }
     
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('username');
-    authToken = null;
-    currentUser = null;
+    signOutLocally();
+}
+
+// Forget the session in this browser and show the login form
+function signOutLocally() {
+    disconnectGateway();
+    clearSession();
     
     closeSettings();
     showAuthSection();
@@ -571,10 +1809,92 @@ async function logout() {
     clearMessages();
 }
 
+// Live updates over WebSocket: friend presence and requests, server list, forced logout
+function connectGateway() {
+    if (!authToken || gatewaySocket) return;
+    
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws?token=${encodeURIComponent(authToken)}`);
+    let opened = false;
+    gatewaySocket = socket;
+    
+    socket.addEventListener('open', () => {
+        opened = true;
+        gatewayRetries = 0;
+    });
+    
+    socket.addEventListener('message', (event) => {
+        try {
+            handleGatewayEvent(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Gateway message error:', error);
+        }
+    });
+    
+    socket.addEventListener('close', (event) => {
+        // Closed on purpose (sign out) or replaced by a newer connection
+        if (gatewaySocket !== socket) return;
+        gatewaySocket = null;
+        
+        // 4000: the session was revoked, the logout event has been handled
+        if (event.code === 4000 || !currentUser) return;
+        
+        const delay = Math.min(30000, 1000 * 2 ** gatewayRetries++);
+        setTimeout(async () => {
+            if (!currentUser) return;
+            // Rejected before opening: the access token has most likely expired
+            if (!opened && !await refreshSession()) return;
+            connectGateway();
+        }, delay);
+    });
+}
+
+function disconnectGateway() {
+    const socket = gatewaySocket;
+    gatewaySocket = null;
+    gatewayRetries = 0;
+    if (socket) socket.close();
+}
+
+function isGatewayOpen() {
+    return !!gatewaySocket && gatewaySocket.readyState === WebSocket.OPEN;
+}
+
+function handleGatewayEvent(message) {
+    switch (message.type) {
+        case 'presence':
+            loadFriends();
+            break;
+        case 'friends':
+            loadFriends();
+            if (message.event === 'request') {
+                showMessage('friendsMessage', `${message.username} sent you a friend request`, false);
+            } else if (message.event === 'accepted') {
+                showMessage('friendsMessage', `${message.username} accepted your friend request`, false);
+            }
+            break;
+        case 'servers': {
+            renderServerList(message.servers || []);
+            const usersEl = document.getElementById('totalUsers');
+            if (usersEl) usersEl.textContent = message.players || 0;
+            break;
+        }
+        case 'achievement':
+            showMessage('panelMessage', `Achievement unlocked: ${message.icon} ${message.name}`, false);
+            loadAchievements();
+            break;
+        case 'logout':
+            signOutLocally();
+            showMessage('loginMessage', message.reason || 'You have been signed out');
+            break;
+    }
+}
+
 // Check server status
 async function checkServerStatus() {
     const statusEl = document.getElementById('serverStatus');
     const usersEl = document.getElementById('totalUsers');
+    const versionEl = document.getElementById('clientVersion');
     
     try {
         const response = await fetch(`${API_URL}/status`);
@@ -591,6 +1911,8 @@ async function checkServerStatus() {
         }
         
         if (usersEl) usersEl.textContent = data.players || 0;
+        // Newest stable client release, if one is published
+        if (versionEl) versionEl.textContent = data.version ? `Version ${data.version}` : '';
         
     } catch (error) {
         console.error('Status check error:', error);
@@ -599,4 +1921,63 @@ async function checkServerStatus() {
             statusEl.className = 'status-value offline';
         }
     }
+    
+    loadServerList();
+}
+
+// Server browser
+async function loadServerList() {
+    const listEl = document.getElementById('serverList');
+    if (!listEl) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/servers`);
+        const data = await response.json();
+        renderServerList(data.servers || []);
+    } catch (error) {
+        console.error('Server list error:', error);
+        listEl.innerHTML = '<li class="server-empty">Failed to load servers</li>';
+    }
+}
+
+function renderServerList(servers) {
+    const listEl = document.getElementById('serverList');
+    if (!listEl) return;
+    
+    listEl.innerHTML = '';
+    
+    if (servers.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'server-empty';
+        empty.textContent = 'No servers online';
+        listEl.appendChild(empty);
+        return;
+    }
+    
+    servers.forEach(server => {
+        const item = document.createElement('li');
+        item.className = 'server-item';
+        
+        const name = document.createElement('span');
+        name.className = 'server-name';
+        name.textContent = server.name;
+        
+        const address = document.createElement('span');
+        address.className = 'server-address';
+        address.textContent = `${server.address}:${server.port} • v${server.version}`;
+        
+        const players = document.createElement('span');
+        players.className = 'server-players' + (server.players >= server.maxPlayers ? ' full' : '');
+        players.textContent = `${server.players}/${server.maxPlayers}`;
+        players.title = server.playerNames.join(', ');
+        
+        const info = document.createElement('div');
+        info.className = 'server-info';
+        info.appendChild(name);
+        info.appendChild(address);
+        
+        item.appendChild(info);
+        item.appendChild(players);
+        listEl.appendChild(item);
+    });
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { createMemoryStore, createDatabaseStore } = require('./stores');
+
+const FAILURE_MEMORY = 24 * 60 * 60 * 1000; // how long lockout history counts towards the next lockout
+
+// Fixed-window request counters plus failure tracking with progressive lockout.
+// Keys are namespaced: "rate:<name>:<id>" for counters, "fail:<name>:<id>" for failures.
+function createRateLimiter(store) {
+    return {
+        store: store.name,
+        
+        // Count one request; allowed is false once the window's limit is exceeded
+        async hit(key, { limit, windowMs }) {
+            const now = Date.now();
+            let entry = await store.get(`rate:${key}`);
+            
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+            }
+            entry.count++;
+            await store.set(`rate:${key}`, entry, entry.resetAt - now);
+            
+            if (entry.count > limit) {
+                return { allowed: false, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+            }
+            return { allowed: true, remaining: limit - entry.count };
+        },
+        
+        // Seconds until the longest of the given lockouts ends (0 if none is locked)
+        async lockedFor(...keys) {
+            const now = Date.now();
+            let retryAfter = 0;
+            
+            for (const key of keys) {
+                const entry = await store.get(`fail:${key}`);
+                if (entry && entry.lockedUntil > now) {
+                    retryAfter = Math.max(retryAfter, Math.ceil((entry.lockedUntil - now) / 1000));
+                }
+            }
+            return retryAfter;
+        },
+        
+        // Count a failed attempt. After maxFailures within failureWindow the key is
+        // locked for baseLockout, doubling with every further lockout up to maxLockout.
+        async recordFailure(key, { maxFailures, failureWindow, baseLockout, maxLockout }) {
+            const now = Date.now();
+            const entry = await store.get(`fail:${key}`) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+            
+            if (entry.lastFailureAt && now - entry.lastFailureAt > failureWindow) {
+                entry.failures = 0;
+            }
+            entry.failures++;
+            entry.lastFailureAt = now;
+            
+            if (entry.failures >= maxFailures) {
+                entry.lockedUntil = now + Math.min(baseLockout * 2 ** entry.lockouts, maxLockout);
+                entry.lockouts++;
+                entry.failures = 0;
+            }
+            
+            await store.set(`fail:${key}`, entry, Math.max(entry.lockedUntil - now, 0) + FAILURE_MEMORY);
+            
+            return entry.lockedUntil > now
+                ? { locked: true, retryAfter: Math.ceil((entry.lockedUntil - now) / 1000) }
+                : { locked: false };
+        },
+        
+        // Forget failures after a successful attempt
+        async recordSuccess(key) {
+            await store.delete(`fail:${key}`);
+        },
+        
+        async listLockouts() {
+            const now = Date.now();
+            const entries = await store.list('fail:');
+            
+            return entries
+                .filter(({ value }) => value.lockedUntil > now)
+                .map(({ key, value }) => ({
+                    key: key.slice('fail:'.length),
+                    lockedUntil: new Date(value.lockedUntil),
+                    lockouts: value.lockouts,
+                    lastFailureAt: new Date(value.lastFailureAt)
+                }))
+                .sort((a, b) => b.lockedUntil - a.lockedUntil);
+        },
+        
+        // Lift a lockout early (admin)
+        async unlock(key) {
+            const entry = await store.get(`fail:${key}`);
+            if (!entry || entry.lockedUntil <= Date.now()) {
+                return false;
+            }
+            await store.delete(`fail:${key}`);
+            return true;
+        }
+    };
+}
+
+module.exports = { createRateLimiter, createMemoryStore, createDatabaseStore };
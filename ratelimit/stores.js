@@ -0,0 +1,68 @@
+// Rate limit stores keep small JSON entries with an expiry:
+//   get(key) -> value | null, set(key, value, ttlMs), delete(key), list(prefix) -> [{ key, value }]
+
+// Per-process store; counters are lost on restart and not shared between instances
+function createMemoryStore() {
+    const entries = new Map(); // key -> { value, expiresAt }
+    
+    const isLive = (entry) => entry && entry.expiresAt > Date.now();
+    
+    setInterval(() => {
+        for (const [key, entry] of entries) {
+            if (!isLive(entry)) entries.delete(key);
+        }
+    }, 60 * 1000).unref();
+    
+    return {
+        name: 'memory',
+        
+        async get(key) {
+            const entry = entries.get(key);
+            return isLive(entry) ? entry.value : null;
+        },
+        
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        
+        async delete(key) {
+            entries.delete(key);
+        },
+        
+        async list(prefix) {
+            return [...entries]
+                .filter(([key, entry]) => key.startsWith(prefix) && isLive(entry))
+                .map(([key, entry]) => ({ key, value: entry.value }));
+        }
+    };
+}
+
+// Shared store on top of the rate_limits table, for several API instances
+// behind one database (see db/repositories/rateLimits.js)
+function createDatabaseStore(repository) {
+    setInterval(() => {
+        repository.purgeExpired().catch(e => console.error('Rate limit purge error:', e.message));
+    }, 10 * 60 * 1000).unref();
+    
+    return {
+        name: 'database',
+        
+        get(key) {
+            return repository.get(key);
+        },
+        
+        set(key, value, ttlMs) {
+            return repository.set(key, value, new Date(Date.now() + ttlMs));
+        },
+        
+        delete(key) {
+            return repository.delete(key);
+        },
+        
+        list(prefix) {
+            return repository.list(prefix);
+        }
+    };
+}
+
+module.exports = { createMemoryStore, createDatabaseStore };
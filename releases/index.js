@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+
+// Client releases. A release is a version on a channel with a manifest of
+// its files (path, size, SHA-256); the files themselves are kept under
+// <RELEASES_DIR>/<version>/<path> and the launcher verifies every download
+// against the manifest.
+//
+// Updates only fetch what changed: diffManifests() compares two manifests
+// and a patch bundle (zip with patch.json and files/<path>) holds the
+// changed files. Bundles are built once and cached under
+// <RELEASES_DIR>/.patches so they can be served with Range requests.
+//
+// Versions are dotted numbers with an optional pre-release tag: 0.1.5,
+// 1.2, 1.3.0-beta.2. Stable launchers only see stable releases, beta
+// launchers see both and get whichever is newer.
+
+const CHANNELS = ['stable', 'beta'];
+const VERSION_PATTERN = /^(\d{1,6}(?:\.\d{1,6}){1,3})(?:-([0-9A-Za-z]+(?:\.[0-9A-Za-z]+)*))?$/;
+const MAX_PATH_LENGTH = 255;
+
+function isValidChannel(channel) {
+    return CHANNELS.includes(channel);
+}
+
+function isValidVersion(version) {
+    return typeof version === 'string' && version.length <= 32 && VERSION_PATTERN.test(version);
+}
+
+// Channels a launcher on `channel` may update to
+function channelsFor(channel) {
+    return channel === 'beta' ? CHANNELS : ['stable'];
+}
+
+function compareIdentifiers(a, b) {
+    const numericA = /^\d+$/.test(a);
+    const numericB = /^\d+$/.test(b);
+    if (numericA && numericB) return Number(a) - Number(b);
+    if (numericA !== numericB) return numericA ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Negative if a is older than b, 0 if equal, positive if newer. A
+// pre-release sorts before its release (1.0.0-beta.1 < 1.0.0).
+function compareVersions(a, b) {
+    const [, coreA, preA] = VERSION_PATTERN.exec(a);
+    const [, coreB, preB] = VERSION_PATTERN.exec(b);
+    const partsA = coreA.split('.').map(Number);
+    const partsB = coreB.split('.').map(Number);
+    
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    
+    if (!preA || !preB) return (preA ? -1 : 0) - (preB ? -1 : 0);
+    
+    const idsA = preA.split('.');
+    const idsB = preB.split('.');
+    for (let i = 0; i < Math.min(idsA.length, idsB.length); i++) {
+        const diff = compareIdentifiers(idsA[i], idsB[i]);
+        if (diff !== 0) return diff;
+    }
+    return idsA.length - idsB.length;
+}
+
+// Newest of a list of releases ({ version }), or null
+function newestRelease(releases) {
+    return releases.reduce((newest, release) => (
+        !newest || compareVersions(release.version, newest.version) > 0 ? release : newest
+    ), null);
+}
+
+// A file path inside a release: relative, forward slashes, no . or ..
+// segments. Returns the normalized path or null.
+function normalizeReleasePath(value) {
+    if (typeof value !== 'string') return null;
+    
+    const normalized = value.replace(/\\/g, '/').replace(/^\/+/, '');
+    const segments = normalized.split('/');
+    if (!normalized || normalized.length > MAX_PATH_LENGTH) return null;
+    if (segments.some(segment => !segment || segment === '.' || segment === '..' || /[\0-\x1f:*?"<>|]/.test(segment))) {
+        return null;
+    }
+    return normalized;
+}
+
+// Files to download and to delete to go from one manifest to another.
+// Without a `from` manifest (unknown installed version) everything changes.
+function diffManifests(fromFiles, toFiles) {
+    const installed = new Map((fromFiles || []).map(file => [file.path, file.sha256]));
+    const target = new Set(toFiles.map(file => file.path));
+    
+    return {
+        changed: toFiles.filter(file => installed.get(file.path) !== file.sha256),
+        removed: [...installed.keys()].filter(file => !target.has(file))
+    };
+}
+
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', (data) => hash.update(data))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Release files on disk
+function createReleaseStore(dir) {
+    function releaseDir(version) {
+        return path.join(dir, version);
+    }
+    
+    function filePath(version, file) {
+        return path.join(releaseDir(version), ...file.split('/'));
+    }
+    
+    const patchesDir = path.join(dir, '.patches');
+    const building = new Map();
+    
+    // from is null for a full bundle
+    function patchFile(from, to) {
+        return path.join(patchesDir, `${from || 'full'}_${to}.zip`);
+    }
+    
+    async function writePatch(target, { from, to, changed, removed }) {
+        fs.mkdirSync(patchesDir, { recursive: true });
+        const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+        const output = fs.createWriteStream(temp);
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const done = new Promise((resolve, reject) => {
+            archive.on('error', reject);
+            output.on('error', reject);
+            output.on('close', resolve);
+        });
+        archive.pipe(output);
+        
+        archive.append(JSON.stringify({
+            from,
+            to,
+            files: changed.map(({ path: file, size, sha256 }) => ({ path: file, size, sha256 })),
+            removed
+        }, null, 2), { name: 'patch.json' });
+        for (const file of changed) {
+            archive.file(filePath(to, file.path), { name: `files/${file.path}` });
+        }
+        
+        try {
+            await archive.finalize();
+            await done;
+            fs.renameSync(temp, target);
+        } catch (error) {
+            fs.rmSync(temp, { force: true });
+            throw error;
+        }
+    }
+    
+    return {
+        dir,
+        filePath,
+        
+        // Move uploaded files ({ path, tempFile }) into place and build the
+        // manifest entries { path, size, sha256 }
+        async addFiles(version, files) {
+            const entries = [];
+            for (const file of files) {
+                const target = filePath(version, file.path);
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.renameSync(file.tempFile, target);
+                entries.push({ path: file.path, size: fs.statSync(target).size, sha256: await hashFile(target) });
+            }
+            return entries;
+        },
+        
+        // Path of the cached patch bundle, built on first use. Concurrent
+        // requests for the same bundle wait for one build.
+        async patchBundle(patch) {
+            const target = patchFile(patch.from, patch.to);
+            if (fs.existsSync(target)) return target;
+            
+            if (!building.has(target)) {
+                building.set(target, writePatch(target, patch).finally(() => building.delete(target)));
+            }
+            await building.get(target);
+            return target;
+        },
+        
+        removeRelease(version) {
+            fs.rmSync(releaseDir(version), { recursive: true, force: true });
+            
+            // Bundles from or to this version
+            if (!fs.existsSync(patchesDir)) return;
+            for (const name of fs.readdirSync(patchesDir)) {
+                const [from, to] = name.replace(/\.zip$/, '').split('_');
+                if (from === version || to === version) {
+                    fs.rmSync(path.join(patchesDir, name), { force: true });
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    CHANNELS,
+    isValidChannel,
+    isValidVersion,
+    channelsFor,
+    compareVersions,
+    newestRelease,
+    normalizeReleasePath,
+    diffManifests,
+    createReleaseStore
+};
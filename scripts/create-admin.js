@@ -0,0 +1,68 @@
+// Promote an existing account to admin (bootstrap the first admin)
+//
+//   npm run admin:create -- <username>            only while there is no admin yet
+//   npm run admin:create -- <username> --force    add another admin
+//
+// Register the account on the website or in the game first.
+
+require('dotenv').config();
+const { openStorage } = require('../db');
+const migrator = require('../db/migrator');
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const username = argv.find(arg => !arg.startsWith('--'));
+    const force = argv.includes('--force');
+    
+    if (!username) {
+        console.error('Usage: npm run admin:create -- <username> [--force]');
+        process.exit(1);
+    }
+    
+    let storage;
+    try {
+        storage = await openStorage();
+    } catch (error) {
+        console.error('Database connection error:', error.message);
+        process.exit(1);
+    }
+    
+    try {
+        const pending = await migrator.getPendingMigrations(storage.db);
+        if (pending.length > 0) {
+            throw new Error('Database schema is behind, run `npm run migrate` first');
+        }
+        
+        const user = await storage.users.findByUsername(username);
+        if (!user) {
+            throw new Error(`User "${username}" not found. Register the account first.`);
+        }
+        
+        if (user.role === 'admin') {
+            console.log(`${user.username} is already an admin`);
+            return;
+        }
+        
+        const admins = await storage.users.countByRole('admin');
+        if (admins > 0 && !force) {
+            throw new Error(`There are already ${admins} admin(s). Use the admin page, or pass --force.`);
+        }
+        
+        await storage.users.setRole(user.id, 'admin');
+        await storage.auditLog.record({
+            actorId: null,
+            action: 'set-role',
+            targetUserId: user.id,
+            details: { from: user.role, to: 'admin', via: 'create-admin' }
+        });
+        
+        console.log(`${user.username} (ID: ${user.id}) is now an admin`);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        await storage.db.close();
+    }
+}
+
+main();
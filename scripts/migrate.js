@@ -0,0 +1,61 @@
+// Database migrations CLI
+//
+//   npm run migrate                  apply pending migrations
+//   npm run migrate -- --dry-run     list pending migrations without applying
+//   npm run migrate:rollback         roll back the last migration
+//   npm run migrate:rollback -- --steps 2 [--dry-run]
+//   npm run migrate:status           show applied and pending migrations
+
+require('dotenv').config();
+const { openDatabase } = require('../db');
+const migrator = require('../db/migrator');
+
+function parseArgs(argv) {
+    const args = { command: argv[0] || 'up', dryRun: false, steps: 1 };
+    for (let i = 1; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            args.dryRun = true;
+        } else if (argv[i] === '--steps') {
+            args.steps = parseInt(argv[++i], 10) || 1;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    let db;
+    
+    try {
+        db = await openDatabase();
+    } catch (error) {
+        console.error('Cannot run migrations without a database connection:', error.message);
+        process.exit(1);
+    }
+    
+    try {
+        if (args.command === 'up') {
+            const applied = await migrator.migrate(db, { dryRun: args.dryRun });
+            console.log(applied.length === 0 ? 'Database schema is up to date' :
+                `${applied.length} migration(s) ${args.dryRun ? 'pending' : 'applied'}`);
+        } else if (args.command === 'down') {
+            const rolledBack = await migrator.rollback(db, { steps: args.steps, dryRun: args.dryRun });
+            console.log(`${rolledBack.length} migration(s) ${args.dryRun ? 'would be rolled back' : 'rolled back'}`);
+        } else if (args.command === 'status') {
+            const applied = new Set(await migrator.getAppliedVersions(db));
+            for (const migration of migrator.loadMigrations()) {
+                console.log(`${applied.has(migration.version) ? '[x]' : '[ ]'} ${migration.file}`);
+            }
+        } else {
+            console.error(`Unknown command: ${args.command} (use up, down or status)`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+main();
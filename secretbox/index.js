@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Authenticated encryption (AES-256-GCM) for secrets the server has to read
+// back, e.g. TOTP secrets or server signing keys, as opposed to hashed values.
+// Sealed values look like "v1:<iv>:<tag>:<ciphertext>" (base64url parts).
+
+// The key may be any string; it is hashed to 256 bits together with
+// `purpose`, so boxes for different kinds of secrets never share a key even
+// when built from the same key material. Changing either makes values sealed
+// before unreadable.
+function createSecretBox(keyMaterial, purpose) {
+    const key = crypto.createHash('sha256').update(`${purpose}:${keyMaterial}`).digest();
+    
+    return {
+        seal(secret) {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+            return ['v1', iv, cipher.getAuthTag(), encrypted].map(part => (
+                typeof part === 'string' ? part : part.toString('base64url')
+            )).join(':');
+        },
+        
+        open(sealed) {
+            const [version, iv, tag, encrypted] = sealed.split(':');
+            if (version !== 'v1') throw new Error(`Unknown secret format: ${version}`);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+            return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+        }
+    };
+}
+
+// Whether a stored value is already sealed (older rows may hold plain values)
+function isSealed(value) {
+    return typeof value === 'string' && value.startsWith('v1:');
+}
+
+module.exports = { createSecretBox, isSealed };
@@ -1,17 +1,65 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const cookieParser = require('cookie-parser');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
+const { openStorage } = require('./db');
+const migrator = require('./db/migrator');
+const { createMailer } = require('./mail');
+const { createRateLimiter, createMemoryStore, createDatabaseStore } = require('./ratelimit');
+const { isValidRole, permissionsFor, hasPermission, canModerate } = require('./permissions');
+const { createGateway } = require('./gateway');
+const { defaultState, mergeState, parsePosition, serializeState } = require('./playerstate');
+const { FACE_SIZE, THUMBNAIL_SIZES, processFace, thumbnailName, avatarFileFor } = require('./faces');
+const { SKIN_MODELS, processSkin, renderPreview, defaultSkin } = require('./skins');
+const {
+    CHANNELS,
+    isValidChannel,
+    isValidVersion,
+    channelsFor,
+    compareVersions,
+    newestRelease,
+    normalizeReleasePath,
+    diffManifests,
+    createReleaseStore
+} = require('./releases');
+const { createWorld, createWorldStore, inflateChunk, isChunkCoordinate, MAX_CHUNK_BYTES } = require('./world');
+const {
+    ACHIEVEMENTS,
+    RESERVED_STATS,
+    BUILTIN_STATS,
+    findAchievement,
+    isValidStatName,
+    goalOf,
+    serializeAchievement,
+    reachedStatAchievements
+} = require('./achievements');
+const {
+    generateSecret,
+    otpauthUri,
+    isTotpCode,
+    verifyTotp,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} = require('./twofactor');
+const { createSecretBox, isSealed } = require('./secretbox');
+const QRCode = require('qrcode');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (Render, nginx) req.ip must come from X-Forwarded-For,
+// otherwise every client shares the proxy's address. TRUST_PROXY=1 trusts one hop.
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Create faces directory
 const FACES_DIR = path.join(__dirname, 'public', 'faces');
 if (!fs.existsSync(FACES_DIR)) {
@@ -21,9 +69,15 @@ if (!fs.existsSync(FACES_DIR)) {
 // Middleware
 app.use(cors({
     origin: true,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Skin-Model']
+}));
+app.use(express.json({
+    // Keep the raw body around for game server request signatures
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
 }));
-app.use(express.json());
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/faces', express.static(FACES_DIR));
@@ -31,98 +85,63 @@ app.use('/faces', express.static(FACES_DIR));
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'forgeblock-secret-key-change-in-production';
 
-// MySQL Connection Pool
-let pool = null;
+// Encrypts TOTP secrets at rest (see twofactor/). Defaults to JWT_SECRET, so
+// set TWO_FACTOR_KEY before rotating that or enrolled authenticators stop working.
+const twoFactorSecrets = createSecretBox(process.env.TWO_FACTOR_KEY || JWT_SECRET, 'two-factor');
 
-async function createPool() {
-    try {
-        pool = mysql.createPool({
-            host: process.env.DB_HOST,
-            port: process.env.DB_PORT || 3306,
-            user: process.env.DB_USER,
-            password: process.env.DB_PASSWORD,
-            database: process.env.DB_NAME,
-            waitForConnections: true,
-            connectionLimit: 10,
-            queueLimit: 0,
-            ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined
-        });
-        
-        const conn = await pool.getConnection();
-        console.log('MySQL connected successfully');
-        conn.release();
-        
-        return true;
-    } catch (error) {
-        console.error('MySQL connection error:', error.message);
-        return false;
-    }
-}
+// Encrypts game server signing keys at rest (see GAME SERVER CREDENTIALS).
+// Rotating SERVER_KEY_SECRET (default JWT_SECRET) means reissuing all keys.
+const serverKeySecrets = createSecretBox(process.env.SERVER_KEY_SECRET || JWT_SECRET, 'server-keys');
 
-// Initialize database tables
-async function initDatabase() {
-    if (!pool) {
-        console.log('No database connection, using memory storage');
-        return false;
-    }
-    
-    try {
-        await pool.execute(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                username VARCHAR(32) UNIQUE NOT NULL,
-                email VARCHAR(255) UNIQUE NOT NULL,
-                password_hash VARCHAR(255) NOT NULL,
-                face VARCHAR(255) DEFAULT 'default.png',
-                auth_token VARCHAR(512),
-                token_expires DATETIME,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_login TIMESTAMP NULL,
-                is_banned BOOLEAN DEFAULT FALSE,
-                INDEX idx_username (username),
-                INDEX idx_token (auth_token(255))
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-        `);
-        
-        try {
-            await pool.execute(`ALTER TABLE users ADD COLUMN face VARCHAR(255) DEFAULT 'default.png'`);
-            console.log('Added face column to users table');
-        } catch (e) {
-            // Column exists
-        }
-        
-        await pool.execute(`
-            CREATE TABLE IF NOT EXISTS player_data (
-                user_id INT PRIMARY KEY,
-                place_id TINYINT DEFAULT 1,
-                pos_x FLOAT DEFAULT 0,
-                pos_y FLOAT DEFAULT 5,
-                pos_z FLOAT DEFAULT 0,
-                play_time INT DEFAULT 0,
-                last_save TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-        `);
-        
-        console.log('Database tables initialized');
-        return true;
-    } catch (error) {
-        console.error('Database init error:', error.message);
-        return false;
-    }
-}
+// Database repositories (MySQL or SQLite, see db/index.js), opened in start()
+let storage = null;
+
+// Outgoing mail (SMTP, file outbox or console, see mail/index.js), created in start()
+let mailer = null;
+
+// Rate limiter (in-process or shared database store, see ratelimit/), created in start()
+let limiter = null;
+
+// WebSocket event gateway on the HTTP server (see gateway/index.js), created in start()
+let gateway = null;
 
-// In-memory fallback storage
-const memoryUsers = new Map();
-const memoryPositions = new Map(); // username -> {x, y, z}
-let memoryIdCounter = 1;
+// World chunk storage (files under WORLD_DIR or the database, see world/), created in start()
+let world = null;
+const WORLD_DIR = process.env.WORLD_DIR || path.join(__dirname, 'data', 'worlds');
+
+// Published client release files, one directory per version (see releases/)
+const RELEASES_DIR = process.env.RELEASES_DIR || path.join(__dirname, 'data', 'releases');
+const releaseStore = createReleaseStore(RELEASES_DIR);
+
+// Base URL used in links sent by email; defaults to the requesting host
+const PUBLIC_URL = process.env.PUBLIC_URL;
+
+// Live game servers (ForgeBlockServer instances), kept alive by heartbeats
+const gameServers = new Map(); // serverId -> server
+const SERVER_HEARTBEAT_INTERVAL = 15; // seconds, sent to servers on register
+const SERVER_TIMEOUT = 60 * 1000; // drop a server after this long without a heartbeat
+const MAX_SERVERS_PER_KEY = 10; // live registrations per server key
+
+// Access tokens are short-lived and tied to a session (sid); the session's
+// refresh token is used to get new ones. Game tokens (scope 'game', handed
+// to game clients by the device login) live as long as their session and are
+// only accepted by /api/game-auth.
+const ACCESS_TOKEN_TTL = '15m';
+const GAME_TOKEN_TTL = '30d';
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // how often last_seen_at is updated
+
+// Personal access tokens (for bots and tools) are opaque strings, not JWTs.
+// They are only accepted on routes that declare one of their scopes with
+// tokenScope(); everything else keeps requiring a login.
+const PERSONAL_TOKEN_PREFIX = 'fbp_';
+const PERSONAL_TOKEN_SCOPES = ['read-profile', 'read-stats', 'manage-places'];
 
 // Generate JWT token
-function generateToken(userId, username) {
+function generateToken(userId, username, sessionId, expiresIn = ACCESS_TOKEN_TTL, scope = null) {
     return jwt.sign(
-        { userId, username, iat: Date.now() },
+        scope ? { userId, username, sid: sessionId, scope } : { userId, username, sid: sessionId },
         JWT_SECRET,
-        { expiresIn: '30d' }
+        { expiresIn }
     );
 }
 
@@ -135,21 +154,121 @@ function verifyToken(token) {
     }
 }
 
-// Auth middleware
-function authMiddleware(req, res, next) {
-    const token = req.cookies.authToken || req.headers.authorization?.replace('Bearer ', '');
+// Bearer header first: the auth cookie may hold an older access token
+function getRequestToken(req) {
+    return req.headers.authorization?.replace('Bearer ', '') || req.cookies.authToken;
+}
+
+// Start a session for the requesting device
+async function createSession(req, userId, remember) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(32).toString('hex');
     
-    if (!token) {
-        return res.status(401).json({ error: 'No token provided' });
-    }
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + (remember ? 30 : 1));
+    
+    await storage.sessions.create({
+        id: sessionId,
+        userId,
+        refreshTokenHash: sha256(refreshToken),
+        userAgent: (req.headers['user-agent'] || '').slice(0, 255),
+        ip: req.ip,
+        expiresAt
+    });
     
+    return { sessionId, refreshToken };
+}
+
+// Resolve a token to its payload and session; null if invalid, expired or revoked.
+// Scoped tokens are only accepted where their scope is listed in `scopes`.
+async function authenticateToken(token, { scopes = [] } = {}) {
     const decoded = verifyToken(token);
-    if (!decoded) {
-        return res.status(401).json({ error: 'Invalid token' });
+    if (!decoded || !decoded.sid) {
+        return null;
+    }
+    if (decoded.scope && !scopes.includes(decoded.scope)) {
+        return null;
+    }
+    
+    const session = await storage.sessions.findActive(decoded.sid);
+    if (!session || session.userId !== decoded.userId) {
+        return null;
+    }
+    
+    return { decoded, session };
+}
+
+// Resolve a personal access token to the token and its owner; null if
+// unknown, expired, revoked or the owner is banned
+async function authenticatePersonalToken(token) {
+    const personalToken = await storage.personalTokens.findActiveByHash(sha256(token));
+    if (!personalToken) {
+        return null;
+    }
+    
+    const user = await storage.users.findById(personalToken.userId);
+    if (!user || user.isBanned) {
+        return null;
     }
     
-    req.user = decoded;
-    next();
+    return { personalToken, user };
+}
+
+// Let personal access tokens with `scope` through the authMiddleware that follows
+function tokenScope(scope) {
+    return (req, res, next) => {
+        req.tokenScope = scope;
+        next();
+    };
+}
+
+// Auth middleware
+async function authMiddleware(req, res, next) {
+    try {
+        const token = getRequestToken(req);
+        
+        if (!token) {
+            return res.status(401).json({ error: 'No token provided' });
+        }
+        
+        if (token.startsWith(PERSONAL_TOKEN_PREFIX)) {
+            const personal = await authenticatePersonalToken(token);
+            if (!personal) {
+                return res.status(401).json({ error: 'Invalid token' });
+            }
+            
+            const { personalToken, user } = personal;
+            if (!req.tokenScope || !personalToken.scopes.includes(req.tokenScope)) {
+                return res.status(403).json({ error: 'Token lacks scope', scope: req.tokenScope || null });
+            }
+            
+            req.user = { userId: user.id, username: user.username };
+            req.sessionId = null;
+            req.personalToken = { id: personalToken.id, scopes: personalToken.scopes };
+            
+            if (!personalToken.lastUsedAt || Date.now() - personalToken.lastUsedAt > SESSION_TOUCH_INTERVAL) {
+                storage.personalTokens.touch(personalToken.id, req.ip).catch(e => console.error('Touch token error:', e.message));
+            }
+            return next();
+        }
+        
+        const auth = await authenticateToken(token);
+        if (!auth) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        
+        req.user = auth.decoded;
+        req.sessionId = auth.session.id;
+        
+        if (Date.now() - auth.session.lastSeenAt > SESSION_TOUCH_INTERVAL) {
+            storage.sessions.touch(auth.session.id, req.ip).catch(e => console.error('Touch session error:', e.message));
+        }
+        
+        next();
+    } catch (error) {
+        console.error('Auth error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
 }
 
 // Validate username (only letters, numbers, underscore - no spaces, emoji, cyrillic)
@@ -157,6 +276,21 @@ function isValidUsername(username) {
     return /^[a-zA-Z0-9_]{3,24}$/.test(username);
 }
 
+// Accounts registered from the game get a placeholder address
+const PLACEHOLDER_EMAIL_DOMAIN = '@game.local';
+
+function isValidEmail(email) {
+    return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function isPlaceholderEmail(email) {
+    return !email || email.toLowerCase().endsWith(PLACEHOLDER_EMAIL_DOMAIN);
+}
+
+function getPublicUrl(req) {
+    return (PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
 // Simple password hash for game server (compatible with C++ server)
 function simpleHash(str) {
     let hash = BigInt(5381);
@@ -166,6 +300,68 @@ function simpleHash(str) {
     return hash.toString();
 }
 
+// Password policy (configurable through PASSWORD_MIN_LENGTH and PASSWORD_BLOCKLIST)
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const PASSWORD_MAX_LENGTH = 72; // bcrypt ignores everything past 72 bytes
+const PASSWORD_BLOCKLIST_FILE = process.env.PASSWORD_BLOCKLIST || path.join(__dirname, 'data', 'common-passwords.txt');
+
+// Breached/common passwords, one per line
+const passwordBlocklist = new Set();
+try {
+    fs.readFileSync(PASSWORD_BLOCKLIST_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(entry => passwordBlocklist.add(entry));
+} catch (e) {
+    console.warn(`Password blocklist not loaded (${PASSWORD_BLOCKLIST_FILE}): ${e.message}`);
+}
+
+// Returns an error message, or null if the password is acceptable
+function checkPasswordPolicy(password, username) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+    if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_LENGTH) {
+        return `Password must be at most ${PASSWORD_MAX_LENGTH} bytes`;
+    }
+    const lower = password.toLowerCase();
+    if (username && username.length >= 3 && lower.includes(username.toLowerCase())) {
+        return 'Password must not contain your username';
+    }
+    if (passwordBlocklist.has(lower)) {
+        return 'This password is too common. Please choose another one';
+    }
+    return null;
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, 10);
+}
+
+// Check a password against the stored hash using the user's hash algorithm.
+// Accounts still on the legacy simpleHash report needsRehash after a match.
+async function verifyPassword(password, passwordHash, passwordAlgo) {
+    if (passwordAlgo === 'simple') {
+        const valid = passwordHash === simpleHash(password);
+        return { valid, needsRehash: valid };
+    }
+    
+    try {
+        return { valid: await bcrypt.compare(password, passwordHash), needsRehash: false };
+    } catch (e) {
+        return { valid: false, needsRehash: false };
+    }
+}
+
+// Replace a legacy hash with bcrypt after a successful login
+async function upgradePasswordHash(userId, password) {
+    const passwordHash = await hashPassword(password);
+    await storage.users.updatePassword(userId, passwordHash, 'bcrypt');
+    
+    console.log(`Password hash upgraded to bcrypt for user ID ${userId}`);
+}
+
 // Cookie options
 const cookieOptions = {
     httpOnly: true,
@@ -174,6 +370,374 @@ const cookieOptions = {
     maxAge: 30 * 24 * 60 * 60 * 1000
 };
 
+// Route guard by permission (use after authMiddleware). The role is read from
+// the database on every request, so role changes apply immediately.
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const user = await storage.users.findById(req.user.userId);
+            
+            if (!user || !hasPermission(user.role, permission)) {
+                return res.status(403).json({ error: 'Permission denied', permission });
+            }
+            
+            req.user.role = user.role;
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({ error: 'Authorization failed' });
+        }
+    };
+}
+
+// Deprecated: admins used to be configured by user id (ADMIN_USER_IDS=1,2).
+// Those accounts are promoted to the admin role on startup.
+const LEGACY_ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => parseInt(id, 10))
+    .filter(Boolean);
+
+async function promoteLegacyAdmins() {
+    for (const userId of LEGACY_ADMIN_USER_IDS) {
+        const user = await storage.users.findById(userId);
+        if (!user || user.role === 'admin') continue;
+        
+        await storage.users.setRole(user.id, 'admin');
+        await storage.auditLog.record({
+            actorId: null,
+            action: 'set-role',
+            targetUserId: user.id,
+            details: { from: user.role, to: 'admin', via: 'ADMIN_USER_IDS' }
+        });
+        console.warn(`ADMIN_USER_IDS is deprecated: promoted ${user.username} to admin (use npm run admin:create from now on)`);
+    }
+}
+
+// ==================== GAME SERVER CREDENTIALS ====================
+//
+// Game servers authenticate with an admin-issued key: a public key id and a
+// secret shown once on creation. Servers sign with sha256(secret); the raw
+// secret is never persisted, but that digest is just as good for signing, so
+// it is stored encrypted with serverKeySecrets and a copy of the database
+// alone can't forge requests.
+//
+// Every signed request carries:
+//   X-Server-Key: <key id>
+//   X-Timestamp:  <unix time in ms>
+//   X-Signature:  hex(HMAC-SHA256(sha256(secret), `${timestamp}.${METHOD}.${pathAndQuery}.${rawBody}`))
+//
+// pathAndQuery is the request path with its query string exactly as sent
+// (`/api/x?a=1`), or just the path when there is none.
+//
+// Requests outside SIGNATURE_WINDOW or reusing a seen signature are rejected.
+// GAME_AUTH_COMPAT=true lets unsigned requests through (with a warning) while
+// existing servers are migrated, but only on the legacy routes old servers
+// call (get_position, save_position, save-player); every other route always
+// requires a signature.
+
+const SERVER_KEY_SCOPES = ['read-position', 'write-position', 'write-player', 'read-friends', 'account-events', 'read-world', 'write-world', 'write-sessions', 'write-stats', 'write-achievements', 'register-server'];
+const SIGNATURE_WINDOW = 60 * 1000;
+const GAME_AUTH_COMPAT = process.env.GAME_AUTH_COMPAT === 'true';
+const seenSignatures = new Map(); // signature -> expiry time
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [signature, expires] of seenSignatures) {
+        if (expires < now) {
+            seenSignatures.delete(signature);
+        }
+    }
+}, SIGNATURE_WINDOW).unref();
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length > 0 && bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Keys issued before signing keys were encrypted still hold the plain
+// sha256(secret) digest; seal them on startup
+async function sealServerSigningKeys() {
+    for (const key of await storage.serverKeys.list()) {
+        if (!isSealed(key.signingKey)) {
+            await storage.serverKeys.setSigningKey(key.keyId, serverKeySecrets.seal(key.signingKey));
+            console.log(`Encrypted signing key of server key ${key.keyId}`);
+        }
+    }
+}
+
+// Check the signature headers of a game server request. Resolves to { key }
+// or { status, message } when the request must be rejected.
+async function verifyServerRequest(req, method, requestPath, rawBody, scope) {
+    const keyId = req.headers['x-server-key'];
+    const timestamp = req.headers['x-timestamp'];
+    const signature = req.headers['x-signature'];
+    
+    if (!keyId || !timestamp || !signature) {
+        return { status: 401, message: 'Incomplete signature headers' };
+    }
+    
+    const sentAt = parseInt(timestamp, 10);
+    if (!sentAt || Math.abs(Date.now() - sentAt) > SIGNATURE_WINDOW) {
+        return { status: 401, message: 'Request expired' };
+    }
+    
+    const key = await storage.serverKeys.findByKeyId(keyId);
+    if (!key || key.revokedAt) {
+        return { status: 401, message: 'Invalid server key' };
+    }
+    
+    // rawBody is a string for JSON bodies and a Buffer for binary uploads
+    const expected = crypto.createHmac('sha256', serverKeySecrets.open(key.signingKey))
+        .update(`${timestamp}.${method}.${requestPath}.`)
+        .update(rawBody)
+        .digest('hex');
+    
+    if (!safeEqualHex(expected, signature)) {
+        return { status: 401, message: 'Invalid signature' };
+    }
+    
+    if (seenSignatures.has(signature)) {
+        return { status: 401, message: 'Replayed request' };
+    }
+    seenSignatures.set(signature, sentAt + SIGNATURE_WINDOW);
+    
+    if (!key.scopes.includes(scope)) {
+        return { status: 403, message: `Server key lacks scope: ${scope}` };
+    }
+    
+    storage.serverKeys.touch(key.keyId).catch(e => console.error('Touch server key error:', e.message));
+    return { key };
+}
+
+// Require a signed game server request with the given scope. allowCompat:
+// legacy route that accepts unsigned requests in GAME_AUTH_COMPAT mode.
+function serverKeyMiddleware(scope, { allowCompat = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            if (!req.headers['x-server-key'] && !req.headers['x-signature']) {
+                if (GAME_AUTH_COMPAT && allowCompat) {
+                    console.warn(`Unsigned game server request to ${req.path} from ${req.ip} (compat mode)`);
+                    return next();
+                }
+                return res.status(401).json({ success: false, message: 'Server key required' });
+            }
+            
+            const { key, status, message } = await verifyServerRequest(req, req.method, req.originalUrl, req.rawBody || '', scope);
+            if (!key) {
+                return res.status(status).json({ success: false, message });
+            }
+            
+            req.serverKey = { keyId: key.keyId, name: key.name, scopes: key.scopes };
+            next();
+        } catch (error) {
+            console.error('Server key auth error:', error);
+            res.status(500).json({ success: false, message: 'Server authentication failed' });
+        }
+    };
+}
+
+// ==================== RATE LIMITING ====================
+//
+// Two mechanisms, both keyed by IP and/or account:
+//   - request limits per route (fixed window), rejected with 429 + Retry-After
+//   - failed password/token attempts, locking the key out for progressively
+//     longer after repeated failures
+// RATE_LIMIT_STORE=database shares counters between instances using the same database.
+
+const RATE_LIMITS = {
+    login: { limit: 30, windowMs: 60 * 1000 },
+    register: { limit: 10, windowMs: 60 * 60 * 1000 },
+    forgotPassword: { limit: 5, windowMs: 15 * 60 * 1000 },
+    accountChange: { limit: 10, windowMs: 60 * 60 * 1000 },
+    // Game servers authenticate all of their players from one address
+    gameAuth: { limit: 300, windowMs: 60 * 1000 },
+    deviceCode: { limit: 20, windowMs: 15 * 60 * 1000 },
+    deviceVerify: { limit: 30, windowMs: 15 * 60 * 1000 },
+    serverRegister: { limit: 30, windowMs: 15 * 60 * 1000 }
+};
+
+// Per account: 5 wrong passwords lock it for 1 min, then 2, 4, ... up to 1 hour
+const ACCOUNT_FAILURE_POLICY = {
+    maxFailures: 5,
+    failureWindow: 15 * 60 * 1000,
+    baseLockout: 60 * 1000,
+    maxLockout: 60 * 60 * 1000
+};
+
+// Per IP: more headroom for shared addresses (NAT, game servers)
+const IP_FAILURE_POLICY = {
+    maxFailures: 30,
+    failureWindow: 15 * 60 * 1000,
+    baseLockout: 5 * 60 * 1000,
+    maxLockout: 6 * 60 * 60 * 1000
+};
+
+function sendTooManyRequests(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        message: `Too many attempts. Try again in ${formatWait(retryAfter)}`,
+        retryAfter
+    });
+}
+
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+    return `${Math.ceil(seconds / 3600)} h`;
+}
+
+// Route limit; keyOf(req) defaults to the client IP (use after authMiddleware for user keys)
+function rateLimit(name, keyOf = req => req.ip) {
+    const { limit, windowMs } = RATE_LIMITS[name];
+    
+    return async (req, res, next) => {
+        try {
+            const result = await limiter.hit(`${name}:${keyOf(req)}`, { limit, windowMs });
+            if (!result.allowed) {
+                console.warn(`Rate limit ${name} exceeded by ${keyOf(req)}`);
+                return sendTooManyRequests(res, result.retryAfter);
+            }
+            next();
+        } catch (error) {
+            // Never lock everyone out because the store is down
+            console.error('Rate limit error:', error);
+            next();
+        }
+    };
+}
+
+// Failure keys for password checks on an account (login and settings)
+function passwordFailureKeys(req, username) {
+    return [`password:user:${username.toLowerCase()}`, `password:ip:${req.ip}`];
+}
+
+async function recordPasswordFailure(req, username) {
+    const [userKey, ipKey] = passwordFailureKeys(req, username);
+    
+    const result = await limiter.recordFailure(userKey, ACCOUNT_FAILURE_POLICY);
+    await limiter.recordFailure(ipKey, IP_FAILURE_POLICY);
+    
+    if (result.locked) {
+        console.warn(`Account locked for ${result.retryAfter}s after failed passwords: ${username} (last from ${req.ip})`);
+    }
+}
+
+// ==================== REALTIME GATEWAY ====================
+//
+// WebSocket endpoint /ws on the same HTTP server (see gateway/index.js).
+//
+// Portal users connect with their access token (?token=, Bearer header or the
+// authToken cookie) and receive:
+//   { type: 'presence', username, inGame, server }  - a friend joined or left a game
+//   { type: 'friends', event, username }             - request, accepted, declined, cancelled, removed
+//   { type: 'servers', servers, players }            - the server browser changed
+//   { type: 'logout', reason }                       - session revoked; the socket closes with code 4000
+//
+// Game servers connect with the usual signature headers (signed path "/ws",
+// method GET, empty body) using a key with the account-events scope, send
+// { type: 'subscribe', userIds } for the players they host, and receive
+// { type: 'account', event, userId, ... } with event logout, banned, renamed or role.
+
+const SERVER_LIST_PUSH_DELAY = 1000; // batches server list changes from many heartbeats
+let serverListPushTimer = null;
+
+function readCookie(header, name) {
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+async function authenticateGatewayClient(req) {
+    const url = new URL(req.url, 'http://localhost');
+    
+    if (req.headers['x-server-key']) {
+        const { key, status, message } = await verifyServerRequest(req, 'GET', req.url, '', 'account-events');
+        if (!key) {
+            return { status, message };
+        }
+        return { kind: 'server', keyId: key.keyId, name: key.name };
+    }
+    
+    const token = url.searchParams.get('token')
+        || req.headers.authorization?.replace('Bearer ', '')
+        || readCookie(req.headers.cookie, 'authToken');
+    
+    if (!token) {
+        return { status: 401, message: 'No token provided' };
+    }
+    
+    const auth = await authenticateToken(token);
+    if (!auth) {
+        return { status: 401, message: 'Invalid token' };
+    }
+    
+    return {
+        kind: 'user',
+        userId: auth.decoded.userId,
+        username: auth.decoded.username,
+        sessionId: auth.session.id
+    };
+}
+
+// Close the portal sockets of revoked sessions and tell game servers, which
+// match sessionId against the one /api/game-auth returned for the player.
+// Without sessionId every session except exceptSessionId is affected.
+function pushLogout(userId, reason, { sessionId = null, exceptSessionId = null } = {}) {
+    if (sessionId) {
+        gateway.closeSession(sessionId, reason);
+    } else {
+        gateway.closeUser(userId, reason, exceptSessionId);
+    }
+    gateway.publishAccountEvent(userId, 'logout', { reason, sessionId, exceptSessionId });
+}
+
+function pushFriendEvent(userId, event, username) {
+    gateway.sendToUser(userId, { type: 'friends', event, username });
+}
+
+// Tell the friends of these players where they are now
+async function pushPresence(usernames) {
+    for (const username of usernames) {
+        const user = await storage.users.findByUsername(username);
+        if (!user) continue;
+        
+        const friends = await storage.friends.listFriends(user.id);
+        const presence = { type: 'presence', username: user.username, ...describePresence(user.username) };
+        friends.forEach(friend => gateway.sendToUser(friend.id, presence));
+    }
+}
+
+function scheduleServerListPush() {
+    if (serverListPushTimer) return;
+    
+    serverListPushTimer = setTimeout(() => {
+        serverListPushTimer = null;
+        gateway.broadcast({ type: 'servers', servers: listGameServers(), players: getOnlinePlayerCount() });
+    }, SERVER_LIST_PUSH_DELAY);
+}
+
+// Players joined or left a server
+function onPlayersChanged(usernames) {
+    scheduleServerListPush();
+    if (usernames.length > 0) {
+        pushPresence(usernames).catch(e => console.error('Presence push error:', e.message));
+    }
+}
+
 // ==================== API ROUTES ====================
 
 // Health check for game server
@@ -182,7 +746,7 @@ app.post('/api/health', (req, res) => {
 });
 
 // Register
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimit('register'), async (req, res) => {
     try {
         const { username, email, password } = req.body;
         
@@ -208,62 +772,36 @@ app.post('/api/register', async (req, res) => {
             }
         }
         
-        if (password.length < 2) {
-            return res.json({ success: false, message: 'Password must be at least 2 characters' });
+        const passwordError = checkPasswordPolicy(password, username);
+        if (passwordError) {
+            return res.json({ success: false, message: passwordError });
         }
         
-        if (!isGameServer && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        if (!isGameServer && (!isValidEmail(email) || isPlaceholderEmail(email))) {
             return res.json({ success: false, message: 'Invalid email format' });
         }
         
-        // Для веб-сайта используем bcrypt, для игры - простой хеш
-        const passwordHash = isGameServer ? simpleHash(password) : await bcrypt.hash(password, 10);
+        if (await storage.users.isUsernameTaken(username)) {
+            return res.json({ success: false, message: 'Username already exists' });
+        }
         
-        if (pool) {
-            const [existing] = await pool.execute(
-                'SELECT id FROM users WHERE LOWER(username) = LOWER(?)',
-                [username]
-            );
-            
-            if (existing.length > 0) {
-                return res.json({ success: false, message: 'Username already exists' });
-            }
-            
-            // Для игрового сервера создаём фейковый email
-            const userEmail = email ? email.toLowerCase() : `${username.toLowerCase()}@game.local`;
-            
-            const [result] = await pool.execute(
-                'INSERT INTO users (username, email, password_hash, face) VALUES (?, ?, ?, ?)',
-                [username, userEmail, passwordHash, 'default.png']
-            );
-            
-            await pool.execute(
-                'INSERT INTO player_data (user_id) VALUES (?)',
-                [result.insertId]
-            );
-            
-            console.log(`User registered: ${username} (ID: ${result.insertId})${isGameServer ? ' [GAME]' : ''}`);
-        } else {
-            const lowerUsername = username.toLowerCase();
-            
-            for (const [, user] of memoryUsers) {
-                if (user.username.toLowerCase() === lowerUsername) {
-                    return res.json({ success: false, message: 'Username already exists' });
-                }
-            }
-            
-            const userId = memoryIdCounter++;
-            memoryUsers.set(userId, {
-                id: userId,
-                username,
-                email: email ? email.toLowerCase() : `${username.toLowerCase()}@game.local`,
-                passwordHash,
-                face: 'default.png',
-                createdAt: new Date(),
-                isGameUser: isGameServer
-            });
-            
-            console.log(`User registered (memory): ${username} (ID: ${userId})${isGameServer ? ' [GAME]' : ''}`);
+        const passwordHash = await hashPassword(password);
+        
+        // Для игрового сервера создаём фейковый email
+        const userEmail = email ? email.toLowerCase() : `${username.toLowerCase()}${PLACEHOLDER_EMAIL_DOMAIN}`;
+        
+        const userId = await storage.users.create({
+            username,
+            email: userEmail,
+            passwordHash,
+            passwordAlgo: 'bcrypt'
+        });
+        
+        console.log(`User registered: ${username} (ID: ${userId})${isGameServer ? ' [GAME]' : ''}`);
+        
+        if (!isGameServer) {
+            sendVerificationEmail(req, { id: userId, username, email: userEmail })
+                .catch(e => console.error('Verification email error:', e.message));
         }
         
         res.json({ success: true, message: 'Registration successful!' });
@@ -275,90 +813,65 @@ app.post('/api/register', async (req, res) => {
 });
 
 // Login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimit('login'), async (req, res) => {
     try {
         const { username, password, remember } = req.body;
         
-        if (!username || !password) {
+        if (!username || !password || typeof username !== 'string') {
             return res.json({ success: false, message: 'Username and password required' });
         }
         
-        let user = null;
+        // Locked out after too many wrong passwords (per account and per IP)
+        const retryAfter = await limiter.lockedFor(...passwordFailureKeys(req, username));
+        if (retryAfter) {
+            return sendTooManyRequests(res, retryAfter);
+        }
+        
         let isGameLogin = false;
         
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT id, username, password_hash, face, is_banned FROM users WHERE username = ?',
-                [username]
-            );
-            
-            if (users.length > 0) {
-                user = users[0];
-            }
-        } else {
-            for (const [, u] of memoryUsers) {
-                if (u.username.toLowerCase() === username.toLowerCase()) {
-                    user = { id: u.id, username: u.username, password_hash: u.passwordHash, face: u.face, isGameUser: u.isGameUser };
-                    break;
-                }
-            }
-        }
+        const user = await storage.users.findByUsername(username);
         
         if (!user) {
+            await recordPasswordFailure(req, username);
             return res.json({ success: false, message: 'Invalid username or password' });
         }
         
-        if (user.is_banned) {
-            return res.json({ success: false, message: 'Account is banned' });
-        }
-        
-        // Проверяем пароль - сначала bcrypt, потом простой хеш
-        let validPassword = false;
-        
-        try {
-            validPassword = await bcrypt.compare(password, user.password_hash);
-        } catch (e) {
-            // Не bcrypt хеш, проверяем простой хеш
-        }
-        
-        if (!validPassword) {
-            // Проверяем простой хеш (для игрового сервера)
-            const simpleHashValue = simpleHash(password);
-            validPassword = (user.password_hash === simpleHashValue);
-            isGameLogin = validPassword;
-        }
+        // Проверяем пароль алгоритмом, которым он был захеширован
+        const { valid, needsRehash } = await verifyPassword(password, user.passwordHash, user.passwordAlgo);
         
-        if (!validPassword) {
+        if (!valid) {
+            await recordPasswordFailure(req, username);
             return res.json({ success: false, message: 'Invalid username or password' });
         }
         
-        const token = generateToken(user.id, user.username);
+        // Ban details are only shown once the password is known to be right
+        if (user.isBanned) {
+            return res.json({
+                success: false,
+                message: describeBan(user),
+                ban: { reason: user.banReason, until: user.bannedUntil }
+            });
+        }
         
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + (remember ? 30 : 1));
+        await limiter.recordSuccess(passwordFailureKeys(req, user.username)[0]);
         
-        if (pool) {
-            await pool.execute(
-                'UPDATE users SET auth_token = ?, token_expires = ?, last_login = NOW() WHERE id = ?',
-                [token, expiresAt, user.id]
-            );
+        // Старый простой хеш (игровой сервер) - переводим на bcrypt
+        if (needsRehash) {
+            isGameLogin = true;
+            await upgradePasswordHash(user.id, password);
         }
         
-        if (remember) {
-            res.cookie('authToken', token, cookieOptions);
-            res.cookie('username', user.username, { ...cookieOptions, httpOnly: false });
+        // With 2FA the password only earns a challenge for /api/login/2fa
+        if (await storage.twoFactor.findEnabled(user.id)) {
+            return res.json({
+                success: false,
+                twoFactorRequired: true,
+                challenge: jwt.sign({ userId: user.id, remember: !!remember, purpose: 'login-2fa' }, JWT_SECRET, { expiresIn: LOGIN_CHALLENGE_TTL }),
+                message: 'Enter the code from your authenticator app'
+            });
         }
         
-        console.log(`User logged in: ${user.username}${isGameLogin ? ' [GAME]' : ''}`);
-        
-        res.json({
-            success: true,
-            message: 'Login successful',
-            token,
-            username: user.username,
-            userId: user.id,
-            face: user.face || 'default.png'
-        });
+        await completeLogin(req, res, user, remember, isGameLogin);
         
     } catch (error) {
         console.error('Login error:', error);
@@ -366,54 +879,167 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
+// Second login step: the challenge from /api/login plus a TOTP or recovery code
+app.post('/api/login/2fa', rateLimit('login'), async (req, res) => {
+    try {
+        const { challenge, code } = req.body;
+        
+        const decoded = typeof challenge === 'string' ? verifyToken(challenge) : null;
+        if (!decoded || decoded.purpose !== 'login-2fa') {
+            return res.json({ success: false, message: 'Sign in again' });
+        }
+        
+        const user = await storage.users.findById(decoded.userId);
+        if (!user || user.isBanned) {
+            return res.json({ success: false, message: 'Sign in again' });
+        }
+        
+        const result = await checkSecondFactor(user.id, code);
+        if (result.retryAfter) {
+            return sendTooManyRequests(res, result.retryAfter);
+        }
+        if (result.error) {
+            return res.json({ success: false, twoFactorRequired: true, message: result.error });
+        }
+        
+        await completeLogin(req, res, user, decoded.remember, false, result.method === 'recovery'
+            ? { recoveryCodesLeft: await storage.twoFactor.countRecoveryCodes(user.id) }
+            : {});
+    } catch (error) {
+        console.error('Login 2FA error:', error);
+        res.json({ success: false, message: 'Login failed' });
+    }
+});
+
+// Start a session for a user whose credentials were checked and answer the login
+async function completeLogin(req, res, user, remember, isGameLogin, extra = {}) {
+    const { sessionId, refreshToken } = await createSession(req, user.id, remember);
+    const token = generateToken(user.id, user.username, sessionId);
+    
+    await storage.users.recordLogin(user.id);
+    
+    if (remember) {
+        res.cookie('authToken', token, cookieOptions);
+        res.cookie('refreshToken', refreshToken, cookieOptions);
+        res.cookie('username', user.username, { ...cookieOptions, httpOnly: false });
+    }
+    
+    console.log(`User logged in: ${user.username}${isGameLogin ? ' [GAME]' : ''}`);
+    
+    res.json({
+        success: true,
+        message: 'Login successful',
+        token,
+        refreshToken,
+        username: user.username,
+        userId: user.id,
+        face: user.face,
+        ...extra
+    });
+}
+
 // Verify token
 app.post('/api/verify', async (req, res) => {
     try {
-        const token = req.cookies.authToken || req.headers.authorization?.replace('Bearer ', '');
+        const token = getRequestToken(req);
         
         if (!token) {
             return res.json({ valid: false });
         }
         
-        const decoded = verifyToken(token);
-        if (!decoded) {
+        // Game clients check their saved token here too
+        const auth = await authenticateToken(token, { scopes: ['game'] });
+        if (!auth) {
             return res.json({ valid: false });
         }
         
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT id, username, face, token_expires, is_banned FROM users WHERE id = ? AND auth_token = ?',
-                [decoded.userId, token]
-            );
-            
-            if (users.length === 0 || users[0].is_banned) {
-                return res.json({ valid: false });
-            }
-            
-            const user = users[0];
-            if (user.token_expires && new Date(user.token_expires) < new Date()) {
-                return res.json({ valid: false });
-            }
-            
-            res.json({
-                valid: true,
-                username: user.username,
-                userId: user.id,
-                face: user.face || 'default.png'
-            });
-        } else {
-            res.json({ valid: true, username: decoded.username, userId: decoded.userId, face: 'default.png' });
+        const user = await storage.users.findById(auth.decoded.userId);
+        if (!user || user.isBanned) {
+            return res.json({ valid: false });
         }
         
+        res.json({
+            valid: true,
+            username: user.username,
+            userId: user.id,
+            face: user.face,
+            role: user.role,
+            permissions: permissionsFor(user.role)
+        });
+        
     } catch (error) {
         console.error('Verify error:', error);
         res.json({ valid: false });
     }
 });
 
-// Logout
-app.post('/api/logout', (req, res) => {
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/api/refresh', async (req, res) => {
+    try {
+        const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+        
+        if (!refreshToken) {
+            return res.status(401).json({ success: false, message: 'Refresh token required' });
+        }
+        
+        const refreshTokenHash = sha256(refreshToken);
+        const session = await storage.sessions.findActiveByRefreshHash(refreshTokenHash);
+        if (!session) {
+            return res.status(401).json({ success: false, message: 'Session expired' });
+        }
+        
+        const user = await storage.users.findById(session.userId);
+        if (!user || user.isBanned) {
+            await storage.sessions.revoke(session.id, session.userId);
+            return res.status(401).json({ success: false, message: 'Session expired' });
+        }
+        
+        const newRefreshToken = crypto.randomBytes(32).toString('hex');
+        if (!await storage.sessions.rotateRefreshToken(session.id, refreshTokenHash, sha256(newRefreshToken))) {
+            // Another request rotated this token first
+            return res.status(401).json({ success: false, message: 'Session expired' });
+        }
+        
+        const token = generateToken(user.id, user.username, session.id);
+        
+        if (req.cookies.refreshToken) {
+            res.cookie('authToken', token, cookieOptions);
+            res.cookie('refreshToken', newRefreshToken, cookieOptions);
+        }
+        
+        res.json({
+            success: true,
+            token,
+            refreshToken: newRefreshToken,
+            username: user.username
+        });
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({ success: false, message: 'Refresh failed' });
+    }
+});
+
+// Logout (revokes the current session)
+app.post('/api/logout', async (req, res) => {
+    try {
+        const token = getRequestToken(req);
+        const auth = token ? await authenticateToken(token, { scopes: ['game'] }) : null;
+        
+        let session = auth?.session;
+        if (!session && req.cookies.refreshToken) {
+            session = await storage.sessions.findActiveByRefreshHash(sha256(req.cookies.refreshToken));
+        }
+        
+        if (session) {
+            await storage.sessions.revoke(session.id, session.userId);
+            pushLogout(session.userId, 'Signed out', { sessionId: session.id });
+        }
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    
     res.clearCookie('authToken');
+    res.clearCookie('refreshToken');
     res.clearCookie('username');
     res.json({ success: true });
 });
@@ -421,7 +1047,7 @@ app.post('/api/logout', (req, res) => {
 // ==================== GAME SERVER API (NEW) ====================
 
 // Get player position
-app.post('/api/get_position', async (req, res) => {
+app.post('/api/get_position', serverKeyMiddleware('read-position', { allowCompat: true }), async (req, res) => {
     try {
         const { username } = req.body;
         
@@ -429,34 +1055,31 @@ app.post('/api/get_position', async (req, res) => {
             return res.json({ success: false, message: 'Username required' });
         }
         
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT u.id, p.pos_x, p.pos_y, p.pos_z FROM users u ' +
-                'LEFT JOIN player_data p ON u.id = p.user_id ' +
-                'WHERE u.username = ?',
-                [username]
-            );
-            
-            if (users.length === 0) {
-                return res.json({ success: false, message: 'User not found' });
+        const user = await storage.users.findByUsername(username);
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        // With placeId: the saved position there, or its spawn point
+        if (req.body.placeId !== undefined) {
+            const place = await storage.places.findById(parseInt(req.body.placeId, 10) || 0);
+            if (!place) {
+                return res.json({ success: false, message: 'Place not found' });
             }
             
-            const data = users[0];
-            res.json({
-                success: true,
-                x: data.pos_x || 0,
-                y: data.pos_y || 2,
-                z: data.pos_z || 0
-            });
-        } else {
-            const pos = memoryPositions.get(username.toLowerCase());
-            if (pos) {
-                res.json({ success: true, x: pos.x, y: pos.y, z: pos.z });
-            } else {
-                res.json({ success: true, x: 0, y: 2, z: 0 });
-            }
+            const spawn = await resolveSpawn(user.id, place);
+            return res.json({ success: true, placeId: place.id, x: spawn.x, y: spawn.y, z: spawn.z });
         }
         
+        const data = await storage.players.get(user.id);
+        res.json({
+            success: true,
+            placeId: data?.placeId || DEFAULT_PLACE_ID,
+            x: data?.x || 0,
+            y: data?.y || 2,
+            z: data?.z || 0
+        });
+        
     } catch (error) {
         console.error('Get position error:', error);
         res.json({ success: false, message: 'Failed to get position' });
@@ -464,7 +1087,7 @@ app.post('/api/get_position', async (req, res) => {
 });
 
 // Save player position
-app.post('/api/save_position', async (req, res) => {
+app.post('/api/save_position', serverKeyMiddleware('write-position', { allowCompat: true }), async (req, res) => {
     try {
         const { username, x, y, z } = req.body;
         
@@ -476,27 +1099,24 @@ app.post('/api/save_position', async (req, res) => {
         const posY = parseFloat(y) || 2;
         const posZ = parseFloat(z) || 0;
         
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT id FROM users WHERE username = ?',
-                [username]
-            );
-            
-            if (users.length === 0) {
-                return res.json({ success: false, message: 'User not found' });
+        const user = await storage.users.findByUsername(username);
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        // Without placeId the position is saved for the place the player is in
+        if (req.body.placeId !== undefined) {
+            const place = await storage.places.findById(parseInt(req.body.placeId, 10) || 0);
+            if (!place) {
+                return res.json({ success: false, message: 'Place not found' });
             }
-            
-            await pool.execute(
-                'UPDATE player_data SET pos_x = ?, pos_y = ?, pos_z = ? WHERE user_id = ?',
-                [posX, posY, posZ, users[0].id]
-            );
-            
-            res.json({ success: true });
+            await storage.players.save(user.id, { placeId: place.id, x: posX, y: posY, z: posZ });
         } else {
-            memoryPositions.set(username.toLowerCase(), { x: posX, y: posY, z: posZ });
-            res.json({ success: true });
+            await storage.players.savePosition(user.id, { x: posX, y: posY, z: posZ });
         }
         
+        res.json({ success: true });
+        
     } catch (error) {
         console.error('Save position error:', error);
         res.json({ success: false, message: 'Failed to save position' });
@@ -506,36 +1126,23 @@ app.post('/api/save_position', async (req, res) => {
 // ==================== SETTINGS API ====================
 
 // Get user settings
-app.get('/api/settings', authMiddleware, async (req, res) => {
+app.get('/api/settings', tokenScope('read-profile'), authMiddleware, async (req, res) => {
     try {
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT username, email, face, created_at FROM users WHERE id = ?',
-                [req.user.userId]
-            );
-            
-            if (users.length === 0) {
-                return res.status(404).json({ error: 'User not found' });
-            }
-            
-            res.json({
-                username: users[0].username,
-                email: users[0].email,
-                face: users[0].face || 'default.png',
-                createdAt: users[0].created_at
-            });
-        } else {
-            const user = memoryUsers.get(req.user.userId);
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
-            }
-            res.json({
-                username: user.username,
-                email: user.email,
-                face: user.face || 'default.png',
-                createdAt: user.createdAt
-            });
+        const user = await storage.users.findById(req.user.userId);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
+        
+        res.json({
+            username: user.username,
+            email: user.email,
+            hasRealEmail: !isPlaceholderEmail(user.email),
+            emailVerified: user.emailVerified,
+            face: user.face,
+            createdAt: user.createdAt,
+            playTime: await describePlayTime(user.id)
+        });
     } catch (error) {
         console.error('Get settings error:', error);
         res.status(500).json({ error: 'Failed to get settings' });
@@ -543,7 +1150,7 @@ app.get('/api/settings', authMiddleware, async (req, res) => {
 });
 
 // Change username
-app.post('/api/change-username', authMiddleware, async (req, res) => {
+app.post('/api/change-username', authMiddleware, rateLimit('accountChange', req => req.user.userId), async (req, res) => {
     try {
         const { newUsername, password } = req.body;
         
@@ -556,348 +1163,3599 @@ app.post('/api/change-username', authMiddleware, async (req, res) => {
             return res.json({ success: false, message: 'Username: 3-24 characters, only letters (a-z), numbers, underscore. No spaces, emoji or special characters.' });
         }
         
-        if (pool) {
-            // Get current user
-            const [users] = await pool.execute(
-                'SELECT id, username, password_hash FROM users WHERE id = ?',
-                [req.user.userId]
-            );
-            
-            if (users.length === 0) {
-                return res.json({ success: false, message: 'User not found' });
-            }
-            
-            // Verify password (try bcrypt first, then simple hash)
-            let validPassword = false;
-            try {
-                validPassword = await bcrypt.compare(password, users[0].password_hash);
-            } catch (e) {}
-            
-            if (!validPassword) {
-                validPassword = (users[0].password_hash === simpleHash(password));
-            }
-            
-            if (!validPassword) {
-                return res.json({ success: false, message: 'Invalid password' });
-            }
-            
-            // Check if new username is taken
-            const [existing] = await pool.execute(
-                'SELECT id FROM users WHERE LOWER(username) = LOWER(?) AND id != ?',
-                [newUsername, req.user.userId]
-            );
-            
-            if (existing.length > 0) {
-                return res.json({ success: false, message: 'Username already taken' });
-            }
-            
-            // Update username
-            await pool.execute(
-                'UPDATE users SET username = ? WHERE id = ?',
-                [newUsername, req.user.userId]
-            );
-            
-            // Generate new token with new username
-            const newToken = generateToken(req.user.userId, newUsername);
-            const expiresAt = new Date();
-            expiresAt.setDate(expiresAt.getDate() + 30);
-            
-            await pool.execute(
-                'UPDATE users SET auth_token = ?, token_expires = ? WHERE id = ?',
-                [newToken, expiresAt, req.user.userId]
-            );
-            
-            res.cookie('authToken', newToken, cookieOptions);
-            res.cookie('username', newUsername, { ...cookieOptions, httpOnly: false });
-            
-            console.log(`Username changed: ${users[0].username} -> ${newUsername}`);
-            
-            res.json({ 
-                success: true, 
-                message: 'Username changed successfully',
-                newUsername,
-                newToken
-            });
-        } else {
-            const user = memoryUsers.get(req.user.userId);
-            if (!user) {
-                return res.json({ success: false, message: 'User not found' });
-            }
-            
-            let validPassword = false;
-            try {
-                validPassword = await bcrypt.compare(password, user.passwordHash);
-            } catch (e) {}
-            
-            if (!validPassword) {
-                validPassword = (user.passwordHash === simpleHash(password));
-            }
-            
-            if (!validPassword) {
-                return res.json({ success: false, message: 'Invalid password' });
-            }
-            
-            // Check if taken
-            for (const [id, u] of memoryUsers) {
-                if (id !== req.user.userId && u.username.toLowerCase() === newUsername.toLowerCase()) {
-                    return res.json({ success: false, message: 'Username already taken' });
-                }
-            }
-            
-            user.username = newUsername;
-            const newToken = generateToken(req.user.userId, newUsername);
-            
-            res.json({ 
-                success: true, 
-                message: 'Username changed successfully',
-                newUsername,
-                newToken
-            });
+        // Get current user
+        const user = await storage.users.findById(req.user.userId);
+        
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        const retryAfter = await limiter.lockedFor(...passwordFailureKeys(req, user.username));
+        if (retryAfter) {
+            return sendTooManyRequests(res, retryAfter);
+        }
+        
+        // Verify password with the stored hash algorithm
+        const { valid, needsRehash } = await verifyPassword(password, user.passwordHash, user.passwordAlgo);
+        
+        if (!valid) {
+            await recordPasswordFailure(req, user.username);
+            return res.json({ success: false, message: 'Invalid password' });
+        }
+        
+        if (needsRehash) {
+            await upgradePasswordHash(user.id, password);
+        }
+        
+        if (!await requireSecondFactor(req, res, user.id)) return;
+        
+        // Check if new username is taken
+        if (await storage.users.isUsernameTaken(newUsername, req.user.userId)) {
+            return res.json({ success: false, message: 'Username already taken' });
         }
+        
+        // Update username
+        await storage.users.updateUsername(req.user.userId, newUsername);
+        
+        // Generate new token with new username
+        const newToken = generateToken(req.user.userId, newUsername, req.sessionId);
+        
+        res.cookie('authToken', newToken, cookieOptions);
+        res.cookie('username', newUsername, { ...cookieOptions, httpOnly: false });
+        
+        gateway.publishAccountEvent(user.id, 'renamed', { username: newUsername, previousUsername: user.username });
+        
+        console.log(`Username changed: ${user.username} -> ${newUsername}`);
+        
+        res.json({ 
+            success: true, 
+            message: 'Username changed successfully',
+            newUsername,
+            newToken
+        });
     } catch (error) {
         console.error('Change username error:', error);
         res.json({ success: false, message: 'Failed to change username' });
     }
 });
 
-// Get auth token (for settings page)
-app.get('/api/get-token', authMiddleware, async (req, res) => {
-    try {
-        const token = req.cookies.authToken || req.headers.authorization?.replace('Bearer ', '');
-        res.json({ token });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to get token' });
-    }
-});
+// ==================== PASSWORD API ====================
 
-// ==================== FACE API ====================
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // reset links are valid for 1 hour
+const PASSWORD_RESET_COOLDOWN = 60 * 1000; // at most one reset email per minute per account
 
-app.get('/api/face/:username', async (req, res) => {
+// Change password (signs out every other device)
+app.post('/api/change-password', authMiddleware, rateLimit('accountChange', req => req.user.userId), async (req, res) => {
     try {
-        const { username } = req.params;
+        const { currentPassword, newPassword } = req.body;
         
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT face FROM users WHERE username = ?',
-                [username]
-            );
-            
-            if (users.length === 0) {
-                return res.json({ face: 'default.png' });
-            }
-            
-            res.json({ face: users[0].face || 'default.png' });
-        } else {
-            for (const [, u] of memoryUsers) {
-                if (u.username.toLowerCase() === username.toLowerCase()) {
-                    return res.json({ face: u.face || 'default.png' });
-                }
-            }
-            res.json({ face: 'default.png' });
+        if (!currentPassword || !newPassword) {
+            return res.json({ success: false, message: 'Current and new password required' });
         }
-    } catch (error) {
-        console.error('Get face error:', error);
-        res.json({ face: 'default.png' });
-    }
-});
-
-const upload = multer({
-    storage: multer.diskStorage({
-        destination: FACES_DIR,
-        filename: (req, file, cb) => {
-            const uniqueName = `face_${req.user.userId}_${Date.now()}.png`;
-            cb(null, uniqueName);
-        }
-    }),
-    limits: { fileSize: 256 * 1024 },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'image/png') {
-            cb(null, true);
-        } else {
-            cb(new Error('Only PNG files allowed'));
+        
+        const user = await storage.users.findById(req.user.userId);
+        
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
         }
-    }
-});
-
-app.post('/api/upload-face', authMiddleware, upload.single('face'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        
+        const retryAfter = await limiter.lockedFor(...passwordFailureKeys(req, user.username));
+        if (retryAfter) {
+            return sendTooManyRequests(res, retryAfter);
         }
         
-        const faceFilename = req.file.filename;
+        const { valid } = await verifyPassword(currentPassword, user.passwordHash, user.passwordAlgo);
         
-        if (pool) {
-            const [old] = await pool.execute('SELECT face FROM users WHERE id = ?', [req.user.userId]);
-            if (old.length > 0 && old[0].face && old[0].face !== 'default.png') {
-                const oldPath = path.join(FACES_DIR, old[0].face);
-                if (fs.existsSync(oldPath)) {
-                    fs.unlinkSync(oldPath);
-                }
-            }
-            
-            await pool.execute(
-                'UPDATE users SET face = ? WHERE id = ?',
-                [faceFilename, req.user.userId]
-            );
-        } else {
-            const user = memoryUsers.get(req.user.userId);
-            if (user) {
-                user.face = faceFilename;
-            }
+        if (!valid) {
+            await recordPasswordFailure(req, user.username);
+            return res.json({ success: false, message: 'Invalid password' });
         }
         
-        console.log(`User ${req.user.username} uploaded face: ${faceFilename}`);
+        const passwordError = checkPasswordPolicy(newPassword, user.username);
+        if (passwordError) {
+            return res.json({ success: false, message: passwordError });
+        }
+        
+        if (!await requireSecondFactor(req, res, user.id)) return;
+        
+        await storage.users.updatePassword(user.id, await hashPassword(newPassword), 'bcrypt');
+        await storage.passwordResets.invalidateForUser(user.id);
+        const revoked = await storage.sessions.revokeAllForUser(user.id, req.sessionId);
+        // Same as a reset: tokens made with the old password may be in the wrong hands
+        const revokedTokens = await storage.personalTokens.revokeAllForUser(user.id);
+        pushLogout(user.id, 'Your password was changed', { exceptSessionId: req.sessionId });
+        
+        console.log(`Password changed: ${user.username} (${revoked} other session(s), ${revokedTokens} access token(s) revoked)`);
         
-        res.json({ success: true, face: faceFilename });
+        res.json({ success: true, message: 'Password changed successfully', revokedSessions: revoked, revokedTokens });
     } catch (error) {
-        console.error('Upload face error:', error);
-        res.status(500).json({ success: false, message: 'Upload failed' });
+        console.error('Change password error:', error);
+        res.json({ success: false, message: 'Failed to change password' });
     }
 });
 
-app.get('/api/my-face', authMiddleware, async (req, res) => {
+// Change email. Accounts created from the game need this before they can reset a password.
+app.post('/api/change-email', authMiddleware, rateLimit('accountChange', req => req.user.userId), async (req, res) => {
     try {
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT face FROM users WHERE id = ?',
-                [req.user.userId]
-            );
-            res.json({ face: users[0]?.face || 'default.png' });
-        } else {
-            const user = memoryUsers.get(req.user.userId);
-            res.json({ face: user?.face || 'default.png' });
+        const { newEmail, password } = req.body;
+        
+        if (!newEmail || !password) {
+            return res.json({ success: false, message: 'Email and password required' });
+        }
+        
+        if (!isValidEmail(newEmail) || isPlaceholderEmail(newEmail)) {
+            return res.json({ success: false, message: 'Invalid email format' });
+        }
+        
+        const user = await storage.users.findById(req.user.userId);
+        
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        const retryAfter = await limiter.lockedFor(...passwordFailureKeys(req, user.username));
+        if (retryAfter) {
+            return sendTooManyRequests(res, retryAfter);
+        }
+        
+        const { valid, needsRehash } = await verifyPassword(password, user.passwordHash, user.passwordAlgo);
+        
+        if (!valid) {
+            await recordPasswordFailure(req, user.username);
+            return res.json({ success: false, message: 'Invalid password' });
+        }
+        
+        if (needsRehash) {
+            await upgradePasswordHash(user.id, password);
+        }
+        
+        if (!await requireSecondFactor(req, res, user.id)) return;
+        
+        const email = newEmail.toLowerCase();
+        
+        if (await storage.users.isEmailTaken(email, user.id)) {
+            return res.json({ success: false, message: 'Email already in use' });
         }
+        
+        await storage.users.updateEmail(user.id, email);
+        
+        console.log(`Email changed: ${user.username}`);
+        
+        sendVerificationEmail(req, { ...user, email })
+            .catch(e => console.error('Verification email error:', e.message));
+        
+        res.json({ success: true, message: 'Email changed successfully', email });
     } catch (error) {
-        res.json({ face: 'default.png' });
+        console.error('Change email error:', error);
+        res.json({ success: false, message: 'Failed to change email' });
     }
 });
 
-// ==================== GAME SERVER API (LEGACY) ====================
-
-app.post('/api/game-auth', async (req, res) => {
+// Request a password reset link. The answer is the same whether or not the
+// account exists, so this can't be used to look up emails.
+app.post('/api/forgot-password', rateLimit('forgotPassword'), async (req, res) => {
+    const message = 'If an account with that email exists, a reset link has been sent';
+    
     try {
-        const { token } = req.body;
+        const { email } = req.body;
         
-        if (!token) {
-            return res.json({ success: false, message: 'Token required' });
+        if (!isValidEmail(email)) {
+            return res.json({ success: false, message: 'Invalid email format' });
         }
         
-        const decoded = verifyToken(token);
-        if (!decoded) {
-            return res.json({ success: false, message: 'Invalid token' });
+        if (isPlaceholderEmail(email)) {
+            return res.json({ success: false, message: 'Game accounts have no email yet. Sign in and add one in Settings first.' });
         }
         
-        if (pool) {
-            const [users] = await pool.execute(
-                'SELECT u.id, u.username, u.face, u.is_banned, p.place_id, p.pos_x, p.pos_y, p.pos_z ' +
-                'FROM users u LEFT JOIN player_data p ON u.id = p.user_id ' +
-                'WHERE u.id = ?',
-                [decoded.userId]
-            );
-            
-            if (users.length === 0) {
-                return res.json({ success: false, message: 'User not found' });
-            }
-            
-            const user = users[0];
-            
-            if (user.is_banned) {
-                return res.json({ success: false, message: 'Account banned' });
-            }
-            
-            res.json({
-                success: true,
-                userId: user.id,
-                username: user.username,
-                face: user.face || 'default.png',
-                placeId: user.place_id || 1,
-                posX: user.pos_x || 0,
-                posY: user.pos_y || 5,
-                posZ: user.pos_z || 0
-            });
-        } else {
-            res.json({
-                success: true,
-                userId: decoded.userId,
-                username: decoded.username,
-                face: 'default.png',
-                placeId: 1,
-                posX: 0,
-                posY: 5,
-                posZ: 0
-            });
+        const user = await storage.users.findByEmail(email);
+        
+        if (!user || user.isBanned) {
+            return res.json({ success: true, message });
+        }
+        
+        const lastRequest = await storage.passwordResets.lastRequestedAt(user.id);
+        if (lastRequest && Date.now() - lastRequest < PASSWORD_RESET_COOLDOWN) {
+            return res.json({ success: true, message });
         }
         
+        const token = crypto.randomBytes(32).toString('hex');
+        
+        await storage.passwordResets.create({
+            userId: user.id,
+            tokenHash: sha256(token),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL)
+        });
+        
+        const link = `${getPublicUrl(req)}/?reset=${token}`;
+        
+        await mailer.send({
+            to: user.email,
+            subject: 'Reset your ForgeBlock password',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'Someone (hopefully you) asked to reset the password of your ForgeBlock account.',
+                'Open this link within 1 hour to choose a new password:',
+                '',
+                link,
+                '',
+                'If you did not ask for this, you can ignore this email.'
+            ].join('\n')
+        });
+        
+        console.log(`Password reset requested: ${user.username}`);
+        
+        res.json({ success: true, message });
     } catch (error) {
-        console.error('Game auth error:', error);
-        res.json({ success: false, message: 'Auth failed' });
+        console.error('Forgot password error:', error);
+        res.json({ success: false, message: 'Failed to send reset email' });
     }
 });
 
-app.post('/api/save-player', async (req, res) => {
+// Set a new password with a reset token (signs out every device)
+app.post('/api/reset-password', async (req, res) => {
     try {
-        const { userId, placeId, posX, posY, posZ } = req.body;
+        const { token, newPassword } = req.body;
         
-        if (!pool) {
-            return res.json({ success: true });
+        if (!token || !newPassword) {
+            return res.json({ success: false, message: 'Token and new password required' });
         }
         
-        await pool.execute(
-            'UPDATE player_data SET place_id = ?, pos_x = ?, pos_y = ?, pos_z = ? WHERE user_id = ?',
-            [placeId || 1, posX || 0, posY || 5, posZ || 0, userId]
-        );
+        const reset = await storage.passwordResets.findValid(sha256(String(token)));
         
-        res.json({ success: true });
+        if (!reset) {
+            return res.json({ success: false, message: 'Reset link is invalid or has expired' });
+        }
         
+        const user = await storage.users.findById(reset.userId);
+        
+        if (!user) {
+            return res.json({ success: false, message: 'Reset link is invalid or has expired' });
+        }
+        
+        const passwordError = checkPasswordPolicy(newPassword, user.username);
+        if (passwordError) {
+            return res.json({ success: false, message: passwordError });
+        }
+        
+        if (!await storage.passwordResets.markUsed(reset.id)) {
+            return res.json({ success: false, message: 'Reset link is invalid or has expired' });
+        }
+        
+        await storage.users.updatePassword(user.id, await hashPassword(newPassword), 'bcrypt');
+        await storage.passwordResets.invalidateForUser(user.id);
+        await storage.sessions.revokeAllForUser(user.id);
+        await storage.personalTokens.revokeAllForUser(user.id);
+        pushLogout(user.id, 'Your password was reset');
+        
+        console.log(`Password reset: ${user.username}`);
+        
+        res.json({ success: true, message: 'Password has been reset. You can sign in now.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.json({ success: false, message: 'Failed to reset password' });
+    }
+});
+
+// ==================== EMAIL VERIFICATION ====================
+
+const EMAIL_VERIFICATION_TTL = '24h';
+const EMAIL_VERIFICATION_COOLDOWN = 60 * 1000; // between two verification emails
+// When true, unverified accounts can't get game tokens or join game servers
+const REQUIRE_VERIFIED_EMAIL_FOR_GAME = process.env.REQUIRE_VERIFIED_EMAIL_FOR_GAME === 'true';
+
+function canUseGame(user) {
+    return !REQUIRE_VERIFIED_EMAIL_FOR_GAME || user.emailVerified;
+}
+
+// Email a signed verification link for the account's current address.
+// The token names the address, so it stops working once the email changes.
+async function sendVerificationEmail(req, user) {
+    const token = jwt.sign(
+        { purpose: 'verify-email', userId: user.id, email: user.email },
+        JWT_SECRET,
+        { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+    const link = `${getPublicUrl(req)}/?verify=${token}`;
+    
+    await storage.users.markVerificationSent(user.id);
+    await mailer.send({
+        to: user.email,
+        subject: 'Verify your ForgeBlock email',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Please confirm this email address for your ForgeBlock account:',
+            '',
+            link,
+            '',
+            'The link is valid for 24 hours.'
+        ].join('\n')
+    });
+}
+
+// Confirm an email address from the emailed link
+app.post('/api/verify-email', async (req, res) => {
+    try {
+        const decoded = verifyToken(req.body.token);
+        
+        if (!decoded || decoded.purpose !== 'verify-email') {
+            return res.json({ success: false, message: 'Verification link is invalid or has expired' });
+        }
+        
+        if (!await storage.users.markEmailVerified(decoded.userId, decoded.email)) {
+            return res.json({ success: false, message: 'Verification link is invalid or has expired' });
+        }
+        
+        console.log(`Email verified for user ID ${decoded.userId}`);
+        
+        res.json({ success: true, message: 'Email verified!' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.json({ success: false, message: 'Failed to verify email' });
+    }
+});
+
+// Send the verification email again
+app.post('/api/resend-verification', authMiddleware, async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        if (isPlaceholderEmail(user.email)) {
+            return res.json({ success: false, message: 'Add an email first' });
+        }
+        
+        if (user.emailVerified) {
+            return res.json({ success: false, message: 'Email is already verified' });
+        }
+        
+        const elapsed = user.verificationSentAt ? Date.now() - user.verificationSentAt : Infinity;
+        if (elapsed < EMAIL_VERIFICATION_COOLDOWN) {
+            const retryAfter = Math.ceil((EMAIL_VERIFICATION_COOLDOWN - elapsed) / 1000);
+            return res.json({ success: false, message: `Please wait ${retryAfter}s before requesting another email`, retryAfter });
+        }
+        
+        await sendVerificationEmail(req, user);
+        
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.json({ success: false, message: 'Failed to send verification email' });
+    }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+//
+// Optional TOTP (see twofactor/). Enrollment: /setup returns a secret with
+// its otpauth URI and QR code, /enable confirms it with a first code and
+// returns recovery codes, which are shown once. With 2FA on:
+//   - /api/login answers with a challenge, completed by /api/login/2fa
+//   - sensitive actions (account changes, access tokens, linking a game
+//     client) need a current code in `twoFactorCode`
+// Game clients are covered by approving the device login with a code; the
+// game token they get is bound to that session, so reconnects need no code.
+
+const TWO_FACTOR_ISSUER = 'ForgeBlock';
+const LOGIN_CHALLENGE_TTL = '5m';
+
+function twoFactorFailureKey(userId) {
+    return `2fa:user:${userId}`;
+}
+
+// Check a TOTP or recovery code. Resolves to { method } ('totp', 'recovery',
+// or null when 2FA is off), { error } or { retryAfter } while locked out.
+async function checkSecondFactor(userId, code) {
+    const twoFactor = await storage.twoFactor.findEnabled(userId);
+    if (!twoFactor) {
+        return { method: null };
+    }
+    
+    const failureKey = twoFactorFailureKey(userId);
+    const retryAfter = await limiter.lockedFor(failureKey);
+    if (retryAfter) {
+        return { retryAfter };
+    }
+    
+    if (!code || typeof code !== 'string') {
+        return { error: 'Enter the code from your authenticator app' };
+    }
+    
+    let method = null;
+    if (isTotpCode(code)) {
+        const step = verifyTotp(twoFactorSecrets.open(twoFactor.secret), code, twoFactor.lastUsedStep);
+        if (step !== null && await storage.twoFactor.useStep(userId, step)) method = 'totp';
+    } else {
+        const recoveryCode = normalizeRecoveryCode(code);
+        if (recoveryCode && await storage.twoFactor.useRecoveryCode(userId, sha256(recoveryCode))) method = 'recovery';
+    }
+    
+    if (!method) {
+        const result = await limiter.recordFailure(failureKey, ACCOUNT_FAILURE_POLICY);
+        if (result.locked) {
+            console.warn(`2FA locked for ${result.retryAfter}s after failed codes: user ${userId}`);
+        }
+        return { error: 'Invalid code' };
+    }
+    
+    await limiter.recordSuccess(failureKey);
+    return { method };
+}
+
+// Guard for sensitive actions: passes accounts without 2FA, otherwise needs
+// req.body.twoFactorCode. Sends the error and returns false when it fails.
+async function requireSecondFactor(req, res, userId) {
+    const result = await checkSecondFactor(userId, req.body.twoFactorCode);
+    if (result.retryAfter) {
+        sendTooManyRequests(res, result.retryAfter);
+        return false;
+    }
+    if (result.error) {
+        res.status(403).json({ success: false, twoFactorRequired: true, message: result.error });
+        return false;
+    }
+    return true;
+}
+
+// Password check for 2FA changes, counted like other password checks.
+// Sends the error and returns false when it fails.
+async function confirmPassword(req, res, user, password) {
+    const retryAfter = await limiter.lockedFor(...passwordFailureKeys(req, user.username));
+    if (retryAfter) {
+        sendTooManyRequests(res, retryAfter);
+        return false;
+    }
+    
+    const { valid } = await verifyPassword(password || '', user.passwordHash, user.passwordAlgo);
+    if (!valid) {
+        await recordPasswordFailure(req, user.username);
+        res.json({ success: false, message: 'Invalid password' });
+        return false;
+    }
+    return true;
+}
+
+// Recovery codes to show once, and the hashes to store
+function newRecoveryCodes() {
+    const codes = generateRecoveryCodes();
+    return { codes, hashes: codes.map(code => sha256(normalizeRecoveryCode(code))) };
+}
+
+app.get('/api/two-factor', authMiddleware, async (req, res) => {
+    try {
+        const twoFactor = await storage.twoFactor.findEnabled(req.user.userId);
+        res.json({
+            success: true,
+            enabled: !!twoFactor,
+            enabledAt: twoFactor?.enabledAt || null,
+            recoveryCodesLeft: twoFactor ? await storage.twoFactor.countRecoveryCodes(req.user.userId) : 0
+        });
+    } catch (error) {
+        console.error('Get 2FA error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load two-factor settings' });
+    }
+});
+
+// Start enrollment: a new secret, replacing any unconfirmed one
+app.post('/api/two-factor/setup', authMiddleware, rateLimit('accountChange', req => req.user.userId), async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        if (await storage.twoFactor.findEnabled(user.id)) {
+            return res.json({ success: false, message: 'Two-factor authentication is already on' });
+        }
+        if (!await confirmPassword(req, res, user, req.body.password)) return;
+        
+        const secret = generateSecret();
+        await storage.twoFactor.startEnrollment(user.id, twoFactorSecrets.seal(secret));
+        
+        const uri = otpauthUri({ secret, account: user.username, issuer: TWO_FACTOR_ISSUER });
+        res.json({
+            success: true,
+            secret,
+            otpauthUri: uri,
+            qrCode: await QRCode.toDataURL(uri, { margin: 1, width: 200 })
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ success: false, message: 'Failed to start two-factor setup' });
+    }
+});
+
+// Confirm enrollment with a code from the app
+app.post('/api/two-factor/enable', authMiddleware, async (req, res) => {
+    try {
+        const twoFactor = await storage.twoFactor.find(req.user.userId);
+        if (!twoFactor || twoFactor.enabledAt) {
+            return res.json({ success: false, message: 'Start the setup first' });
+        }
+        
+        const failureKey = twoFactorFailureKey(req.user.userId);
+        const retryAfter = await limiter.lockedFor(failureKey);
+        if (retryAfter) {
+            return sendTooManyRequests(res, retryAfter);
+        }
+        
+        const step = verifyTotp(twoFactorSecrets.open(twoFactor.secret), String(req.body.code || ''));
+        if (step === null) {
+            await limiter.recordFailure(failureKey, ACCOUNT_FAILURE_POLICY);
+            return res.json({ success: false, message: 'Invalid code. Check the time on your phone and try again.' });
+        }
+        
+        const { codes, hashes } = newRecoveryCodes();
+        if (!await storage.twoFactor.enable(req.user.userId, step, hashes)) {
+            return res.json({ success: false, message: 'Start the setup first' });
+        }
+        await limiter.recordSuccess(failureKey);
+        
+        console.log(`2FA enabled: ${req.user.username}`);
+        
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ success: false, message: 'Failed to enable two-factor authentication' });
+    }
+});
+
+app.post('/api/two-factor/disable', authMiddleware, rateLimit('accountChange', req => req.user.userId), async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        if (!await confirmPassword(req, res, user, req.body.password)) return;
+        if (!await requireSecondFactor(req, res, user.id)) return;
+        
+        await storage.twoFactor.disable(user.id);
+        
+        console.log(`2FA disabled: ${user.username}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ success: false, message: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// New recovery codes; the old ones stop working
+app.post('/api/two-factor/recovery-codes', authMiddleware, rateLimit('accountChange', req => req.user.userId), async (req, res) => {
+    try {
+        if (!await storage.twoFactor.findEnabled(req.user.userId)) {
+            return res.json({ success: false, message: 'Two-factor authentication is off' });
+        }
+        if (!await requireSecondFactor(req, res, req.user.userId)) return;
+        
+        const { codes, hashes } = newRecoveryCodes();
+        await storage.twoFactor.replaceRecoveryCodes(req.user.userId, hashes);
+        
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create recovery codes' });
+    }
+});
+
+// ==================== SESSIONS API ====================
+
+// Short device label from a user agent, e.g. "Chrome on Windows"
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    if (/ForgeBlock/i.test(userAgent)) return 'ForgeBlock client';
+    
+    const browser = /Edg\//.test(userAgent) ? 'Edge' :
+        /OPR\//.test(userAgent) ? 'Opera' :
+        /Firefox\//.test(userAgent) ? 'Firefox' :
+        /Chrome\//.test(userAgent) ? 'Chrome' :
+        /Safari\//.test(userAgent) ? 'Safari' :
+        /curl|Wget/i.test(userAgent) ? 'Script' : 'Browser';
+    
+    const os = /Windows/.test(userAgent) ? 'Windows' :
+        /Android/.test(userAgent) ? 'Android' :
+        /iPhone|iPad/.test(userAgent) ? 'iOS' :
+        /Mac OS X/.test(userAgent) ? 'macOS' :
+        /Linux/.test(userAgent) ? 'Linux' : null;
+    
+    return os ? `${browser} on ${os}` : browser;
+}
+
+// List active sessions
+app.get('/api/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await storage.sessions.listActiveForUser(req.user.userId);
+        
+        res.json({
+            sessions: sessions.map(session => ({
+                id: session.id,
+                device: describeUserAgent(session.userAgent),
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                expiresAt: session.expiresAt,
+                current: session.id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+// Revoke one session
+app.delete('/api/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!await storage.sessions.revoke(req.params.id, req.user.userId)) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+        
+        pushLogout(req.user.userId, 'This session was revoked', { sessionId: req.params.id });
+        
+        const current = req.params.id === req.sessionId;
+        if (current) {
+            res.clearCookie('authToken');
+            res.clearCookie('refreshToken');
+            res.clearCookie('username');
+        }
+        
+        res.json({ success: true, current });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke session' });
+    }
+});
+
+// Log out everywhere (keepCurrent: true leaves this device signed in)
+app.post('/api/sessions/revoke-all', authMiddleware, async (req, res) => {
+    try {
+        const keepCurrent = req.body.keepCurrent === true;
+        const revoked = await storage.sessions.revokeAllForUser(req.user.userId, keepCurrent ? req.sessionId : null);
+        pushLogout(req.user.userId, 'Signed out everywhere', { exceptSessionId: keepCurrent ? req.sessionId : null });
+        
+        if (!keepCurrent) {
+            res.clearCookie('authToken');
+            res.clearCookie('refreshToken');
+            res.clearCookie('username');
+        }
+        
+        console.log(`User ${req.user.username} revoked ${revoked} session(s)`);
+        
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke sessions' });
+    }
+});
+
+// ==================== DEVICE LOGIN ====================
+//
+// Game clients never see a password or a portal token. The client asks for
+// a code pair (POST /api/device/code), shows the short user code and polls
+// POST /api/device/token with the device code. The player enters the user
+// code in the portal settings, where the client's details are shown before
+// approving. The client then gets a game-scoped token bound to a new
+// session, listed with the other sessions and revoked the same way.
+// Error codes follow OAuth 2.0 device authorization (RFC 8628).
+
+const DEVICE_CODE_TTL = 10 * 60 * 1000;
+const DEVICE_POLL_INTERVAL = 5; // seconds between two polls
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ'; // no vowels or look-alike digits
+const USER_CODE_LENGTH = 8;
+const MAX_CLIENT_NAME_LENGTH = 64;
+
+function generateUserCode() {
+    let code = '';
+    for (let i = 0; i < USER_CODE_LENGTH; i++) {
+        code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Shown as XXXX-XXXX; typed with or without the dash, in any case
+function formatUserCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function normalizeUserCode(value) {
+    const code = String(value || '').toUpperCase().replace(/[^A-Z]/g, '');
+    return code.length === USER_CODE_LENGTH ? code : null;
+}
+
+function sendDeviceError(res, error, message) {
+    res.status(400).json({ success: false, error, message });
+}
+
+function serializeDeviceCode(deviceCode) {
+    return {
+        userCode: formatUserCode(deviceCode.userCode),
+        clientName: deviceCode.clientName,
+        device: describeUserAgent(deviceCode.userAgent),
+        ip: deviceCode.ip,
+        createdAt: deviceCode.createdAt,
+        expiresAt: deviceCode.expiresAt
+    };
+}
+
+// Pending login for a user code typed in the portal
+async function findPendingDevice(req, res) {
+    const userCode = normalizeUserCode(req.params.userCode || req.body.userCode);
+    const deviceCode = userCode ? await storage.deviceCodes.findByUserCode(userCode) : null;
+    if (!deviceCode || deviceCode.status !== 'pending') {
+        res.status(404).json({ success: false, message: 'Code not found or expired' });
+        return null;
+    }
+    return deviceCode;
+}
+
+// Start a device login (called by the game client)
+app.post('/api/device/code', rateLimit('deviceCode'), async (req, res) => {
+    try {
+        const clientName = typeof req.body.clientName === 'string'
+            ? req.body.clientName.trim().slice(0, MAX_CLIENT_NAME_LENGTH) || null
+            : null;
+        const deviceCode = crypto.randomBytes(32).toString('hex');
+        
+        let userCode = null;
+        for (let attempt = 0; attempt < 5 && !userCode; attempt++) {
+            const candidate = generateUserCode();
+            const created = await storage.deviceCodes.create({
+                deviceCodeHash: sha256(deviceCode),
+                userCode: candidate,
+                clientName,
+                userAgent: (req.headers['user-agent'] || '').slice(0, 255),
+                ip: req.ip,
+                expiresAt: new Date(Date.now() + DEVICE_CODE_TTL)
+            });
+            if (created) userCode = candidate;
+        }
+        if (!userCode) {
+            return res.status(503).json({ success: false, message: 'Try again' });
+        }
+        
+        const verificationUri = `${getPublicUrl(req)}/?device`;
+        res.json({
+            success: true,
+            deviceCode,
+            userCode: formatUserCode(userCode),
+            verificationUri,
+            verificationUriComplete: `${verificationUri}=${formatUserCode(userCode)}`,
+            expiresIn: DEVICE_CODE_TTL / 1000,
+            interval: DEVICE_POLL_INTERVAL
+        });
+    } catch (error) {
+        console.error('Device code error:', error);
+        res.status(500).json({ success: false, message: 'Failed to start device login' });
+    }
+});
+
+// Poll for the game token (called by the game client)
+app.post('/api/device/token', async (req, res) => {
+    try {
+        const { deviceCode: code } = req.body;
+        
+        if (!code || typeof code !== 'string') {
+            return sendDeviceError(res, 'invalid_request', 'Device code required');
+        }
+        
+        const deviceCode = await storage.deviceCodes.findByDeviceCode(sha256(code));
+        if (!deviceCode) {
+            return sendDeviceError(res, 'invalid_grant', 'Unknown device code');
+        }
+        if (deviceCode.status === 'consumed') {
+            return sendDeviceError(res, 'invalid_grant', 'This code was already used');
+        }
+        if (deviceCode.expiresAt <= new Date()) {
+            return sendDeviceError(res, 'expired_token', 'The code expired, request a new one');
+        }
+        if (deviceCode.status === 'denied') {
+            return sendDeviceError(res, 'access_denied', 'The login was denied');
+        }
+        
+        if (deviceCode.status === 'pending') {
+            const tooSoon = deviceCode.lastPolledAt
+                && Date.now() - deviceCode.lastPolledAt < DEVICE_POLL_INTERVAL * 1000;
+            await storage.deviceCodes.recordPoll(deviceCode.id);
+            return tooSoon
+                ? sendDeviceError(res, 'slow_down', `Poll at most every ${DEVICE_POLL_INTERVAL}s`)
+                : sendDeviceError(res, 'authorization_pending', 'Waiting for approval');
+        }
+        
+        // Approved: hand out the token once
+        if (!await storage.deviceCodes.consume(deviceCode.id)) {
+            return sendDeviceError(res, 'invalid_grant', 'This code was already used');
+        }
+        
+        const user = await storage.users.findById(deviceCode.userId);
+        if (!user || user.isBanned) {
+            return sendDeviceError(res, 'access_denied', 'The login was denied');
+        }
+        
+        const { sessionId } = await createSession(req, user.id, true);
+        const token = generateToken(user.id, user.username, sessionId, GAME_TOKEN_TTL, 'game');
+        
+        console.log(`Game client linked: ${user.username} (${deviceCode.clientName || describeUserAgent(deviceCode.userAgent)})`);
+        
+        res.json({
+            success: true,
+            token,
+            tokenType: 'Bearer',
+            scope: 'game',
+            expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+            sessionId,
+            userId: user.id,
+            username: user.username
+        });
+    } catch (error) {
+        console.error('Device token error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get token' });
+    }
+});
+
+// Details of a pending login, shown before approving
+app.get('/api/device/:userCode', authMiddleware, rateLimit('deviceVerify', req => req.user.userId), async (req, res) => {
+    try {
+        const deviceCode = await findPendingDevice(req, res);
+        if (!deviceCode) return;
+        
+        res.json({ success: true, device: serializeDeviceCode(deviceCode) });
+    } catch (error) {
+        console.error('Device lookup error:', error);
+        res.status(500).json({ success: false, message: 'Failed to look up code' });
+    }
+});
+
+app.post('/api/device/approve', authMiddleware, rateLimit('deviceVerify', req => req.user.userId), async (req, res) => {
+    try {
+        const deviceCode = await findPendingDevice(req, res);
+        if (!deviceCode) return;
+        
+        const user = await storage.users.findById(req.user.userId);
+        if (!user || user.isBanned) {
+            return res.status(403).json({ success: false, message: 'Account banned' });
+        }
+        if (!canUseGame(user)) {
+            return res.status(403).json({ success: false, message: 'Verify your email to play' });
+        }
+        
+        // The game token lasts 30 days, so 2FA is checked here rather than on every game login
+        if (!await requireSecondFactor(req, res, user.id)) return;
+        
+        if (!await storage.deviceCodes.approve(deviceCode.id, user.id)) {
+            return res.status(404).json({ success: false, message: 'Code not found or expired' });
+        }
+        
+        console.log(`User ${user.username} approved device login ${formatUserCode(deviceCode.userCode)} from ${deviceCode.ip}`);
+        
+        res.json({ success: true, message: 'Game client linked' });
+    } catch (error) {
+        console.error('Device approve error:', error);
+        res.status(500).json({ success: false, message: 'Failed to approve' });
+    }
+});
+
+app.post('/api/device/deny', authMiddleware, rateLimit('deviceVerify', req => req.user.userId), async (req, res) => {
+    try {
+        const deviceCode = await findPendingDevice(req, res);
+        if (!deviceCode) return;
+        
+        await storage.deviceCodes.deny(deviceCode.id, req.user.userId);
+        res.json({ success: true, message: 'Login denied' });
+    } catch (error) {
+        console.error('Device deny error:', error);
+        res.status(500).json({ success: false, message: 'Failed to deny' });
+    }
+});
+
+// ==================== PERSONAL ACCESS TOKENS ====================
+//
+// Named tokens for bots and tools, created in the settings modal and shown
+// once. Each carries a subset of PERSONAL_TOKEN_SCOPES and an expiry; see
+// tokenScope() for the routes that accept them. Tokens can't manage tokens.
+
+const PERSONAL_TOKEN_EXPIRY_DAYS = [7, 30, 90, 365];
+const MAX_PERSONAL_TOKENS = 20; // active tokens per account
+const MAX_TOKEN_NAME_LENGTH = 64;
+
+function serializePersonalToken(personalToken) {
+    return {
+        id: personalToken.id,
+        name: personalToken.name,
+        prefix: personalToken.prefix,
+        scopes: personalToken.scopes,
+        createdAt: personalToken.createdAt,
+        expiresAt: personalToken.expiresAt,
+        expired: personalToken.expiresAt <= new Date(),
+        lastUsedAt: personalToken.lastUsedAt,
+        lastUsedIp: personalToken.lastUsedIp
+    };
+}
+
+// Returns { fields } or { error }
+function parsePersonalTokenInput(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_TOKEN_NAME_LENGTH) {
+        return { error: `Token name required (max ${MAX_TOKEN_NAME_LENGTH} characters)` };
+    }
+    
+    const { scopes } = body;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { error: 'Choose at least one scope' };
+    }
+    const unknown = scopes.find(scope => !PERSONAL_TOKEN_SCOPES.includes(scope));
+    if (unknown !== undefined) {
+        return { error: `Unknown scope: ${unknown}` };
+    }
+    
+    const days = parseInt(body.expiresInDays, 10);
+    if (!PERSONAL_TOKEN_EXPIRY_DAYS.includes(days)) {
+        return { error: `Expiry must be one of ${PERSONAL_TOKEN_EXPIRY_DAYS.join(', ')} days` };
+    }
+    
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + days);
+    return { fields: { name, scopes: [...new Set(scopes)], expiresAt } };
+}
+
+app.get('/api/tokens', authMiddleware, async (req, res) => {
+    try {
+        const tokens = await storage.personalTokens.listForUser(req.user.userId);
+        res.json({
+            success: true,
+            tokens: tokens.map(serializePersonalToken),
+            scopes: PERSONAL_TOKEN_SCOPES,
+            expiryDays: PERSONAL_TOKEN_EXPIRY_DAYS
+        });
+    } catch (error) {
+        console.error('List tokens error:', error);
+        res.status(500).json({ success: false, message: 'Failed to list tokens' });
+    }
+});
+
+// The token itself is only in this response
+app.post('/api/tokens', authMiddleware, rateLimit('accountChange', req => req.user.userId), async (req, res) => {
+    try {
+        const { fields, error } = parsePersonalTokenInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        if (await storage.personalTokens.countActive(req.user.userId) >= MAX_PERSONAL_TOKENS) {
+            return res.status(400).json({ success: false, message: `You can have at most ${MAX_PERSONAL_TOKENS} tokens` });
+        }
+        
+        if (!await requireSecondFactor(req, res, req.user.userId)) return;
+        
+        const token = PERSONAL_TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+        const prefix = token.slice(0, PERSONAL_TOKEN_PREFIX.length + 4);
+        const id = await storage.personalTokens.create({ userId: req.user.userId, tokenHash: sha256(token), prefix, ...fields });
+        
+        console.log(`User ${req.user.username} created access token "${fields.name}" (${fields.scopes.join(', ')})`);
+        
+        res.json({
+            success: true,
+            token,
+            personalToken: serializePersonalToken({ id, prefix, ...fields, createdAt: new Date(), lastUsedAt: null, lastUsedIp: null })
+        });
+    } catch (error) {
+        console.error('Create token error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create token' });
+    }
+});
+
+app.delete('/api/tokens/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!await storage.personalTokens.revoke(parseInt(req.params.id, 10) || 0, req.user.userId)) {
+            return res.status(404).json({ success: false, message: 'Token not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke token error:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke token' });
+    }
+});
+
+// ==================== FRIENDS API ====================
+
+const MAX_FRIENDS = 200;
+const MAX_OUTGOING_REQUESTS = 50;
+
+// In-game presence from the server registry
+function describePresence(username) {
+    const server = findPlayerServer(username);
+    return {
+        inGame: !!server,
+        server: server ? { id: server.id, name: server.name, placeId: server.placeId } : null
+    };
+}
+
+function serializeFriend(friend) {
+    return {
+        username: friend.username,
+        face: friend.face,
+        since: friend.since,
+        ...describePresence(friend.username)
+    };
+}
+
+// Resolve :username for friend routes, or answer with an error
+async function findOtherUser(req, res, username) {
+    const other = typeof username === 'string' ? await storage.users.findByUsername(username) : null;
+    
+    if (!other) {
+        res.json({ success: false, message: 'Player not found' });
+        return null;
+    }
+    if (other.id === req.user.userId) {
+        res.json({ success: false, message: "That's you" });
+        return null;
+    }
+    return other;
+}
+
+// Friends, pending requests both ways and blocked players
+app.get('/api/friends', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const [friends, incoming, outgoing] = await Promise.all([
+            storage.friends.listFriends(userId),
+            storage.friends.listIncoming(userId),
+            storage.friends.listOutgoing(userId)
+        ]);
+        
+        res.json({
+            success: true,
+            friends: friends.map(serializeFriend),
+            incoming: incoming.map(({ username, face, since }) => ({ username, face, since })),
+            outgoing: outgoing.map(({ username, face, since }) => ({ username, face, since }))
+        });
+    } catch (error) {
+        console.error('Get friends error:', error);
+        res.json({ success: false, message: 'Failed to load friends' });
+    }
+});
+
+// Answer for an acceptRequest result of { full: userId }
+function fullFriendListMessage(result, userId, other) {
+    return result.full === userId
+        ? `Friend list is full (max ${MAX_FRIENDS})`
+        : `${other.username}'s friend list is full`;
+}
+
+// Send a friend request. If the other player already asked us, this accepts it.
+app.post('/api/friends/requests', authMiddleware, async (req, res) => {
+    try {
+        const other = await findOtherUser(req, res, req.body.username);
+        if (!other) return;
+        
+        const userId = req.user.userId;
+        
+        // Same answer as "not found" would leak who blocked whom
+        if (await storage.friends.isBlockedEitherWay(userId, other.id)) {
+            return res.json({ success: false, message: "You can't send a friend request to this player" });
+        }
+        
+        if (await storage.friends.areFriends(userId, other.id)) {
+            return res.json({ success: false, message: 'Already friends' });
+        }
+        
+        if (await storage.friends.countFriends(userId) >= MAX_FRIENDS) {
+            return res.json({ success: false, message: `Friend list is full (max ${MAX_FRIENDS})` });
+        }
+        
+        if (await storage.friends.hasRequest(other.id, userId)) {
+            const result = await storage.friends.acceptRequest(other.id, userId, { maxFriends: MAX_FRIENDS });
+            if (result.full) {
+                return res.json({ success: false, message: fullFriendListMessage(result, userId, other) });
+            }
+            pushFriendEvent(other.id, 'accepted', req.user.username);
+            console.log(`Friends: ${req.user.username} <-> ${other.username}`);
+            return res.json({ success: true, status: 'friends' });
+        }
+        
+        if (await storage.friends.hasRequest(userId, other.id)) {
+            return res.json({ success: false, message: 'Request already sent' });
+        }
+        
+        if (await storage.friends.countOutgoing(userId) >= MAX_OUTGOING_REQUESTS) {
+            return res.json({ success: false, message: 'Too many pending requests' });
+        }
+        
+        await storage.friends.createRequest(userId, other.id);
+        pushFriendEvent(other.id, 'request', req.user.username);
+        
+        res.json({ success: true, status: 'pending' });
+    } catch (error) {
+        console.error('Send friend request error:', error);
+        res.json({ success: false, message: 'Failed to send friend request' });
+    }
+});
+
+app.post('/api/friends/requests/:username/accept', authMiddleware, async (req, res) => {
+    try {
+        const other = await findOtherUser(req, res, req.params.username);
+        if (!other) return;
+        
+        const result = await storage.friends.acceptRequest(other.id, req.user.userId, { maxFriends: MAX_FRIENDS });
+        if (result.notFound) {
+            return res.json({ success: false, message: 'Friend request not found' });
+        }
+        if (result.full) {
+            return res.json({ success: false, message: fullFriendListMessage(result, req.user.userId, other) });
+        }
+        
+        pushFriendEvent(other.id, 'accepted', req.user.username);
+        
+        console.log(`Friends: ${req.user.username} <-> ${other.username}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Accept friend request error:', error);
+        res.json({ success: false, message: 'Failed to accept friend request' });
+    }
+});
+
+app.post('/api/friends/requests/:username/decline', authMiddleware, async (req, res) => {
+    try {
+        const other = await findOtherUser(req, res, req.params.username);
+        if (!other) return;
+        
+        if (!await storage.friends.deleteRequest(other.id, req.user.userId)) {
+            return res.json({ success: false, message: 'Friend request not found' });
+        }
+        
+        pushFriendEvent(other.id, 'declined', req.user.username);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Decline friend request error:', error);
+        res.json({ success: false, message: 'Failed to decline friend request' });
+    }
+});
+
+// Cancel a request we sent
+app.delete('/api/friends/requests/:username', authMiddleware, async (req, res) => {
+    try {
+        const other = await findOtherUser(req, res, req.params.username);
+        if (!other) return;
+        
+        if (!await storage.friends.deleteRequest(req.user.userId, other.id)) {
+            return res.json({ success: false, message: 'Friend request not found' });
+        }
+        
+        pushFriendEvent(other.id, 'cancelled', req.user.username);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Cancel friend request error:', error);
+        res.json({ success: false, message: 'Failed to cancel friend request' });
+    }
+});
+
+// Unfriend
+app.delete('/api/friends/:username', authMiddleware, async (req, res) => {
+    try {
+        const other = await findOtherUser(req, res, req.params.username);
+        if (!other) return;
+        
+        if (!await storage.friends.removeFriend(req.user.userId, other.id)) {
+            return res.json({ success: false, message: 'Not friends' });
+        }
+        
+        pushFriendEvent(other.id, 'removed', req.user.username);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove friend error:', error);
+        res.json({ success: false, message: 'Failed to remove friend' });
+    }
+});
+
+app.get('/api/blocks', authMiddleware, async (req, res) => {
+    try {
+        const blocked = await storage.friends.listBlocked(req.user.userId);
+        res.json({ success: true, blocked: blocked.map(({ username, since }) => ({ username, since })) });
+    } catch (error) {
+        console.error('Get blocks error:', error);
+        res.json({ success: false, message: 'Failed to load blocked players' });
+    }
+});
+
+// Block a player (also removes them as a friend)
+app.post('/api/blocks', authMiddleware, async (req, res) => {
+    try {
+        const other = await findOtherUser(req, res, req.body.username);
+        if (!other) return;
+        
+        await storage.friends.block(req.user.userId, other.id);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Block error:', error);
+        res.json({ success: false, message: 'Failed to block player' });
+    }
+});
+
+app.delete('/api/blocks/:username', authMiddleware, async (req, res) => {
+    try {
+        const other = await findOtherUser(req, res, req.params.username);
+        if (!other) return;
+        
+        if (!await storage.friends.unblock(req.user.userId, other.id)) {
+            return res.json({ success: false, message: 'Player is not blocked' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Unblock error:', error);
+        res.json({ success: false, message: 'Failed to unblock player' });
+    }
+});
+
+// Game server: are two players friends (and has either blocked the other)?
+app.post('/api/friends/check', serverKeyMiddleware('read-friends'), async (req, res) => {
+    try {
+        const { username, otherUsername } = req.body;
+        
+        if (!username || !otherUsername) {
+            return res.json({ success: false, message: 'username and otherUsername required' });
+        }
+        
+        const [user, other] = await Promise.all([
+            storage.users.findByUsername(username),
+            storage.users.findByUsername(otherUsername)
+        ]);
+        if (!user || !other) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        const [friends, blocked] = await Promise.all([
+            storage.friends.areFriends(user.id, other.id),
+            storage.friends.isBlockedEitherWay(user.id, other.id)
+        ]);
+        
+        res.json({ success: true, friends, blocked });
+    } catch (error) {
+        console.error('Friend check error:', error);
+        res.json({ success: false, message: 'Failed to check friendship' });
+    }
+});
+
+// ==================== PLACES API ====================
+
+const DEFAULT_PLACE_ID = 1; // the original world; can't be deleted
+const PLACE_VISIBILITIES = ['public', 'unlisted', 'private']; // unlisted: joinable by id, not listed
+const MAX_PLACES_PER_USER = 10;
+const MAX_PLACE_PLAYERS = 200;
+const PLACES_PAGE_SIZE = 20;
+
+// Live player and server counts per place from the server registry
+function getPlaceActivity(placeId) {
+    let players = 0;
+    let servers = 0;
+    for (const [, server] of gameServers) {
+        if (server.placeId === placeId) {
+            players += server.players.length;
+            servers++;
+        }
+    }
+    return { players, servers };
+}
+
+function serializePlace(place) {
+    return {
+        id: place.id,
+        name: place.name,
+        owner: place.owner,
+        description: place.description,
+        spawn: place.spawn,
+        visibility: place.visibility,
+        maxPlayers: place.maxPlayers,
+        createdAt: place.createdAt,
+        updatedAt: place.updatedAt,
+        ...getPlaceActivity(place.id)
+    };
+}
+
+// Private places are only for their owner and staff with manage-places
+function canJoinPlace(user, place) {
+    return place.visibility !== 'private'
+        || place.ownerId === user.id
+        || hasPermission(user.role, 'manage-places');
+}
+
+function canEditPlace(user, place) {
+    return place.ownerId === user.id || hasPermission(user.role, 'manage-places');
+}
+
+function parseSpawn(spawn) {
+    if (!spawn || typeof spawn !== 'object') {
+        return null;
+    }
+    const point = { x: Number(spawn.x), y: Number(spawn.y), z: Number(spawn.z) };
+    return Object.values(point).every(Number.isFinite) ? point : null;
+}
+
+// Validate a create/update body. partial: only check the fields that were sent.
+function parsePlaceInput(body, partial) {
+    const fields = {};
+    const { name, description, visibility, maxPlayers, spawn } = body;
+    
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || name.trim().length < 3 || name.trim().length > 64) {
+            return { error: 'Place name: 3-64 characters' };
+        }
+        fields.name = name.trim();
+    }
+    
+    if (description !== undefined) {
+        if (typeof description !== 'string' || description.length > 500) {
+            return { error: 'Description: at most 500 characters' };
+        }
+        fields.description = description.trim();
+    }
+    
+    if (visibility !== undefined) {
+        if (!PLACE_VISIBILITIES.includes(visibility)) {
+            return { error: `Visibility must be one of: ${PLACE_VISIBILITIES.join(', ')}` };
+        }
+        fields.visibility = visibility;
+    }
+    
+    if (maxPlayers !== undefined) {
+        const max = parseInt(maxPlayers, 10);
+        if (!max || max < 1 || max > MAX_PLACE_PLAYERS) {
+            return { error: `Max players: 1-${MAX_PLACE_PLAYERS}` };
+        }
+        fields.maxPlayers = max;
+    }
+    
+    if (spawn !== undefined) {
+        fields.spawn = parseSpawn(spawn);
+        if (!fields.spawn) {
+            return { error: 'Spawn point needs numeric x, y and z' };
+        }
+    }
+    
+    return { fields };
+}
+
+// Where a player appears when joining a place: their saved position there,
+// or the place's spawn point on a first visit
+async function resolveSpawn(userId, place) {
+    const saved = await storage.players.getPosition(userId, place.id);
+    if (saved) {
+        return { x: saved.x, y: saved.y, z: saved.z, saved: true };
+    }
+    return { ...place.spawn, saved: false };
+}
+
+// Current state fields (defaults before the first save), without position
+function toPlayerState(saved) {
+    return { ...defaultState(), ...saved?.state, custom: saved?.custom ?? null };
+}
+
+// The player state document for a place, positioned at the given spawn
+async function loadPlayerState(userId, place, spawn) {
+    const saved = await storage.players.getState(userId, place.id);
+    return serializeState({
+        placeId: place.id,
+        revision: saved?.revision || 0,
+        position: { x: spawn.x, y: spawn.y, z: spawn.z },
+        state: toPlayerState(saved),
+        updatedAt: saved?.updatedAt || null
+    });
+}
+
+// Resolve :id for place routes, or answer with an error.
+// Private places look the same as missing ones to players who can't join them.
+async function findPlace(req, res, user) {
+    const place = await storage.places.findById(parseInt(req.params.id, 10) || 0);
+    
+    if (!place || !canJoinPlace(user, place)) {
+        res.status(404).json({ success: false, message: 'Place not found' });
+        return null;
+    }
+    return place;
+}
+
+// Public places and your own (?mine=1: only yours), ?page= from 1
+app.get('/api/places', tokenScope('manage-places'), authMiddleware, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const places = await storage.places.list({
+            userId: req.user.userId,
+            ownedOnly: req.query.mine === '1',
+            limit: PLACES_PAGE_SIZE,
+            offset: (page - 1) * PLACES_PAGE_SIZE
+        });
+        
+        res.json({ success: true, page, pageSize: PLACES_PAGE_SIZE, places: places.map(serializePlace) });
+    } catch (error) {
+        console.error('List places error:', error);
+        res.json({ success: false, message: 'Failed to load places' });
+    }
+});
+
+app.get('/api/places/:id', tokenScope('manage-places'), authMiddleware, async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        const place = await findPlace(req, res, user);
+        if (!place) return;
+        
+        res.json({ success: true, place: serializePlace(place), canEdit: canEditPlace(user, place) });
+    } catch (error) {
+        console.error('Get place error:', error);
+        res.json({ success: false, message: 'Failed to load place' });
+    }
+});
+
+app.post('/api/places', tokenScope('manage-places'), authMiddleware, async (req, res) => {
+    try {
+        const { fields, error } = parsePlaceInput(req.body, false);
+        if (error) {
+            return res.json({ success: false, message: error });
+        }
+        
+        if (await storage.places.countByOwner(req.user.userId) >= MAX_PLACES_PER_USER) {
+            return res.json({ success: false, message: `You can own at most ${MAX_PLACES_PER_USER} places` });
+        }
+        
+        const id = await storage.places.create({
+            name: fields.name,
+            ownerId: req.user.userId,
+            description: fields.description,
+            spawn: fields.spawn || { x: 0, y: 5, z: 0 },
+            visibility: fields.visibility || 'public',
+            maxPlayers: fields.maxPlayers || 20
+        });
+        
+        console.log(`Place created: ${fields.name} (${id}) by ${req.user.username}`);
+        
+        res.json({ success: true, place: serializePlace(await storage.places.findById(id)) });
+    } catch (error) {
+        console.error('Create place error:', error);
+        res.json({ success: false, message: 'Failed to create place' });
+    }
+});
+
+// Update some fields of a place (owner or manage-places)
+app.put('/api/places/:id', tokenScope('manage-places'), authMiddleware, async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        const place = await findPlace(req, res, user);
+        if (!place) return;
+        
+        if (!canEditPlace(user, place)) {
+            return res.status(403).json({ success: false, message: "You can't edit this place" });
+        }
+        
+        const { fields, error } = parsePlaceInput(req.body, true);
+        if (error) {
+            return res.json({ success: false, message: error });
+        }
+        
+        await storage.places.update(place.id, fields);
+        
+        res.json({ success: true, place: serializePlace(await storage.places.findById(place.id)) });
+    } catch (error) {
+        console.error('Update place error:', error);
+        res.json({ success: false, message: 'Failed to update place' });
+    }
+});
+
+// Delete a place with every position saved in it
+app.delete('/api/places/:id', tokenScope('manage-places'), authMiddleware, async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        const place = await findPlace(req, res, user);
+        if (!place) return;
+        
+        if (!canEditPlace(user, place)) {
+            return res.status(403).json({ success: false, message: "You can't delete this place" });
+        }
+        
+        if (place.id === DEFAULT_PLACE_ID) {
+            return res.json({ success: false, message: "The default place can't be deleted" });
+        }
+        
+        await storage.places.delete(place.id);
+        await world.deletePlace(place.id);
+        if (place.ownerId !== user.id) {
+            await audit(req, 'delete-place', place.ownerId, { placeId: place.id, name: place.name });
+        }
+        
+        console.log(`Place deleted: ${place.name} (${place.id}) by ${req.user.username}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete place error:', error);
+        res.json({ success: false, message: 'Failed to delete place' });
+    }
+});
+
+// ==================== WORLD API ====================
+//
+// Game servers read and write chunks (FBC1, see world/format.js) per place.
+// Chunk uploads are raw application/octet-stream bodies, signed like any
+// other request (the body bytes are the rawBody).
+//
+// Revisions: every write bumps the chunk's revision, served as ETag "N".
+// PUT with If-Match: "N" only succeeds while the chunk is at revision N,
+// If-None-Match: * only if it doesn't exist yet; otherwise 412.
+
+const MAX_REGION_CHUNKS = 512;
+const MAX_WORLD_IMPORT_SIZE = '64mb';
+
+const chunkBody = express.raw({
+    type: 'application/octet-stream',
+    limit: MAX_CHUNK_BYTES,
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+});
+
+function parseChunkCoords(source) {
+    if (!source || typeof source !== 'object') {
+        return null;
+    }
+    const coords = { x: Number(source.x), y: Number(source.y), z: Number(source.z) };
+    return Object.values(coords).every(isChunkCoordinate) ? coords : null;
+}
+
+// Resolve :placeId and :x/:y/:z for chunk routes, or answer with an error
+async function findChunkTarget(req, res) {
+    const coords = parseChunkCoords(req.params);
+    if (!coords) {
+        res.status(400).json({ success: false, message: 'Invalid chunk coordinates' });
+        return null;
+    }
+    
+    const place = await storage.places.findById(parseInt(req.params.placeId, 10) || 0);
+    if (!place) {
+        res.status(404).json({ success: false, message: 'Place not found' });
+        return null;
+    }
+    return { place, coords };
+}
+
+// "N" / W/"N" / N -> N
+function parseRevisionHeader(value) {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(value).trim());
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Chunk bytes, deflated when the client accepts it (Content-Encoding: deflate)
+app.get('/api/world/:placeId/chunks/:x/:y/:z', serverKeyMiddleware('read-world'), async (req, res) => {
+    try {
+        const target = await findChunkTarget(req, res);
+        if (!target) return;
+        
+        const chunk = await world.getChunk(target.place.id, target.coords);
+        if (!chunk) {
+            return res.status(404).json({ success: false, message: 'Chunk not found' });
+        }
+        
+        res.set('ETag', `"${chunk.revision}"`);
+        res.set('X-Chunk-Revision', String(chunk.revision));
+        res.set('Vary', 'Accept-Encoding');
+        
+        if (parseRevisionHeader(req.headers['if-none-match'] || '') === chunk.revision) {
+            return res.status(304).end();
+        }
+        
+        res.type('application/octet-stream');
+        if (req.acceptsEncodings('deflate')) {
+            res.set('Content-Encoding', 'deflate');
+            return res.send(chunk.data);
+        }
+        res.send(await inflateChunk(chunk.data));
+    } catch (error) {
+        console.error('Get chunk error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load chunk' });
+    }
+});
+
+app.put('/api/world/:placeId/chunks/:x/:y/:z', chunkBody, serverKeyMiddleware('write-world'), async (req, res) => {
+    try {
+        const target = await findChunkTarget(req, res);
+        if (!target) return;
+        
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(415).json({ success: false, message: 'Send the chunk as application/octet-stream' });
+        }
+        
+        let expectedRevision = null;
+        if (req.headers['if-match']) {
+            expectedRevision = parseRevisionHeader(req.headers['if-match']);
+            if (expectedRevision === null) {
+                return res.status(400).json({ success: false, message: 'If-Match must be a chunk revision' });
+            }
+        } else if (req.headers['if-none-match'] === '*') {
+            expectedRevision = 0;
+        }
+        
+        const result = await world.saveChunk(target.place.id, target.coords, req.body, {
+            expectedRevision,
+            updatedBy: req.serverKey ? req.serverKey.name : null
+        });
+        
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        if (result.conflict) {
+            return res.status(412).json({ success: false, message: 'Revision conflict', revision: result.revision });
+        }
+        
+        res.set('ETag', `"${result.revision}"`);
+        res.json({ success: true, revision: result.revision });
+    } catch (error) {
+        console.error('Save chunk error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save chunk' });
+    }
+});
+
+app.delete('/api/world/:placeId/chunks/:x/:y/:z', serverKeyMiddleware('write-world'), async (req, res) => {
+    try {
+        const target = await findChunkTarget(req, res);
+        if (!target) return;
+        
+        if (!await world.deleteChunk(target.place.id, target.coords)) {
+            return res.status(404).json({ success: false, message: 'Chunk not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete chunk error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete chunk' });
+    }
+});
+
+// Every stored chunk in the box from..to (inclusive) as one FBR1 bundle,
+// see getRegion in world/index.js. Body: { from: {x,y,z}, to: {x,y,z} }
+app.post('/api/world/:placeId/region', serverKeyMiddleware('read-world'), async (req, res) => {
+    try {
+        const a = parseChunkCoords(req.body.from);
+        const b = parseChunkCoords(req.body.to);
+        if (!a || !b) {
+            return res.status(400).json({ success: false, message: 'from and to chunk coordinates required' });
+        }
+        
+        const from = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) };
+        const to = { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) };
+        const volume = (to.x - from.x + 1) * (to.y - from.y + 1) * (to.z - from.z + 1);
+        if (volume > MAX_REGION_CHUNKS) {
+            return res.status(400).json({ success: false, message: `Regions are limited to ${MAX_REGION_CHUNKS} chunks` });
+        }
+        
+        const place = await storage.places.findById(parseInt(req.params.placeId, 10) || 0);
+        if (!place) {
+            return res.status(404).json({ success: false, message: 'Place not found' });
+        }
+        
+        const region = await world.getRegion(place.id, from, to);
+        res.set('X-Chunk-Count', String(region.count));
+        res.type('application/octet-stream').send(region.data);
+    } catch (error) {
+        console.error('Get region error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load region' });
+    }
+});
+
+// Download a place's world as a zip (owner or manage-places)
+app.get('/api/places/:id/world/export', tokenScope('manage-places'), authMiddleware, async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        const place = await findPlace(req, res, user);
+        if (!place) return;
+        
+        if (!canEditPlace(user, place)) {
+            return res.status(403).json({ success: false, message: "You can't export this place" });
+        }
+        
+        res.attachment(`place-${place.id}-world.zip`);
+        const { count } = await world.exportPlace(place, res);
+        
+        console.log(`World exported: ${place.name} (${place.id}, ${count} chunks) by ${req.user.username}`);
+    } catch (error) {
+        console.error('Export world error:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.json({ success: false, message: 'Failed to export world' });
+    }
+});
+
+// Replace a place's world with an exported zip (owner or manage-places)
+app.post('/api/places/:id/world/import', tokenScope('manage-places'), authMiddleware, express.raw({
+    type: ['application/zip', 'application/octet-stream'],
+    limit: MAX_WORLD_IMPORT_SIZE
+}), async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        const place = await findPlace(req, res, user);
+        if (!place) return;
+        
+        if (!canEditPlace(user, place)) {
+            return res.status(403).json({ success: false, message: "You can't import into this place" });
+        }
+        
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.json({ success: false, message: 'Send the world as application/zip' });
+        }
+        
+        const result = await world.importPlace(place.id, req.body, { updatedBy: user.username });
+        if (result.error) {
+            return res.json({ success: false, message: result.error });
+        }
+        
+        if (place.ownerId !== user.id) {
+            await audit(req, 'import-world', place.ownerId, { placeId: place.id, name: place.name, chunks: result.imported });
+        }
+        
+        console.log(`World imported: ${place.name} (${place.id}, ${result.imported} chunks) by ${req.user.username}`);
+        
+        res.json({ success: true, imported: result.imported, removed: result.removed });
+    } catch (error) {
+        console.error('Import world error:', error);
+        res.json({ success: false, message: 'Failed to import world' });
+    }
+});
+
+// ==================== FACE API ====================
+
+app.get('/api/face/:username', async (req, res) => {
+    try {
+        const { username } = req.params;
+        
+        const user = await storage.users.findByUsername(username);
+        res.json({ face: user ? user.face : 'default.png' });
+    } catch (error) {
+        console.error('Get face error:', error);
+        res.json({ face: 'default.png' });
+    }
+});
+
+// Remove an uploaded face and its thumbnails from disk (the shared default is kept)
+function deleteFaceFile(face) {
+    if (!face || face === 'default.png') return;
+    
+    const name = path.basename(face);
+    for (const file of [name, ...THUMBNAIL_SIZES.map(size => thumbnailName(name, size))]) {
+        fs.rmSync(path.join(FACES_DIR, file), { force: true });
+    }
+}
+
+// Thumbnails of default.png, made once so every avatar size can be served
+function ensureDefaultFaceThumbnails() {
+    const missing = THUMBNAIL_SIZES.filter(size => !fs.existsSync(path.join(FACES_DIR, thumbnailName('default.png', size))));
+    if (missing.length === 0) return;
+    
+    const { thumbnails, error } = processFace(fs.readFileSync(path.join(FACES_DIR, 'default.png')));
+    if (error) {
+        console.warn(`default.png: ${error}, avatars fall back to the full size face`);
+        return;
+    }
+    missing.forEach(size => fs.writeFileSync(path.join(FACES_DIR, thumbnailName('default.png', size)), thumbnails[size]));
+}
+
+const MAX_FACE_UPLOAD_BYTES = 512 * 1024;
+
+// The file is kept in memory: it is only written after processFace() accepted it
+const faceUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FACE_UPLOAD_BYTES, files: 1 }
+}).single('face');
+
+function receiveFace(req, res, next) {
+    faceUpload(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Face files are limited to ${MAX_FACE_UPLOAD_BYTES / 1024}KB`
+                : 'Upload failed';
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+}
+
+// Upload a face: a square PNG, normalized to FACE_SIZE with thumbnails
+app.post('/api/upload-face', authMiddleware, receiveFace, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+        
+        // Checked from the bytes; the client's MIME type isn't trusted
+        const { face, thumbnails, error } = processFace(req.file.buffer);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        const faceFilename = `face_${req.user.userId}_${Date.now()}.png`;
+        fs.writeFileSync(path.join(FACES_DIR, faceFilename), face);
+        for (const size of THUMBNAIL_SIZES) {
+            fs.writeFileSync(path.join(FACES_DIR, thumbnailName(faceFilename, size)), thumbnails[size]);
+        }
+        
+        // Point the user at the new files before removing the old ones, so a
+        // failed update never leaves them with a missing face
+        const old = await storage.users.findById(req.user.userId);
+        try {
+            await storage.users.setFace(req.user.userId, faceFilename);
+        } catch (error) {
+            deleteFaceFile(faceFilename);
+            throw error;
+        }
+        if (old && old.face !== faceFilename) {
+            deleteFaceFile(old.face);
+        }
+        
+        console.log(`User ${req.user.username} uploaded face: ${faceFilename}`);
+        
+        res.json({ success: true, face: faceFilename, avatarUrl: `/api/avatar/${encodeURIComponent(req.user.username)}.png` });
+    } catch (error) {
+        console.error('Upload face error:', error);
+        res.status(500).json({ success: false, message: 'Upload failed' });
+    }
+});
+
+// Face of a player by current username (/api/avatar/name or /api/avatar/name.png),
+// ?size= picks the smallest thumbnail at least that big. The username is
+// resolved on every request and the ETag names the stored file, so renames
+// and new uploads show up as soon as the client revalidates.
+app.get('/api/avatar/:username', async (req, res) => {
+    try {
+        const username = req.params.username.replace(/\.png$/i, '');
+        const size = Math.min(FACE_SIZE, Math.max(0, parseInt(req.query.size, 10) || 0));
+        
+        const user = await storage.users.findByUsername(username);
+        let file = avatarFileFor(path.basename(user ? user.face : 'default.png'), size);
+        
+        // Faces uploaded before thumbnails existed only have the full size file
+        if (!fs.existsSync(path.join(FACES_DIR, file))) {
+            file = user && fs.existsSync(path.join(FACES_DIR, path.basename(user.face)))
+                ? path.basename(user.face)
+                : avatarFileFor('default.png', size);
+        }
+        
+        res.set('ETag', `"${file}"`);
+        res.set('Cache-Control', 'public, no-cache');
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        
+        res.sendFile(path.join(FACES_DIR, file), { etag: false, lastModified: false, cacheControl: false });
+    } catch (error) {
+        console.error('Get avatar error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load avatar' });
+    }
+});
+
+app.get('/api/my-face', tokenScope('read-profile'), authMiddleware, async (req, res) => {
+    try {
+        const user = await storage.users.findById(req.user.userId);
+        res.json({ face: user ? user.face : 'default.png' });
+    } catch (error) {
+        res.json({ face: 'default.png' });
+    }
+});
+
+// ==================== SKIN API ====================
+
+const MAX_SKIN_UPLOAD_BYTES = 64 * 1024;
+const SKIN_HISTORY_LIMIT = 10;
+const PREVIEW_VIEWS = ['front', 'back', 'both'];
+
+const skinUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SKIN_UPLOAD_BYTES, files: 1 }
+}).single('skin');
+
+function receiveSkin(req, res, next) {
+    skinUpload(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Skin files are limited to ${MAX_SKIN_UPLOAD_BYTES / 1024}KB`
+                : 'Upload failed';
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+}
+
+function serializeSkin(skin) {
+    return {
+        id: skin.id,
+        model: skin.model,
+        active: skin.active,
+        createdAt: skin.createdAt,
+        activatedAt: skin.activatedAt,
+        previewUrl: `/api/skins/${skin.id}/preview`
+    };
+}
+
+// Skin a player currently wears, or the default one (also for unknown names)
+async function resolveSkin(username) {
+    const user = await storage.users.findByUsername(username);
+    const skin = user ? await storage.skins.findActive(user.id) : null;
+    
+    if (!skin) {
+        const fallback = defaultSkin();
+        return { model: 'classic', hash: fallback.hash, load: async () => fallback.skin };
+    }
+    return { model: skin.model, hash: skin.hash, load: () => storage.skins.getData(skin.id) };
+}
+
+// PNG response revalidated by ETag, like avatars. isPrivate: only for the
+// signed in user, so shared caches must not keep it.
+async function sendSkinImage(req, res, etag, render, { isPrivate = false } = {}) {
+    res.set('ETag', `"${etag}"`);
+    res.set('Cache-Control', isPrivate ? 'private, no-cache' : 'public, no-cache');
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    
+    const image = await render();
+    if (!image) {
+        return res.status(404).json({ success: false, message: 'Skin not found' });
+    }
+    res.type('png').send(image);
+}
+
+// Skin history of the signed in user, most recently worn first
+app.get('/api/skins', tokenScope('read-profile'), authMiddleware, async (req, res) => {
+    try {
+        const skins = await storage.skins.listForUser(req.user.userId);
+        res.json({ success: true, skins: skins.map(serializeSkin), models: SKIN_MODELS, limit: SKIN_HISTORY_LIMIT });
+    } catch (error) {
+        console.error('List skins error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load skins' });
+    }
+});
+
+// Upload a skin (64x64 PNG in the layout described in skins/index.js) and wear it
+app.post('/api/upload-skin', authMiddleware, receiveSkin, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+        
+        const model = req.body.model || 'classic';
+        if (!SKIN_MODELS.includes(model)) {
+            return res.status(400).json({ success: false, message: `Model must be one of: ${SKIN_MODELS.join(', ')}` });
+        }
+        
+        const { skin, hash, error } = processSkin(req.file.buffer);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        const id = await storage.skins.add(req.user.userId, { model, hash, data: skin });
+        await storage.skins.prune(req.user.userId, SKIN_HISTORY_LIMIT);
+        
+        console.log(`User ${req.user.username} uploaded skin ${id} (${model})`);
+        
+        res.json({ success: true, skin: serializeSkin(await storage.skins.findById(id)) });
+    } catch (error) {
+        console.error('Upload skin error:', error);
+        res.status(500).json({ success: false, message: 'Upload failed' });
+    }
+});
+
+// Go back to the default skin; the history is kept
+app.post('/api/skins/default', authMiddleware, async (req, res) => {
+    try {
+        await storage.skins.deactivate(req.user.userId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Reset skin error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reset skin' });
+    }
+});
+
+// Wear a skin from the history again, optionally with another model
+app.post('/api/skins/:id/activate', authMiddleware, async (req, res) => {
+    try {
+        const { model } = req.body;
+        if (model !== undefined && !SKIN_MODELS.includes(model)) {
+            return res.status(400).json({ success: false, message: `Model must be one of: ${SKIN_MODELS.join(', ')}` });
+        }
+        
+        const id = parseInt(req.params.id, 10);
+        if (!await storage.skins.activate(req.user.userId, id, model)) {
+            return res.status(404).json({ success: false, message: 'Skin not found' });
+        }
+        
+        res.json({ success: true, skin: serializeSkin(await storage.skins.findById(id)) });
+    } catch (error) {
+        console.error('Activate skin error:', error);
+        res.status(500).json({ success: false, message: 'Failed to change skin' });
+    }
+});
+
+// Remove a skin from the history (the default is worn if it was active)
+app.delete('/api/skins/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!await storage.skins.delete(req.user.userId, parseInt(req.params.id, 10))) {
+            return res.status(404).json({ success: false, message: 'Skin not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete skin error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete skin' });
+    }
+});
+
+// Flat preview of a history entry (for the settings list). Only the owner and
+// staff who can view users see it; worn skins are public via /api/skin/:username.
+app.get('/api/skins/:id/preview', tokenScope('read-profile'), authMiddleware, async (req, res) => {
+    try {
+        const skin = await storage.skins.findById(parseInt(req.params.id, 10) || 0);
+        
+        let allowed = skin && skin.userId === req.user.userId;
+        if (skin && !allowed) {
+            const viewer = await storage.users.findById(req.user.userId);
+            allowed = !!viewer && hasPermission(viewer.role, 'view-users');
+        }
+        if (!allowed) {
+            return res.status(404).json({ success: false, message: 'Skin not found' });
+        }
+        
+        await sendSkinImage(req, res, `${skin.hash}-${skin.model}-both`, async () => {
+            const data = await storage.skins.getData(skin.id);
+            return data && renderPreview(data, skin.model);
+        }, { isPrivate: true });
+    } catch (error) {
+        console.error('Skin preview error:', error);
+        res.status(500).json({ success: false, message: 'Failed to render skin' });
+    }
+});
+
+// Texture of the skin a player wears, for the game client
+// (/api/skin/name or /api/skin/name.png). X-Skin-Model says classic or slim.
+app.get('/api/skin/:username', async (req, res) => {
+    try {
+        const skin = await resolveSkin(req.params.username.replace(/\.png$/i, ''));
+        
+        res.set('X-Skin-Model', skin.model);
+        await sendSkinImage(req, res, `${skin.hash}-${skin.model}`, skin.load);
+    } catch (error) {
+        console.error('Get skin error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load skin' });
+    }
+});
+
+// Flat front/back render of the skin a player wears; ?view=front, back or both
+app.get('/api/skin/:username/preview', async (req, res) => {
+    try {
+        const view = PREVIEW_VIEWS.includes(req.query.view) ? req.query.view : 'both';
+        const skin = await resolveSkin(req.params.username);
+        
+        await sendSkinImage(req, res, `${skin.hash}-${skin.model}-${view}`, async () => {
+            const data = await skin.load();
+            return data && renderPreview(data, skin.model, view);
+        });
+    } catch (error) {
+        console.error('Skin preview error:', error);
+        res.status(500).json({ success: false, message: 'Failed to render skin' });
+    }
+});
+
+// ==================== GAME SERVER API (LEGACY) ====================
+
+app.post('/api/game-auth', rateLimit('gameAuth'), async (req, res) => {
+    try {
+        const { token } = req.body;
+        
+        if (!token) {
+            return res.json({ success: false, message: 'Token required' });
+        }
+        
+        // Token guessing from one address
+        const failureKey = `game-auth:ip:${req.ip}`;
+        const retryAfter = await limiter.lockedFor(failureKey);
+        if (retryAfter) {
+            return sendTooManyRequests(res, retryAfter);
+        }
+        
+        const auth = await authenticateToken(token, { scopes: ['game'] });
+        if (!auth) {
+            await limiter.recordFailure(failureKey, IP_FAILURE_POLICY);
+            return res.json({ success: false, message: 'Invalid token' });
+        }
+        
+        const user = await storage.users.findById(auth.decoded.userId);
+        
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        if (user.isBanned) {
+            return res.json({
+                success: false,
+                message: 'Account banned',
+                banReason: user.banReason,
+                bannedUntil: user.bannedUntil
+            });
+        }
+        
+        if (!canUseGame(user)) {
+            return res.json({ success: false, message: 'Email not verified' });
+        }
+        
+        // The place the server hosts, else the one the player was in last
+        const requestedPlaceId = parseInt(req.body.placeId, 10) || null;
+        const data = await storage.players.get(user.id);
+        
+        let place = await storage.places.findById(requestedPlaceId || data?.placeId || DEFAULT_PLACE_ID);
+        if (!place && requestedPlaceId) {
+            return res.json({ success: false, message: 'Place not found' });
+        }
+        if (!place) {
+            place = await storage.places.findById(DEFAULT_PLACE_ID);
+        }
+        
+        if (!canJoinPlace(user, place)) {
+            return res.json({ success: false, message: 'This place is private' });
+        }
+        
+        const spawn = await resolveSpawn(user.id, place);
+        const state = await loadPlayerState(user.id, place, spawn);
+        
+        res.json({
+            success: true,
+            userId: user.id,
+            username: user.username,
+            sessionId: auth.session.id,
+            face: user.face,
+            role: user.role,
+            permissions: permissionsFor(user.role),
+            placeId: place.id,
+            place: { id: place.id, name: place.name, maxPlayers: place.maxPlayers, spawn: place.spawn },
+            posX: spawn.x,
+            posY: spawn.y,
+            posZ: spawn.z,
+            firstVisit: !spawn.saved,
+            state
+        });
+        
+    } catch (error) {
+        console.error('Game auth error:', error);
+        res.json({ success: false, message: 'Auth failed' });
+    }
+});
+
+// Save a player. Old servers send only posX/posY/posZ and always overwrite.
+// Servers that send `state` (see playerstate/index.js) must also send the
+// `revision` they loaded from /api/game-auth; a stale revision gets a 409 with
+// the current document so the server can merge and retry. The position comes
+// from posX/posY/posZ or state.position; without either the saved one is kept.
+//
+// A position-only save also bumps the revision, so a server still holding a
+// revision from before it gets a 409 on its next state save. Invalid input is
+// always a 400.
+app.post('/api/save-player', serverKeyMiddleware('write-player', { allowCompat: true }), async (req, res) => {
+    try {
+        const { posX, posY, posZ, state, revision } = req.body;
+        
+        const userId = Number(req.body.userId);
+        if (!Number.isInteger(userId) || userId <= 0 || !await storage.users.findById(userId)) {
+            return res.status(400).json({ success: false, message: 'Unknown userId' });
+        }
+        
+        const place = await storage.places.findById(parseInt(req.body.placeId, 10) || DEFAULT_PLACE_ID);
+        if (!place) {
+            return res.status(400).json({ success: false, message: 'Place not found' });
+        }
+        
+        let position = null;
+        if (posX !== undefined || posY !== undefined || posZ !== undefined) {
+            position = parsePosition({ x: posX, y: posY, z: posZ });
+        } else if (state && state.position !== undefined) {
+            position = parsePosition(state.position);
+        }
+        if (position?.error) {
+            return res.status(400).json({ success: false, message: position.error });
+        }
+        
+        if (state === undefined) {
+            if (!position) {
+                return res.status(400).json({ success: false, message: 'posX, posY and posZ required' });
+            }
+            await storage.players.save(userId, { placeId: place.id, ...position.value });
+            return res.json({ success: true });
+        }
+        
+        const expectedRevision = Number(revision);
+        if (!Number.isInteger(expectedRevision) || expectedRevision < 0) {
+            return res.status(400).json({ success: false, message: 'revision required when saving state' });
+        }
+        
+        const current = await storage.players.getState(userId, place.id);
+        const merged = mergeState(toPlayerState(current), state);
+        if (merged.error) {
+            return res.status(400).json({ success: false, message: merged.error });
+        }
+        
+        const result = await storage.players.saveState(userId, place.id, {
+            expectedRevision,
+            position: position?.value || null,
+            state: merged.state
+        });
+        
+        if (result.conflict) {
+            const spawn = await resolveSpawn(userId, place);
+            return res.status(409).json({
+                success: false,
+                message: 'Revision conflict',
+                state: await loadPlayerState(userId, place, spawn)
+            });
+        }
+        
+        res.json({ success: true, revision: result.revision });
+        
+    } catch (error) {
+        console.error('Save error:', error);
+        res.status(500).json({ success: false, message: 'Save failed' });
+    }
+});
+
+// ==================== SERVER KEYS (ADMIN) ====================
+
+// List issued server keys
+app.get('/api/admin/server-keys', authMiddleware, requirePermission('manage-server-keys'), async (req, res) => {
+    try {
+        const keys = (await storage.serverKeys.list()).map(({ signingKey, ...key }) => key);
+        
+        res.json({ success: true, keys, scopes: SERVER_KEY_SCOPES });
+    } catch (error) {
+        console.error('List server keys error:', error);
+        res.status(500).json({ success: false, message: 'Failed to list server keys' });
+    }
+});
+
+// Issue a new server key (the secret is only returned here)
+app.post('/api/admin/server-keys', authMiddleware, requirePermission('manage-server-keys'), async (req, res) => {
+    try {
+        const { name, scopes } = req.body;
+        
+        if (!name || typeof name !== 'string' || name.length > 64) {
+            return res.json({ success: false, message: 'Key name required (max 64 characters)' });
+        }
+        
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => SERVER_KEY_SCOPES.includes(s))) {
+            return res.json({ success: false, message: `Scopes must be a non-empty list of: ${SERVER_KEY_SCOPES.join(', ')}` });
+        }
+        
+        const keyId = `fbk_${crypto.randomBytes(8).toString('hex')}`;
+        const secret = crypto.randomBytes(32).toString('hex');
+        const uniqueScopes = [...new Set(scopes)];
+        
+        await storage.serverKeys.create({
+            keyId,
+            signingKey: serverKeySecrets.seal(sha256(secret)),
+            name,
+            scopes: uniqueScopes,
+            createdBy: req.user.userId
+        });
+        
+        console.log(`Server key issued: ${name} (${keyId}) by ${req.user.username}`);
+        
+        res.json({ success: true, keyId, secret, scopes: uniqueScopes });
+    } catch (error) {
+        console.error('Create server key error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create server key' });
+    }
+});
+
+// Revoke a server key
+app.delete('/api/admin/server-keys/:keyId', authMiddleware, requirePermission('manage-server-keys'), async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        
+        if (!await storage.serverKeys.revoke(keyId)) {
+            return res.status(404).json({ success: false, message: 'Key not found' });
+        }
+        
+        console.log(`Server key revoked: ${keyId} by ${req.user.username}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke server key error:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke server key' });
+    }
+});
+
+// ==================== MODERATION (ADMIN) ====================
+
+const ADMIN_PAGE_SIZE = 20;
+
+// "Account is banned until 2025-01-31 18:00 UTC: griefing"
+function describeBan(user) {
+    let message = 'Account is banned';
+    if (user.bannedUntil) {
+        message += ` until ${user.bannedUntil.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    }
+    if (user.banReason) {
+        message += `: ${user.banReason}`;
+    }
+    return message;
+}
+
+function serializeAdminUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        face: user.face,
+        role: user.role,
+        isBanned: user.isBanned,
+        banReason: user.isBanned ? user.banReason : null,
+        bannedUntil: user.isBanned ? user.bannedUntil : null,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
+    };
+}
+
+// Load the user named by :id, or answer 404
+async function findTargetUser(req, res) {
+    const user = await storage.users.findById(parseInt(req.params.id, 10) || 0);
+    if (!user) {
+        res.status(404).json({ success: false, message: 'User not found' });
+    }
+    return user;
+}
+
+// Like findTargetUser, but also refuses accounts the caller's role can't act on
+async function findModeratableUser(req, res) {
+    const user = await findTargetUser(req, res);
+    if (user && !canModerate(req.user.role, user.role)) {
+        res.status(403).json({ success: false, message: `You can't moderate this account (${user.role})` });
+        return null;
+    }
+    return user;
+}
+
+function audit(req, action, targetUserId, details) {
+    return storage.auditLog.record({ actorId: req.user.userId, action, targetUserId, details });
+}
+
+// Search users by username or email
+app.get('/api/admin/users', authMiddleware, requirePermission('view-users'), async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const { users, total } = await storage.users.search(req.query.q || '', {
+            limit: ADMIN_PAGE_SIZE,
+            offset: (page - 1) * ADMIN_PAGE_SIZE
+        });
+        
+        res.json({ success: true, users: users.map(serializeAdminUser), total, page, pageSize: ADMIN_PAGE_SIZE });
+    } catch (error) {
+        console.error('Search users error:', error);
+        res.status(500).json({ success: false, message: 'Failed to search users' });
+    }
+});
+
+// One user with their moderation history
+app.get('/api/admin/users/:id', authMiddleware, requirePermission('view-users'), async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+        
+        const history = await storage.auditLog.list({ targetUserId: user.id, limit: 50 });
+        
+        res.json({ success: true, user: serializeAdminUser(user), history });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get user' });
+    }
+});
+
+// Ban with a reason; `until` (ISO date) makes it temporary. Signs the user out everywhere.
+app.post('/api/admin/users/:id/ban', authMiddleware, requirePermission('ban-users'), async (req, res) => {
+    try {
+        const { reason, until } = req.body;
+        
+        if (!reason || typeof reason !== 'string' || reason.length > 255) {
+            return res.json({ success: false, message: 'Ban reason required (max 255 characters)' });
+        }
+        
+        let bannedUntil = null;
+        if (until) {
+            bannedUntil = new Date(until);
+            if (Number.isNaN(bannedUntil.getTime()) || bannedUntil <= new Date()) {
+                return res.json({ success: false, message: 'Ban expiry must be a future date' });
+            }
+        }
+        
+        const user = await findModeratableUser(req, res);
+        if (!user) return;
+        
+        if (user.id === req.user.userId) {
+            return res.json({ success: false, message: "You can't ban yourself" });
+        }
+        
+        await storage.users.ban(user.id, { reason, until: bannedUntil });
+        await storage.sessions.revokeAllForUser(user.id);
+        await audit(req, 'ban', user.id, { reason, until: bannedUntil });
+        
+        gateway.publishAccountEvent(user.id, 'banned', { reason, until: bannedUntil });
+        pushLogout(user.id, 'Your account has been banned');
+        
+        console.log(`User banned: ${user.username} by ${req.user.username} (${reason})`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Ban user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to ban user' });
+    }
+});
+
+app.post('/api/admin/users/:id/unban', authMiddleware, requirePermission('ban-users'), async (req, res) => {
+    try {
+        const user = await findModeratableUser(req, res);
+        if (!user) return;
+        
+        await storage.users.unban(user.id);
+        await audit(req, 'unban', user.id, { reason: user.banReason });
+        
+        console.log(`User unbanned: ${user.username} by ${req.user.username}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Unban user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to unban user' });
+    }
+});
+
+// Force a username change (e.g. offensive names). Signs the user out so
+// no token keeps the old name.
+app.post('/api/admin/users/:id/rename', authMiddleware, requirePermission('rename-users'), async (req, res) => {
+    try {
+        const { newUsername } = req.body;
+        
+        if (!isValidUsername(newUsername)) {
+            return res.json({ success: false, message: 'Username: 3-24 characters, only letters, numbers, underscore.' });
+        }
+        
+        const user = await findModeratableUser(req, res);
+        if (!user) return;
+        
+        if (await storage.users.isUsernameTaken(newUsername, user.id)) {
+            return res.json({ success: false, message: 'Username already taken' });
+        }
+        
+        await storage.users.updateUsername(user.id, newUsername);
+        await storage.sessions.revokeAllForUser(user.id);
+        await audit(req, 'rename', user.id, { from: user.username, to: newUsername });
+        
+        gateway.publishAccountEvent(user.id, 'renamed', { username: newUsername, previousUsername: user.username });
+        pushLogout(user.id, `Your username was changed to ${newUsername} by a moderator`);
+        
+        console.log(`Username changed by admin: ${user.username} -> ${newUsername} (by ${req.user.username})`);
+        
+        res.json({ success: true, username: newUsername });
+    } catch (error) {
+        console.error('Force rename error:', error);
+        res.status(500).json({ success: false, message: 'Failed to rename user' });
+    }
+});
+
+app.post('/api/admin/users/:id/reset-face', authMiddleware, requirePermission('reset-faces'), async (req, res) => {
+    try {
+        const user = await findModeratableUser(req, res);
+        if (!user) return;
+        
+        deleteFaceFile(user.face);
+        await storage.users.setFace(user.id, 'default.png');
+        await audit(req, 'reset-face', user.id, { face: user.face });
+        
+        console.log(`Face reset: ${user.username} by ${req.user.username}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Reset face error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reset face' });
+    }
+});
+
+// Change a user's role (player, moderator, admin)
+app.post('/api/admin/users/:id/role', authMiddleware, requirePermission('manage-roles'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        
+        if (!isValidRole(role)) {
+            return res.json({ success: false, message: 'Role must be player, moderator or admin' });
+        }
+        
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+        
+        // Keeps at least one admin around
+        if (user.id === req.user.userId) {
+            return res.json({ success: false, message: "You can't change your own role" });
+        }
+        
+        if (user.role !== role) {
+            await storage.users.setRole(user.id, role);
+            await audit(req, 'set-role', user.id, { from: user.role, to: role });
+            gateway.publishAccountEvent(user.id, 'role', { role, permissions: permissionsFor(role) });
+            
+            console.log(`Role changed: ${user.username} ${user.role} -> ${role} (by ${req.user.username})`);
+        }
+        
+        res.json({ success: true, role });
+    } catch (error) {
+        console.error('Set role error:', error);
+        res.status(500).json({ success: false, message: 'Failed to change role' });
+    }
+});
+
+// Moderation audit log, newest first
+app.get('/api/admin/audit', authMiddleware, requirePermission('view-audit-log'), async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const entries = await storage.auditLog.list({
+            targetUserId: parseInt(req.query.userId, 10) || null,
+            limit: ADMIN_PAGE_SIZE,
+            offset: (page - 1) * ADMIN_PAGE_SIZE
+        });
+        
+        res.json({ success: true, entries, page, pageSize: ADMIN_PAGE_SIZE });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load audit log' });
+    }
+});
+
+// ==================== LOCKOUTS (ADMIN) ====================
+
+// Keys currently locked out after failed attempts
+app.get('/api/admin/lockouts', authMiddleware, requirePermission('manage-lockouts'), async (req, res) => {
+    try {
+        res.json({ store: limiter.store, lockouts: await limiter.listLockouts() });
+    } catch (error) {
+        console.error('List lockouts error:', error);
+        res.status(500).json({ error: 'Failed to list lockouts' });
+    }
+});
+
+// Lift a lockout, e.g. DELETE /api/admin/lockouts/password%3Auser%3Aalice
+app.delete('/api/admin/lockouts/:key', authMiddleware, requirePermission('manage-lockouts'), async (req, res) => {
+    try {
+        if (!await limiter.unlock(req.params.key)) {
+            return res.status(404).json({ error: 'Lockout not found' });
+        }
+        
+        await audit(req, 'unlock', null, { key: req.params.key });
+        
+        console.log(`Lockout lifted: ${req.params.key} (by user ID ${req.user.userId})`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Unlock error:', error);
+        res.status(500).json({ error: 'Failed to lift lockout' });
+    }
+});
+
+// ==================== PLAY SESSIONS ====================
+//
+// Game servers open a play session when a player joins and close it when
+// they leave. Sessions belong to a registered server (serverId from
+// /api/servers/register) and its heartbeats keep them alive: players missing
+// from a heartbeat are treated as having left, and when heartbeats stop the
+// sessions are closed at the last one, so a crashed server (or API restart)
+// never counts time nobody played. Closed sessions add up to
+// player_data.play_time. Sessions can only be opened and closed with the
+// server key that registered their server (it needs both register-server and
+// write-sessions), so no other key holder can add or end anyone's play time.
+
+const PLAY_SESSION_TIMEOUT = SERVER_TIMEOUT;
+const STATS_TOP_PLACES = 5;
+
+function closeStalePlaySessions() {
+    if (!storage) return;
+    
+    storage.playSessions.closeStale(new Date(Date.now() - PLAY_SESSION_TIMEOUT))
+        .then(count => {
+            if (count > 0) console.log(`Play sessions timed out: ${count}`);
+        })
+        .catch(error => console.error('Close stale play sessions error:', error.message));
+}
+
+setInterval(closeStalePlaySessions, PLAY_SESSION_TIMEOUT / 2).unref();
+
+// Heartbeat from a server: keep its sessions alive and close those of players who left
+async function touchPlaySessions(server, leftUsernames) {
+    await storage.playSessions.touchServer(server.id);
+    
+    for (const username of leftUsernames) {
+        const user = await storage.users.findByUsername(username);
+        if (user) {
+            await storage.playSessions.closeForUser(user.id, server.id, 'left');
+        }
+    }
+}
+
+// Play time for the settings page, including the session in progress
+async function describePlayTime(userId) {
+    const { total, places } = await storage.playSessions.totalsForUser(userId);
+    const open = await storage.playSessions.findOpenByUser(userId);
+    if (!open) {
+        return { total, places, current: null };
+    }
+    
+    const elapsed = Math.max(0, Math.round((Date.now() - open.startedAt) / 1000));
+    const place = places.find(entry => entry.placeId === open.placeId);
+    if (place) {
+        place.seconds += elapsed;
+    } else {
+        const info = await storage.places.findById(open.placeId);
+        places.push({ placeId: open.placeId, name: info ? info.name : null, seconds: elapsed });
+    }
+    
+    return {
+        total: total + elapsed,
+        places: places.sort((a, b) => b.seconds - a.seconds),
+        current: { placeId: open.placeId, startedAt: open.startedAt }
+    };
+}
+
+// The live server with this id if the request is signed by the key that
+// registered it, else null
+function findSessionServer(req, serverId) {
+    const server = gameServers.get(serverId);
+    if (!server || server.owner !== registryOwner(req)) {
+        return null;
+    }
+    return server;
+}
+
+// A player joined: { userId, serverId, placeId? } (placeId defaults to the server's)
+app.post('/api/play-sessions/join', serverKeyMiddleware('write-sessions'), async (req, res) => {
+    try {
+        const { userId, serverId } = req.body;
+        
+        const user = await storage.users.findById(parseInt(userId, 10) || 0);
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        const server = findSessionServer(req, serverId);
+        if (!server) {
+            return res.json({ success: false, message: 'Unknown server', reregister: true });
+        }
+        
+        const placeId = req.body.placeId !== undefined ? parseInt(req.body.placeId, 10) || 0 : server.placeId;
+        const place = await storage.places.findById(placeId);
+        if (!place) {
+            return res.json({ success: false, message: 'Place not found' });
+        }
+        
+        const { id, replaced } = await storage.playSessions.open({ userId: user.id, placeId: place.id, serverId: server.id });
+        
+        res.json({ success: true, sessionId: id, placeId: place.id, replaced });
+    } catch (error) {
+        console.error('Play session join error:', error);
+        res.json({ success: false, message: 'Failed to open play session' });
+    }
+});
+
+// A player left: { sessionId }. Returns the session length in seconds.
+app.post('/api/play-sessions/leave', serverKeyMiddleware('write-sessions'), async (req, res) => {
+    try {
+        const session = await storage.playSessions.findOpen(parseInt(req.body.sessionId, 10) || 0);
+        const owned = session && findSessionServer(req, session.serverId);
+        const duration = owned ? await storage.playSessions.close(session.id, 'leave') : null;
+        if (duration === null) {
+            return res.json({ success: false, message: 'Session not found or already closed' });
+        }
+        
+        // Play time achievements
+        await syncStatAchievements(session.userId);
+        
+        res.json({ success: true, duration });
+    } catch (error) {
+        console.error('Play session leave error:', error);
+        res.json({ success: false, message: 'Failed to close play session' });
+    }
+});
+
+// ==================== ACHIEVEMENTS & LEADERBOARDS ====================
+//
+// Game servers report stat increments (blocks placed, custom stats) and
+// achievement progress; play_time is recorded by the API from play sessions.
+// Stat achievements (see achievements/index.js) unlock on their own once the
+// all-time stat reaches their goal, checked whenever stats change and when a
+// player's achievements are loaded.
+
+const LEADERBOARD_WINDOWS = { daily: 1, weekly: 7, all: null }; // days including today
+const LEADERBOARD_PAGE_SIZE = 25;
+const MAX_STAT_INCREMENT = 1000000;
+const MAX_STATS_PER_SUBMIT = 32;
+
+function announceAchievement(userId, achievement) {
+    gateway.sendToUser(userId, { type: 'achievement', id: achievement.id, name: achievement.name, icon: achievement.icon });
+}
+
+// Unlock the stat achievements a player has reached; returns the newly unlocked ones
+async function syncStatAchievements(userId) {
+    const stats = await storage.stats.getTotals(userId);
+    const records = await storage.achievements.listForUser(userId);
+    const unlockedIds = new Set(records.filter(record => record.unlockedAt).map(record => record.achievementId));
+    
+    const unlocked = [];
+    for (const achievement of reachedStatAchievements(stats)) {
+        if (unlockedIds.has(achievement.id)) continue;
+        if (await storage.achievements.unlock(userId, achievement.id, goalOf(achievement))) {
+            announceAchievement(userId, achievement);
+            unlocked.push(achievement);
+        }
+    }
+    return unlocked;
+}
+
+// Validate { stat: increment } from a game server
+function parseStatIncrements(stats) {
+    if (!stats || typeof stats !== 'object' || Array.isArray(stats)) {
+        return { error: 'stats must be an object of { name: increment }' };
+    }
+    
+    const entries = Object.entries(stats);
+    if (entries.length === 0 || entries.length > MAX_STATS_PER_SUBMIT) {
+        return { error: `Send 1-${MAX_STATS_PER_SUBMIT} stats at a time` };
+    }
+    
+    const increments = {};
+    for (const [name, value] of entries) {
+        if (!isValidStatName(name)) {
+            return { error: `Invalid stat name: ${name}` };
+        }
+        if (RESERVED_STATS.includes(name)) {
+            return { error: `${name} is recorded by the API` };
+        }
+        const amount = Number(value);
+        if (!Number.isInteger(amount) || amount < 1 || amount > MAX_STAT_INCREMENT) {
+            return { error: `${name}: increment must be 1-${MAX_STAT_INCREMENT}` };
+        }
+        increments[name] = amount;
+    }
+    return { increments };
+}
+
+// Add to a player's stats: { userId, stats: { blocks_placed: 12, ... } }
+app.post('/api/player-stats', serverKeyMiddleware('write-stats'), async (req, res) => {
+    try {
+        const user = await storage.users.findById(parseInt(req.body.userId, 10) || 0);
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        const { increments, error } = parseStatIncrements(req.body.stats);
+        if (error) {
+            return res.json({ success: false, message: error });
+        }
+        
+        await storage.stats.add(user.id, increments);
+        const unlocked = await syncStatAchievements(user.id);
+        
+        res.json({ success: true, unlocked: unlocked.map(achievement => achievement.id) });
+    } catch (error) {
+        console.error('Submit stats error:', error);
+        res.json({ success: false, message: 'Failed to save stats' });
+    }
+});
+
+// Grant an achievement or add progress to it:
+// { userId, achievementId, amount? (default 1) } or { userId, achievementId, grant: true }
+app.post('/api/achievements/progress', serverKeyMiddleware('write-achievements'), async (req, res) => {
+    try {
+        const { achievementId, grant } = req.body;
+        
+        const user = await storage.users.findById(parseInt(req.body.userId, 10) || 0);
+        if (!user) {
+            return res.json({ success: false, message: 'User not found' });
+        }
+        
+        const achievement = findAchievement(achievementId);
+        if (!achievement) {
+            return res.json({ success: false, message: 'Unknown achievement' });
+        }
+        if (achievement.criteria.type === 'stat') {
+            return res.json({ success: false, message: `${achievement.id} unlocks from the ${achievement.criteria.stat} stat` });
+        }
+        
+        const goal = goalOf(achievement);
+        let result;
+        
+        if (grant === true || achievement.criteria.type === 'grant') {
+            const unlocked = await storage.achievements.unlock(user.id, achievement.id, goal);
+            result = { progress: goal, unlocked };
+        } else {
+            const amount = req.body.amount === undefined ? 1 : Number(req.body.amount);
+            if (!Number.isInteger(amount) || amount < 1 || amount > MAX_STAT_INCREMENT) {
+                return res.json({ success: false, message: `amount must be 1-${MAX_STAT_INCREMENT}` });
+            }
+            result = await storage.achievements.addProgress(user.id, achievement.id, amount, goal);
+        }
+        
+        if (result.unlocked) {
+            announceAchievement(user.id, achievement);
+            console.log(`Achievement unlocked: ${user.username} - ${achievement.id}`);
+        }
+        
+        res.json({ success: true, achievementId: achievement.id, progress: result.progress, goal, unlocked: result.unlocked });
+    } catch (error) {
+        console.error('Achievement progress error:', error);
+        res.json({ success: false, message: 'Failed to update achievement' });
+    }
+});
+
+// Your achievements; hidden ones stay "???" until unlocked
+app.get('/api/achievements', tokenScope('read-stats'), authMiddleware, async (req, res) => {
+    try {
+        await syncStatAchievements(req.user.userId);
+        
+        const stats = await storage.stats.getTotals(req.user.userId);
+        const records = new Map((await storage.achievements.listForUser(req.user.userId)).map(record => [record.achievementId, record]));
+        const achievements = ACHIEVEMENTS.map(achievement => serializeAchievement(achievement, records.get(achievement.id), stats));
+        
+        res.json({
+            success: true,
+            achievements,
+            unlocked: achievements.filter(achievement => achievement.unlockedAt).length,
+            total: achievements.length
+        });
+    } catch (error) {
+        console.error('Get achievements error:', error);
+        res.json({ success: false, message: 'Failed to load achievements' });
+    }
+});
+
+// Resolve :stat and ?window= for leaderboard routes, or answer with an error
+function parseLeaderboardQuery(req, res) {
+    const window = req.query.window || 'all';
+    if (!isValidStatName(req.params.stat) || !(window in LEADERBOARD_WINDOWS)) {
+        res.json({ success: false, message: `Unknown stat or window (windows: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')})` });
+        return null;
+    }
+    return { stat: req.params.stat, window, days: LEADERBOARD_WINDOWS[window] };
+}
+
+// Stats with a leaderboard
+app.get('/api/leaderboards', async (req, res) => {
+    try {
+        const stats = new Set([...BUILTIN_STATS, ...await storage.stats.listStats()]);
+        res.json({ success: true, stats: [...stats], windows: Object.keys(LEADERBOARD_WINDOWS) });
+    } catch (error) {
+        console.error('List leaderboards error:', error);
+        res.json({ success: false, message: 'Failed to load leaderboards' });
+    }
+});
+
+// ?window=daily|weekly|all&page= from 1
+app.get('/api/leaderboards/:stat', async (req, res) => {
+    try {
+        const query = parseLeaderboardQuery(req, res);
+        if (!query) return;
+        
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const { entries, total } = await storage.stats.leaderboard(query.stat, {
+            days: query.days,
+            limit: LEADERBOARD_PAGE_SIZE,
+            offset: (page - 1) * LEADERBOARD_PAGE_SIZE
+        });
+        
+        res.json({
+            success: true,
+            stat: query.stat,
+            window: query.window,
+            page,
+            pageSize: LEADERBOARD_PAGE_SIZE,
+            total,
+            entries: entries.map(({ rank, username, face, value }) => ({ rank, username, face, value }))
+        });
+    } catch (error) {
+        console.error('Leaderboard error:', error);
+        res.json({ success: false, message: 'Failed to load leaderboard' });
+    }
+});
+
+// Your rank on a leaderboard (rank: null until you have a value in the window)
+app.get('/api/leaderboards/:stat/me', tokenScope('read-stats'), authMiddleware, async (req, res) => {
+    try {
+        const query = parseLeaderboardQuery(req, res);
+        if (!query) return;
+        
+        const rank = await storage.stats.rank(query.stat, req.user.userId, { days: query.days });
+        res.json({ success: true, stat: query.stat, window: query.window, rank: rank ? rank.rank : null, value: rank ? rank.value : 0 });
+    } catch (error) {
+        console.error('Leaderboard rank error:', error);
+        res.json({ success: false, message: 'Failed to load rank' });
+    }
+});
+
+// ==================== GAME SERVER REGISTRY ====================
+
+// Remove servers that stopped sending heartbeats
+function pruneGameServers() {
+    const now = Date.now();
+    for (const [id, server] of gameServers) {
+        if (now - server.lastHeartbeat > SERVER_TIMEOUT) {
+            gameServers.delete(id);
+            onPlayersChanged(server.players);
+            storage.playSessions.closeServer(id, 'timeout', { atLastSeen: true })
+                .catch(error => console.error('Close play sessions error:', error.message));
+            console.log(`Game server expired: ${server.name} (${id})`);
+        }
+    }
+}
+
+setInterval(pruneGameServers, SERVER_TIMEOUT / 2).unref();
+
+// Look up a live server and check its heartbeat token
+function getGameServer(serverId, token) {
+    const server = gameServers.get(serverId);
+    if (!server || typeof token !== 'string') {
+        return null;
+    }
+    
+    const expected = Buffer.from(server.token);
+    const given = Buffer.from(token);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    
+    return server;
+}
+
+function sanitizePlayerList(players) {
+    return players
+        .filter(name => typeof name === 'string' && name.length > 0 && name.length <= 32)
+        .slice(0, 1000);
+}
+
+// Who a registration belongs to: the server key that signed it. Heartbeats
+// and play sessions must be signed with the same key.
+function registryOwner(req) {
+    return `key:${req.serverKey.keyId}`;
+}
+
+// Live server for a heartbeat or unregister request, or null
+function findOwnGameServer(req) {
+    const { serverId, token } = req.body;
+    const server = getGameServer(serverId, token);
+    return server && server.owner === registryOwner(req) ? server : null;
+}
+
+// Public view of a server (never includes the heartbeat token)
+function serializeGameServer(server) {
+    return {
+        id: server.id,
+        name: server.name,
+        address: server.address,
+        port: server.port,
+        placeId: server.placeId,
+        maxPlayers: server.maxPlayers,
+        version: server.version,
+        players: server.players.length,
+        playerNames: server.players,
+        startedAt: server.startedAt,
+        lastHeartbeat: server.lastHeartbeat
+    };
+}
+
+// The live server a player is on, or null (player names as reported in
+// signed heartbeats)
+function findPlayerServer(username) {
+    const name = username.toLowerCase();
+    for (const [, server] of gameServers) {
+        if (server.players.some(player => player.toLowerCase() === name)) {
+            return server;
+        }
+    }
+    return null;
+}
+
+// Server browser entries, fullest first
+function listGameServers() {
+    return [...gameServers.values()]
+        .map(serializeGameServer)
+        .sort((a, b) => b.players - a.players);
+}
+
+// Names that are in only one of two player lists (joined or left)
+function changedPlayers(before, after) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return [
+        ...before.filter(name => !afterSet.has(name)),
+        ...after.filter(name => !beforeSet.has(name))
+    ];
+}
+
+function getOnlinePlayerCount() {
+    let count = 0;
+    for (const [, server] of gameServers) {
+        count += server.players.length;
+    }
+    return count;
+}
+
+// Register a game server (signed with a register-server key)
+app.post('/api/servers/register', rateLimit('serverRegister'), serverKeyMiddleware('register-server'), async (req, res) => {
+    try {
+        const { address, port, maxPlayers, version } = req.body;
+        
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > 64) {
+            return res.status(400).json({ success: false, message: 'Server name required (max 64 characters)' });
+        }
+        
+        const serverPort = parseInt(port, 10);
+        if (!serverPort || serverPort < 1 || serverPort > 65535) {
+            return res.status(400).json({ success: false, message: 'Valid port required' });
+        }
+        
+        const place = await storage.places.findById(parseInt(req.body.placeId, 10) || DEFAULT_PLACE_ID);
+        if (!place) {
+            return res.status(400).json({ success: false, message: 'Place not found' });
+        }
+        
+        pruneGameServers();
+        
+        const owner = registryOwner(req);
+        const registered = [...gameServers.values()].filter(server => server.owner === owner).length;
+        if (registered >= MAX_SERVERS_PER_KEY) {
+            return res.status(429).json({ success: false, message: `At most ${MAX_SERVERS_PER_KEY} servers per key` });
+        }
+        
+        const id = crypto.randomUUID();
+        const server = {
+            id,
+            token: crypto.randomBytes(32).toString('hex'),
+            owner,
+            name,
+            address: (typeof address === 'string' && address) ? address : req.ip,
+            port: serverPort,
+            placeId: place.id,
+            maxPlayers: Math.max(1, parseInt(maxPlayers, 10) || 20),
+            version: typeof version === 'string' ? version.slice(0, 32) : 'unknown',
+            players: [],
+            startedAt: Date.now(),
+            lastHeartbeat: Date.now()
+        };
+        
+        gameServers.set(id, server);
+        scheduleServerListPush();
+        
+        console.log(`Game server registered: ${server.name} (${id}) at ${server.address}:${server.port} by ${owner}`);
+        
+        res.json({
+            success: true,
+            serverId: id,
+            token: server.token,
+            heartbeatInterval: SERVER_HEARTBEAT_INTERVAL
+        });
     } catch (error) {
-        console.error('Save error:', error);
-        res.json({ success: false });
+        console.error('Server register error:', error);
+        res.json({ success: false, message: 'Server registration failed' });
+    }
+});
+
+// Heartbeat with the current player list (omit `players` to keep it)
+app.post('/api/servers/heartbeat', serverKeyMiddleware('register-server'), (req, res) => {
+    try {
+        const { players } = req.body;
+        
+        const server = findOwnGameServer(req);
+        if (!server) {
+            // Expired or unknown - the server should register again
+            return res.json({ success: false, message: 'Unknown server', reregister: true });
+        }
+        
+        if (players !== undefined && !Array.isArray(players)) {
+            return res.status(400).json({ success: false, message: 'players must be a list of names' });
+        }
+        
+        const previousPlayers = server.players;
+        if (players !== undefined) {
+            server.players = sanitizePlayerList(players);
+        }
+        server.lastHeartbeat = Date.now();
+        
+        const changed = changedPlayers(previousPlayers, server.players);
+        if (changed.length > 0) {
+            onPlayersChanged(changed);
+        }
+        
+        const left = previousPlayers.filter(name => !server.players.includes(name));
+        touchPlaySessions(server, left)
+            .catch(error => console.error('Play session heartbeat error:', error.message));
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Server heartbeat error:', error);
+        res.json({ success: false, message: 'Heartbeat failed' });
+    }
+});
+
+// Graceful shutdown of a game server
+app.post('/api/servers/unregister', serverKeyMiddleware('register-server'), (req, res) => {
+    const server = findOwnGameServer(req);
+    if (!server) {
+        return res.json({ success: false, message: 'Unknown server' });
     }
+    
+    gameServers.delete(server.id);
+    onPlayersChanged(server.players);
+    storage.playSessions.closeServer(server.id, 'server-stop')
+        .catch(error => console.error('Close play sessions error:', error.message));
+    console.log(`Game server unregistered: ${server.name} (${server.id})`);
+    
+    res.json({ success: true });
+});
+
+// Server browser
+app.get('/api/servers', (req, res) => {
+    pruneGameServers();
+    
+    res.json({ servers: listGameServers() });
 });
 
 app.get('/api/status', async (req, res) => {
-    let playerCount = 0;
-    let dbStatus = 'disconnected';
+    let dbStatus = 'connected';
+    let releasesStatus = 'ok';
+    let clientVersion = null;
     
-    if (pool) {
-        try {
-            const [result] = await pool.execute('SELECT COUNT(*) as count FROM users');
-            playerCount = result[0].count;
-            dbStatus = 'connected';
-        } catch (e) {
-            dbStatus = 'error';
-        }
+    try {
+        await storage.db.ping();
+    } catch (e) {
+        dbStatus = 'error';
+    }
+    
+    // Reported on its own so a broken release lookup isn't taken for a database outage
+    try {
+        const latest = await latestRelease('stable');
+        clientVersion = latest ? latest.version : null;
+    } catch (e) {
+        console.error('Status release lookup error:', e.message);
+        releasesStatus = 'error';
     }
     
+    pruneGameServers();
+    
     res.json({
         online: true,
-        players: playerCount,
-        version: '0.1',
-        database: dbStatus
+        players: getOnlinePlayerCount(),
+        servers: gameServers.size,
+        version: clientVersion,
+        database: dbStatus,
+        releases: releasesStatus
     });
 });
 
 app.get('/api/stats', async (req, res) => {
     try {
-        if (!pool) {
-            return res.json({ totalUsers: memoryUsers.size, onlineNow: 0 });
-        }
+        const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
         
-        const [users] = await pool.execute('SELECT COUNT(*) as count FROM users');
-        const [recent] = await pool.execute(
-            'SELECT COUNT(*) as count FROM users WHERE last_login > DATE_SUB(NOW(), INTERVAL 24 HOUR)'
-        );
+        const playTime = await storage.playSessions.summary(dayAgo);
         
         res.json({
-            totalUsers: users[0].count,
-            recentActive: recent[0].count
+            totalUsers: await storage.users.count(),
+            recentActive: await storage.users.countActiveSince(dayAgo),
+            playersOnline: getOnlinePlayerCount(),
+            recentPlayers: playTime.recentPlayers,
+            recentPlayTime: playTime.recentSeconds,
+            totalPlayTime: playTime.totalSeconds,
+            topPlaces: await storage.playSessions.topPlaces(STATS_TOP_PLACES)
         });
     } catch (error) {
+        console.error('Stats error:', error);
         res.json({ totalUsers: 0, recentActive: 0 });
     }
 });
 
+// ==================== CLIENT RELEASES ====================
+
+const MAX_RELEASE_FILES = 1000;
+const MAX_RELEASE_FILE_BYTES = 1024 * 1024 * 1024;
+const MAX_RELEASE_NOTES = 4000;
+
+// Uploads land in RELEASES_DIR/.incoming and are moved into the release
+// directory once the whole release is validated. preservePath keeps the
+// relative path the admin page sends as the file name.
+const releaseUpload = multer({
+    dest: path.join(RELEASES_DIR, '.incoming'),
+    preservePath: true,
+    limits: { fileSize: MAX_RELEASE_FILE_BYTES, files: MAX_RELEASE_FILES }
+}).array('files');
+
+function receiveRelease(req, res, next) {
+    releaseUpload(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Release files are limited to ${MAX_RELEASE_FILE_BYTES / 1024 / 1024}MB each`
+                : error.code === 'LIMIT_FILE_COUNT'
+                    ? `Releases are limited to ${MAX_RELEASE_FILES} files`
+                    : 'Upload failed';
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+}
+
+function discardUploads(files) {
+    (files || []).forEach(file => fs.rmSync(file.path, { force: true }));
+}
+
+function releaseFileUrl(version, file) {
+    return `/api/client/files/${encodeURIComponent(version)}/${file.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function serializeRelease(release) {
+    return {
+        version: release.version,
+        channel: release.channel,
+        notes: release.notes,
+        minVersion: release.minVersion,
+        publishedAt: release.publishedAt,
+        fileCount: release.fileCount,
+        totalSize: release.totalSize,
+        manifestUrl: `/api/client/manifest/${encodeURIComponent(release.version)}`
+    };
+}
+
+// Newest release a launcher on `channel` can update to, or null
+async function latestRelease(channel) {
+    return newestRelease(await storage.releases.list({ channels: channelsFor(channel) }));
+}
+
+// What a launcher on version `from` needs to reach `target`. from is null
+// in the result when that version was never published (full download).
+async function patchPlan(from, target) {
+    const source = await storage.releases.findByVersion(from);
+    const diff = diffManifests(
+        source ? await storage.releases.listFiles(source.id) : null,
+        await storage.releases.listFiles(target.id)
+    );
+    return { from: source ? source.version : null, to: target.version, ...diff };
+}
+
+// Resumed downloads (Range past the first byte) and revalidations aren't
+// counted again
+function isNewDownload(req) {
+    return !req.fresh && (!req.headers.range || /^bytes=0-/.test(req.headers.range));
+}
+
+function countDownload(releaseId, kind, name) {
+    storage.releases.recordDownload(releaseId, kind, name)
+        .catch(error => console.error('Download count error:', error));
+}
+
+// Validate channel / notes / minVersion from an admin request. Returns
+// { fields } with the given ones, or { error }.
+function parseReleaseFields(body, version) {
+    const fields = {};
+    
+    if (body.channel !== undefined) {
+        if (!isValidChannel(body.channel)) {
+            return { error: `Channel must be one of: ${CHANNELS.join(', ')}` };
+        }
+        fields.channel = body.channel;
+    }
+    if (body.notes !== undefined) {
+        if (typeof body.notes !== 'string' || body.notes.length > MAX_RELEASE_NOTES) {
+            return { error: `Release notes are limited to ${MAX_RELEASE_NOTES} characters` };
+        }
+        fields.notes = body.notes.trim();
+    }
+    if (body.minVersion !== undefined && body.minVersion !== '' && body.minVersion !== null) {
+        if (!isValidVersion(body.minVersion)) {
+            return { error: 'Invalid minimum version' };
+        }
+        if (compareVersions(body.minVersion, version) > 0) {
+            return { error: 'Minimum version can\'t be newer than the release' };
+        }
+        fields.minVersion = body.minVersion;
+    } else if (body.minVersion !== undefined) {
+        fields.minVersion = '';
+    }
+    
+    return { fields };
+}
+
+// Newest release for a channel (stable by default). With ?current=<version>
+// the launcher also learns whether it should or must update.
+app.get('/api/client/latest', async (req, res) => {
+    try {
+        const channel = req.query.channel || 'stable';
+        if (!isValidChannel(channel)) {
+            return res.status(400).json({ success: false, message: `Channel must be one of: ${CHANNELS.join(', ')}` });
+        }
+        
+        const { current } = req.query;
+        if (current !== undefined && !isValidVersion(current)) {
+            return res.status(400).json({ success: false, message: 'Invalid current version' });
+        }
+        
+        const latest = await latestRelease(channel);
+        if (!latest) {
+            return res.status(404).json({ success: false, message: 'No release published on this channel' });
+        }
+        
+        const response = { success: true, ...serializeRelease(latest) };
+        if (current) {
+            response.updateAvailable = compareVersions(current, latest.version) < 0;
+            response.updateRequired = !!latest.minVersion && compareVersions(current, latest.minVersion) < 0;
+        }
+        res.json(response);
+    } catch (error) {
+        console.error('Latest release error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load release' });
+    }
+});
+
+// Full manifest of a release: every file with its size and SHA-256
+app.get('/api/client/manifest/:version', async (req, res) => {
+    try {
+        const release = await storage.releases.findByVersion(req.params.version);
+        if (!release) {
+            return res.status(404).json({ success: false, message: 'Release not found' });
+        }
+        
+        const files = await storage.releases.listFiles(release.id);
+        res.json({
+            success: true,
+            ...serializeRelease(release),
+            files: files.map(file => ({ ...file, url: releaseFileUrl(release.version, file.path) }))
+        });
+    } catch (error) {
+        console.error('Release manifest error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load manifest' });
+    }
+});
+
+// One file of a release; only paths listed in its manifest are served
+app.get('/api/client/files/:version/*file', async (req, res) => {
+    try {
+        const release = await storage.releases.findByVersion(req.params.version);
+        const file = release && await storage.releases.findFile(release.id, req.params.file.join('/'));
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+        
+        res.set('ETag', `"${file.sha256}"`);
+        res.set('X-Checksum-SHA256', file.sha256);
+        res.attachment(path.posix.basename(file.path));
+        if (isNewDownload(req)) countDownload(release.id, 'file', file.path);
+        
+        // sendFile answers Range requests, so interrupted downloads resume
+        res.sendFile(releaseStore.filePath(release.version, file.path), { etag: false, dotfiles: 'allow' }, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Release file error:', error.message);
+                res.status(404).json({ success: false, message: 'File not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Release file error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load file' });
+    }
+});
+
+// Changed and removed files between the installed version (?from=) and a
+// target (?to=, or the newest on ?channel=). bundleUrl is a zip of just
+// the changed files.
+app.get('/api/client/patch', async (req, res) => {
+    try {
+        const { from } = req.query;
+        if (!isValidVersion(from)) {
+            return res.status(400).json({ success: false, message: 'Invalid installed version' });
+        }
+        
+        const channel = req.query.channel || 'stable';
+        if (!isValidChannel(channel)) {
+            return res.status(400).json({ success: false, message: `Channel must be one of: ${CHANNELS.join(', ')}` });
+        }
+        
+        const target = req.query.to
+            ? await storage.releases.findByVersion(req.query.to)
+            : await latestRelease(channel);
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Release not found' });
+        }
+        
+        const plan = await patchPlan(from, target);
+        res.json({
+            success: true,
+            from: plan.from,
+            to: plan.to,
+            full: plan.from === null,
+            changed: plan.changed.map(file => ({ ...file, url: releaseFileUrl(plan.to, file.path) })),
+            removed: plan.removed,
+            downloadSize: plan.changed.reduce((total, file) => total + file.size, 0),
+            bundleUrl: `/api/client/patch/${encodeURIComponent(from)}/${encodeURIComponent(plan.to)}`
+        });
+    } catch (error) {
+        console.error('Patch plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to compute patch' });
+    }
+});
+
+// Patch bundle: zip with patch.json (files with checksums, removed paths)
+// and files/<path> for every changed file. Built on first request, then
+// served from disk with Range support.
+app.get('/api/client/patch/:from/:to', async (req, res) => {
+    try {
+        if (!isValidVersion(req.params.from)) {
+            return res.status(400).json({ success: false, message: 'Invalid installed version' });
+        }
+        
+        const target = await storage.releases.findByVersion(req.params.to);
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Release not found' });
+        }
+        
+        const plan = await patchPlan(req.params.from, target);
+        const bundle = await releaseStore.patchBundle(plan);
+        
+        // Releases never change after publishing, so neither does a bundle
+        res.set('ETag', `"${plan.from || 'full'}_${plan.to}"`);
+        res.attachment(`forgeblock-${plan.from || 'full'}-to-${plan.to}.zip`);
+        if (isNewDownload(req)) countDownload(target.id, 'patch', plan.from || 'full');
+        
+        // Bundles live under RELEASES_DIR/.patches, which send() treats as hidden
+        res.sendFile(bundle, { etag: false, dotfiles: 'allow' }, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Patch bundle error:', error.message);
+                res.status(404).json({ success: false, message: 'Patch not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Patch bundle error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build patch' });
+    }
+});
+
+app.get('/api/admin/releases', authMiddleware, requirePermission('publish-releases'), async (req, res) => {
+    try {
+        const releases = await storage.releases.list();
+        res.json({
+            success: true,
+            channels: CHANNELS,
+            releases: releases.map(release => ({
+                ...serializeRelease(release),
+                publishedBy: release.publishedBy,
+                downloads: release.downloads
+            }))
+        });
+    } catch (error) {
+        console.error('List releases error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load releases' });
+    }
+});
+
+// Download counts of one release, per file and per patch bundle
+app.get('/api/admin/releases/:version/downloads', authMiddleware, requirePermission('publish-releases'), async (req, res) => {
+    try {
+        const release = await storage.releases.findByVersion(req.params.version);
+        if (!release) {
+            return res.status(404).json({ success: false, message: 'Release not found' });
+        }
+        
+        res.json({ success: true, version: release.version, downloads: await storage.releases.listDownloads(release.id) });
+    } catch (error) {
+        console.error('Release downloads error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load downloads' });
+    }
+});
+
+// Publish a release: multipart with version, channel, notes, minVersion and
+// the release files (field "files", file name = path inside the release)
+app.post('/api/admin/releases', authMiddleware, requirePermission('publish-releases'), receiveRelease, async (req, res) => {
+    const uploads = req.files || [];
+    
+    try {
+        const { version } = req.body;
+        if (!isValidVersion(version)) {
+            discardUploads(uploads);
+            return res.status(400).json({ success: false, message: 'Invalid version (expected e.g. 1.2.0 or 1.3.0-beta.1)' });
+        }
+        
+        const { fields, error } = parseReleaseFields({ channel: 'stable', ...req.body }, version);
+        if (error) {
+            discardUploads(uploads);
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        if (uploads.length === 0) {
+            return res.status(400).json({ success: false, message: 'A release needs at least one file' });
+        }
+        
+        const files = [];
+        const seen = new Set();
+        for (const upload of uploads) {
+            const filePath = normalizeReleasePath(upload.originalname);
+            if (!filePath || seen.has(filePath.toLowerCase())) {
+                discardUploads(uploads);
+                return res.status(400).json({ success: false, message: `Invalid or duplicate file path: ${upload.originalname}` });
+            }
+            seen.add(filePath.toLowerCase());
+            files.push({ path: filePath, tempFile: upload.path });
+        }
+        
+        if (await storage.releases.findByVersion(version)) {
+            discardUploads(uploads);
+            return res.status(409).json({ success: false, message: `Version ${version} is already published` });
+        }
+        
+        const manifest = await releaseStore.addFiles(version, files);
+        try {
+            await storage.releases.create({ version, ...fields, publishedBy: req.user.userId, files: manifest });
+        } catch (createError) {
+            releaseStore.removeRelease(version);
+            throw createError;
+        }
+        
+        await audit(req, 'publish-release', null, { version, channel: fields.channel, files: manifest.length });
+        console.log(`Release published: ${version} (${fields.channel}, ${manifest.length} files) by ${req.user.username}`);
+        
+        res.json({ success: true, release: serializeRelease(await storage.releases.findByVersion(version)) });
+    } catch (error) {
+        discardUploads(uploads);
+        console.error('Publish release error:', error);
+        res.status(500).json({ success: false, message: 'Failed to publish release' });
+    }
+});
+
+// Change the channel (e.g. promote a beta to stable), notes or minimum version
+app.patch('/api/admin/releases/:version', authMiddleware, requirePermission('publish-releases'), async (req, res) => {
+    try {
+        const release = await storage.releases.findByVersion(req.params.version);
+        if (!release) {
+            return res.status(404).json({ success: false, message: 'Release not found' });
+        }
+        
+        const { channel, notes, minVersion } = req.body;
+        const { fields, error } = parseReleaseFields({ channel, notes, minVersion }, release.version);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        await storage.releases.update(release.id, fields);
+        await audit(req, 'update-release', null, { version: release.version, ...fields });
+        
+        res.json({ success: true, release: serializeRelease(await storage.releases.findByVersion(release.version)) });
+    } catch (error) {
+        console.error('Update release error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update release' });
+    }
+});
+
+app.delete('/api/admin/releases/:version', authMiddleware, requirePermission('publish-releases'), async (req, res) => {
+    try {
+        const release = await storage.releases.findByVersion(req.params.version);
+        if (!release || !await storage.releases.delete(release.id)) {
+            return res.status(404).json({ success: false, message: 'Release not found' });
+        }
+        
+        releaseStore.removeRelease(release.version);
+        await audit(req, 'delete-release', null, { version: release.version, channel: release.channel });
+        console.log(`Release deleted: ${release.version} by ${req.user.username}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete release error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete release' });
+    }
+});
+
+// Installer bootstrap; the launcher it installs updates itself from the
+// release manifest
 app.get('/downloads/:filename', (req, res) => {
     const filename = req.params.filename;
     const filepath = path.join(__dirname, 'downloads', filename);
@@ -914,6 +4772,11 @@ app.get('/downloads/:filename', (req, res) => {
     });
 });
 
+// Moderation dashboard (the API checks admin access)
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 // SPA fallback
 app.use((req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -921,13 +4784,66 @@ app.use((req, res) => {
 
 // Start server
 async function start() {
-    await createPool();
-    await initDatabase();
+    try {
+        storage = await openStorage();
+    } catch (error) {
+        console.error('Database connection error:', error.message);
+        process.exit(1);
+    }
     
-    app.listen(PORT, () => {
+    // Refuse to serve on an outdated schema (AUTO_MIGRATE=true applies it instead)
+    if (process.env.AUTO_MIGRATE === 'true') {
+        await migrator.migrate(storage.db);
+    }
+    
+    const pending = await migrator.getPendingMigrations(storage.db);
+    if (pending.length > 0) {
+        console.error(`Database schema is behind: ${pending.length} pending migration(s)`);
+        pending.forEach(m => console.error(`  - ${m.file}`));
+        console.error('Run `npm run migrate` and restart the server');
+        process.exit(1);
+    }
+    
+    try {
+        mailer = createMailer();
+    } catch (error) {
+        console.error('Mail configuration error:', error.message);
+        process.exit(1);
+    }
+    
+    await promoteLegacyAdmins();
+    await sealServerSigningKeys();
+    ensureDefaultFaceThumbnails();
+    
+    const rateLimitStore = process.env.RATE_LIMIT_STORE || 'memory';
+    if (rateLimitStore === 'database') {
+        limiter = createRateLimiter(createDatabaseStore(storage.rateLimits));
+    } else if (rateLimitStore === 'memory') {
+        limiter = createRateLimiter(createMemoryStore());
+    } else {
+        console.error(`Unknown RATE_LIMIT_STORE "${rateLimitStore}" (use memory or database)`);
+        process.exit(1);
+    }
+    
+    try {
+        world = createWorld(storage.chunks, createWorldStore(storage.chunks, { type: process.env.WORLD_STORE, dir: WORLD_DIR }));
+    } catch (error) {
+        console.error('World storage error:', error.message);
+        process.exit(1);
+    }
+    
+    const server = app.listen(PORT, () => {
         console.log(`ForgeBlock API running on port ${PORT}`);
-        console.log(`Database: ${pool ? 'MySQL connected' : 'Memory mode'}`);
+        console.log(`Database: ${storage.driver}`);
+        console.log(`Mail: ${mailer.transport}`);
+        console.log(`Rate limit store: ${limiter.store}`);
+        console.log(`World store: ${world.store}`);
     });
+    
+    gateway = createGateway(server, { authenticate: authenticateGatewayClient });
 }
 
-start();
\ No newline at end of file
+start().catch(error => {
+    console.error('Startup error:', error);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { PNG } = require('pngjs');
+const { readPngHeader } = require('../faces');
+
+// Character skins: one 64x64 RGBA texture per skin, laid out like a box UV
+// map. Every body part is a box of width x height x depth pixels whose six
+// faces are unwrapped around the part's origin (u, v):
+//
+//            u+d      u+d+w    u+d+w+d
+//     v      [ top   ][bottom ]
+//     v+d  [right][ front  ][left][ back  ]
+//
+// Part          box (w x h x d)   base layer   overlay layer
+// head          8 x 8 x 8         0,0          32,0
+// body          8 x 12 x 4        16,16        16,32
+// right arm     4 x 12 x 4        40,16        40,32
+// left arm      4 x 12 x 4        32,48        48,48
+// right leg     4 x 12 x 4        0,16         0,32
+// left leg      4 x 12 x 4        16,48        0,48
+//
+// The slim model has 3 pixel wide arms (box 3 x 12 x 4 at the same
+// origins). Its arm faces lie within the classic ones, so a stored texture
+// keeps both and the model can be switched without uploading again.
+// Base layer pixels are drawn opaque, overlay pixels may be transparent,
+// and anything outside a part is cleared when a skin is stored.
+
+const SKIN_SIZE = 64;
+const SKIN_MODELS = ['classic', 'slim'];
+const PREVIEW_SCALE = 8;
+
+const PARTS = {
+    head: { box: [8, 8, 8], base: [0, 0], overlay: [32, 0] },
+    body: { box: [8, 12, 4], base: [16, 16], overlay: [16, 32] },
+    rightArm: { box: [4, 12, 4], base: [40, 16], overlay: [40, 32], arm: true },
+    leftArm: { box: [4, 12, 4], base: [32, 48], overlay: [48, 48], arm: true },
+    rightLeg: { box: [4, 12, 4], base: [0, 16], overlay: [0, 32] },
+    leftLeg: { box: [4, 12, 4], base: [16, 48], overlay: [0, 48] }
+};
+
+function boxSize(part, model) {
+    const [w, h, d] = part.box;
+    return part.arm && model === 'slim' ? [w - 1, h, d] : [w, h, d];
+}
+
+// The six faces of a part's box on one layer, as { x, y, w, h } rectangles
+function boxFaces([u, v], [w, h, d]) {
+    return {
+        top: { x: u + d, y: v, w, h: d },
+        bottom: { x: u + d + w, y: v, w, h: d },
+        right: { x: u, y: v + d, w: d, h },
+        front: { x: u + d, y: v + d, w, h },
+        left: { x: u + d + w, y: v + d, w: d, h },
+        back: { x: u + d + w + d, y: v + d, w, h }
+    };
+}
+
+function forEachPixel(rect, callback) {
+    for (let y = rect.y; y < rect.y + rect.h; y++) {
+        for (let x = rect.x; x < rect.x + rect.w; x++) {
+            callback((y * SKIN_SIZE + x) * 4);
+        }
+    }
+}
+
+// Validate an uploaded skin and normalize it.
+// Returns { skin: Buffer, hash } or { error }.
+function processSkin(buffer) {
+    const { width, height, error } = readPngHeader(buffer);
+    if (error) return { error };
+    
+    if (width !== SKIN_SIZE || height !== SKIN_SIZE) {
+        return { error: `Skin must be ${SKIN_SIZE}x${SKIN_SIZE} pixels (got ${width}x${height})` };
+    }
+    
+    let image;
+    try {
+        image = PNG.sync.read(buffer); // always decodes to 8-bit RGBA
+    } catch (decodeError) {
+        return { error: 'Corrupt PNG image' };
+    }
+    if (image.width !== width || image.height !== height) {
+        return { error: 'Corrupt PNG image' };
+    }
+    
+    const source = image.data;
+    const target = Buffer.alloc(source.length);
+    
+    for (const [name, part] of Object.entries(PARTS)) {
+        let painted = 0;
+        
+        for (const rect of Object.values(boxFaces(part.base, part.box))) {
+            forEachPixel(rect, (i) => {
+                if (source[i + 3] > 0) painted++;
+                source.copy(target, i, i, i + 3);
+                target[i + 3] = 255;
+            });
+        }
+        if (painted === 0) {
+            return { error: `Skin is missing the ${name} (its base layer is empty)` };
+        }
+        
+        for (const rect of Object.values(boxFaces(part.overlay, part.box))) {
+            forEachPixel(rect, (i) => source.copy(target, i, i, i + 4));
+        }
+    }
+    
+    const skin = encode(target);
+    return { skin, hash: crypto.createHash('sha256').update(skin).digest('hex') };
+}
+
+function encode(data) {
+    const png = new PNG({ width: SKIN_SIZE, height: SKIN_SIZE });
+    png.data = data;
+    return PNG.sync.write(png);
+}
+
+// Where each part's front (or back) face goes in a flat 16x32 render. From
+// behind, the left arm and leg are on the viewer's left.
+function flatLayout(model, view) {
+    const armWidth = model === 'slim' ? 3 : 4;
+    const near = view === 'front' ? 'right' : 'left';
+    const far = view === 'front' ? 'left' : 'right';
+    return [
+        { part: 'head', x: 4, y: 0 },
+        { part: 'body', x: 4, y: 8 },
+        { part: `${near}Arm`, x: 4 - armWidth, y: 8 },
+        { part: `${far}Arm`, x: 12, y: 8 },
+        { part: `${near}Leg`, x: 4, y: 20 },
+        { part: `${far}Leg`, x: 8, y: 20 }
+    ];
+}
+
+function blend(target, t, source, s) {
+    const alpha = source[s + 3] / 255;
+    if (alpha === 0) return;
+    for (let c = 0; c < 3; c++) {
+        target[t + c] = Math.round(source[s + c] * alpha + target[t + c] * (1 - alpha));
+    }
+    target[t + 3] = Math.max(target[t + 3], source[s + 3]);
+}
+
+// Flat front and back render of a stored skin, side by side, scaled up by
+// PREVIEW_SCALE. view: 'front', 'back' or 'both'.
+function renderPreview(skinPng, model, view = 'both') {
+    const skin = PNG.sync.read(skinPng).data;
+    const views = view === 'both' ? ['front', 'back'] : [view];
+    const gap = 4;
+    const width = views.length * 16 + (views.length - 1) * gap;
+    const height = 32;
+    const flat = Buffer.alloc(width * height * 4);
+    
+    views.forEach((side, index) => {
+        const offset = index * (16 + gap);
+        for (const { part, x, y } of flatLayout(model, side)) {
+            const size = boxSize(PARTS[part], model);
+            for (const layer of ['base', 'overlay']) {
+                const rect = boxFaces(PARTS[part][layer], size)[side];
+                for (let dy = 0; dy < rect.h; dy++) {
+                    for (let dx = 0; dx < rect.w; dx++) {
+                        // The back face is unwrapped as seen from behind, so it is drawn as is
+                        blend(flat, ((y + dy) * width + offset + x + dx) * 4, skin, ((rect.y + dy) * SKIN_SIZE + rect.x + dx) * 4);
+                    }
+                }
+            }
+        }
+    });
+    
+    const png = new PNG({ width: width * PREVIEW_SCALE, height: height * PREVIEW_SCALE });
+    for (let y = 0; y < png.height; y++) {
+        const row = Math.floor(y / PREVIEW_SCALE) * width;
+        for (let x = 0; x < png.width; x++) {
+            const i = (row + Math.floor(x / PREVIEW_SCALE)) * 4;
+            flat.copy(png.data, (y * png.width + x) * 4, i, i + 4);
+        }
+    }
+    return PNG.sync.write(png);
+}
+
+// Texture used by players without a skin: plain clothes, drawn here so the
+// default always matches the layout above
+let defaultSkinCache = null;
+
+function defaultSkin() {
+    if (defaultSkinCache) return defaultSkinCache;
+    
+    const data = Buffer.alloc(SKIN_SIZE * SKIN_SIZE * 4);
+    const paint = (rect, [r, g, b]) => forEachPixel(rect, (i) => {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 255;
+    });
+    const SKIN = [198, 156, 109];
+    const SHIRT = [47, 129, 247];
+    const PANTS = [48, 54, 61];
+    const SHOES = [22, 27, 34];
+    const HAIR = [74, 52, 36];
+    
+    for (const [name, part] of Object.entries(PARTS)) {
+        for (const [side, rect] of Object.entries(boxFaces(part.base, part.box))) {
+            const upright = side !== 'top' && side !== 'bottom';
+            if (name === 'head') {
+                paint(rect, side === 'top' ? HAIR : SKIN);
+                if (side === 'back') paint({ ...rect, h: 6 }, HAIR);
+                else if (upright) paint({ ...rect, h: 2 }, HAIR);
+            } else if (name === 'body') {
+                paint(rect, SHIRT);
+            } else if (part.arm) {
+                // Short sleeves, bare hands
+                paint(rect, side === 'top' ? SHIRT : SKIN);
+                if (upright) paint({ ...rect, h: 4 }, SHIRT);
+            } else {
+                paint(rect, side === 'bottom' ? SHOES : PANTS);
+                if (upright) paint({ ...rect, y: rect.y + rect.h - 2, h: 2 }, SHOES);
+            }
+        }
+    }
+    
+    const front = boxFaces(PARTS.head.base, PARTS.head.box).front;
+    paint({ x: front.x + 1, y: front.y + 4, w: 2, h: 1 }, [255, 255, 255]);
+    paint({ x: front.x + 5, y: front.y + 4, w: 2, h: 1 }, [255, 255, 255]);
+    paint({ x: front.x + 2, y: front.y + 4, w: 1, h: 1 }, [56, 80, 160]);
+    paint({ x: front.x + 5, y: front.y + 4, w: 1, h: 1 }, [56, 80, 160]);
+    paint({ x: front.x + 3, y: front.y + 6, w: 2, h: 1 }, [140, 90, 70]);
+    
+    const skin = encode(data);
+    defaultSkinCache = { skin, hash: crypto.createHash('sha256').update(skin).digest('hex') };
+    return defaultSkinCache;
+}
+
+module.exports = { SKIN_SIZE, SKIN_MODELS, PARTS, processSkin, renderPreview, defaultSkin };
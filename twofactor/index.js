@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+// Two-factor authentication: time-based one-time passwords (RFC 6238, the
+// SHA-1 / 6 digit / 30 second variant every authenticator app supports) and
+// single-use recovery codes.
+//
+// TOTP secrets have to be readable to check codes, so they are stored
+// encrypted (see secretbox/) instead of hashed. Recovery codes are only ever
+// compared, so only their SHA-256 is stored.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous and next code for clock drift
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.toUpperCase().replace(/=+$/, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// New base32 secret, as typed into an authenticator app
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function otpauthUri({ secret, account, issuer }) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+function codeAt(key, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function isTotpCode(code) {
+    return typeof code === 'string' && new RegExp(`^\\d{${DIGITS}}$`).test(code.replace(/\s/g, ''));
+}
+
+// Time step matched by `code`, or null. Steps up to lastUsedStep are
+// refused so an intercepted code can't be replayed.
+function verifyTotp(secret, code, lastUsedStep = 0, now = Date.now()) {
+    if (!isTotpCode(code)) return null;
+    
+    const key = base32Decode(secret);
+    const given = Buffer.from(code.replace(/\s/g, ''));
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+    
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        if (step <= lastUsedStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(codeAt(key, step)), given)) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// Recovery codes look like "k7q2m-x4dfp": 10 characters from the base32
+// alphabet (no 0/1/8/9 to confuse with letters)
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+// Canonical form for hashing: lowercase, no dash or spaces; null if malformed
+function normalizeRecoveryCode(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.toLowerCase().replace(/[\s-]/g, '');
+    return /^[a-z2-7]{10}$/.test(code) ? code : null;
+}
+
+module.exports = {
+    generateSecret,
+    otpauthUri,
+    isTotpCode,
+    verifyTotp,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
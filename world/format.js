@@ -0,0 +1,80 @@
+// FBC1 chunk format: a 16x16x16 block cube as a palette plus run-length
+// encoded palette indices. All numbers are little endian.
+//
+//   offset  size  field
+//   0       4     magic "FBC1"
+//   4       1     format version (1)
+//   5       1     chunk size S (16)
+//   6       2     palette length P (1..4096)
+//   8       2P    palette: block ids (u16)
+//   8+2P    4     run count R
+//   12+2P   4R    runs: [u16 length, u16 palette index]
+//
+// Runs cover all S^3 blocks in y, z, x order (x changes fastest). Stored and
+// served deflate-compressed (zlib), see world/index.js.
+
+const MAGIC = 'FBC1';
+const FORMAT_VERSION = 1;
+const CHUNK_SIZE = 16;
+const BLOCKS_PER_CHUNK = CHUNK_SIZE ** 3;
+const MAX_PALETTE = 4096;
+const HEADER_SIZE = 8;
+
+// Check an encoded chunk; returns { blocks } (palette-resolved block ids) or { error }
+function decodeChunk(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE + 6) {
+        return { error: 'Chunk data too short' };
+    }
+    if (buffer.toString('latin1', 0, 4) !== MAGIC) {
+        return { error: 'Not an FBC1 chunk' };
+    }
+    if (buffer.readUInt8(4) !== FORMAT_VERSION) {
+        return { error: `Unsupported chunk format version ${buffer.readUInt8(4)}` };
+    }
+    if (buffer.readUInt8(5) !== CHUNK_SIZE) {
+        return { error: `Chunk size must be ${CHUNK_SIZE}` };
+    }
+    
+    const paletteLength = buffer.readUInt16LE(6);
+    if (paletteLength < 1 || paletteLength > MAX_PALETTE) {
+        return { error: `Palette must have 1-${MAX_PALETTE} entries` };
+    }
+    
+    const runsOffset = HEADER_SIZE + paletteLength * 2;
+    if (buffer.length < runsOffset + 4) {
+        return { error: 'Chunk data truncated' };
+    }
+    
+    const palette = [];
+    for (let i = 0; i < paletteLength; i++) {
+        palette.push(buffer.readUInt16LE(HEADER_SIZE + i * 2));
+    }
+    
+    const runCount = buffer.readUInt32LE(runsOffset);
+    if (buffer.length !== runsOffset + 4 + runCount * 4) {
+        return { error: 'Chunk length does not match its run count' };
+    }
+    
+    const blocks = new Uint16Array(BLOCKS_PER_CHUNK);
+    let filled = 0;
+    
+    for (let i = 0; i < runCount; i++) {
+        const offset = runsOffset + 4 + i * 4;
+        const length = buffer.readUInt16LE(offset);
+        const index = buffer.readUInt16LE(offset + 2);
+        
+        if (length === 0 || index >= paletteLength || filled + length > BLOCKS_PER_CHUNK) {
+            return { error: `Invalid run ${i}` };
+        }
+        blocks.fill(palette[index], filled, filled + length);
+        filled += length;
+    }
+    
+    if (filled !== BLOCKS_PER_CHUNK) {
+        return { error: `Runs cover ${filled} of ${BLOCKS_PER_CHUNK} blocks` };
+    }
+    
+    return { blocks };
+}
+
+module.exports = { CHUNK_SIZE, FORMAT_VERSION, decodeChunk };
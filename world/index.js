@@ -0,0 +1,268 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { CHUNK_SIZE, FORMAT_VERSION, decodeChunk } = require('./format');
+const { createFilesystemStore, createDatabaseStore } = require('./stores');
+
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+const openZip = promisify(yauzl.fromBuffer);
+
+const MAX_CHUNK_BYTES = 64 * 1024; // an FBC1 chunk is at most ~25KB uncompressed
+const MAX_IMPORT_CHUNKS = 16384;
+const MAX_IMPORT_BYTES = 256 * 1024 * 1024; // uncompressed, all held in memory while validating
+const CHUNK_ENTRY_PATTERN = /^chunks\/(-?\d+)_(-?\d+)_(-?\d+)\.fbc$/;
+const REGION_MAGIC = 'FBR1';
+
+// Chunk storage for places. The world_chunks table is the index (revisions,
+// sizes); the deflated chunk bytes live in a pluggable store.
+function createWorld(repo, store) {
+    // Saves and deletes of one chunk run one at a time, so the bytes in the
+    // store always belong to the revision in the index: claiming a revision
+    // and writing its bytes can't interleave with another save.
+    const chunkLocks = new Map(); // "placeId:x:y:z" -> last queued operation
+    async function withChunkLock(placeId, { x, y, z }, fn) {
+        const lockKey = `${placeId}:${x}:${y}:${z}`;
+        const previous = chunkLocks.get(lockKey) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        chunkLocks.set(lockKey, current);
+        
+        try {
+            await previous;
+            return await fn();
+        } finally {
+            release();
+            if (chunkLocks.get(lockKey) === current) chunkLocks.delete(lockKey);
+        }
+    }
+    
+    // Index entry and bytes are read under the lock so they match
+    async function getChunk(placeId, coords) {
+        return withChunkLock(placeId, coords, async () => {
+            const chunk = await repo.get(placeId, coords);
+            if (!chunk) return null;
+            const data = await store.read(placeId, coords);
+            if (!data) return null;
+            return { ...chunk, data };
+        });
+    }
+    
+    // raw is an uncompressed FBC1 chunk. expectedRevision: number to require
+    // that revision (0 = must not exist), null to overwrite unconditionally.
+    async function saveChunk(placeId, coords, raw, { expectedRevision = null, updatedBy = null } = {}) {
+        const { error } = decodeChunk(raw);
+        if (error) return { error };
+        
+        const data = await deflate(raw);
+        return withChunkLock(placeId, coords, async () => {
+            const revision = await repo.claimRevision(placeId, coords, {
+                expectedRevision,
+                size: raw.length,
+                updatedBy
+            });
+            
+            if (revision === null) {
+                const current = await repo.get(placeId, coords);
+                return { conflict: true, revision: current ? current.revision : 0 };
+            }
+            
+            await store.write(placeId, coords, data);
+            return { revision };
+        });
+    }
+    
+    async function deleteChunk(placeId, coords) {
+        return withChunkLock(placeId, coords, async () => {
+            const deleted = await repo.delete(placeId, coords);
+            if (deleted) await store.delete(placeId, coords);
+            return deleted;
+        });
+    }
+    
+    // FBR1 region bundle: "FBR1", u32 count, then per chunk
+    // [i32 x, i32 y, i32 z, u32 revision, u32 length, deflated FBC1 bytes]
+    async function getRegion(placeId, from, to) {
+        const chunks = await repo.listRegion(placeId, from, to);
+        const parts = [];
+        let count = 0;
+        
+        for (const listed of chunks) {
+            const chunk = await getChunk(placeId, listed);
+            if (!chunk) continue;
+            const { data } = chunk;
+            
+            const header = Buffer.alloc(20);
+            header.writeInt32LE(chunk.x, 0);
+            header.writeInt32LE(chunk.y, 4);
+            header.writeInt32LE(chunk.z, 8);
+            header.writeUInt32LE(chunk.revision, 12);
+            header.writeUInt32LE(data.length, 16);
+            parts.push(header, data);
+            count++;
+        }
+        
+        const head = Buffer.alloc(8);
+        head.write(REGION_MAGIC, 0, 'latin1');
+        head.writeUInt32LE(count, 4);
+        return { count, data: Buffer.concat([head, ...parts]) };
+    }
+    
+    async function deletePlace(placeId) {
+        await store.deletePlace(placeId);
+    }
+    
+    // Zip with world.json and chunks/<x>_<y>_<z>.fbc (uncompressed FBC1),
+    // streamed to output
+    async function exportPlace(place, output) {
+        const chunks = await repo.list(place.id);
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const done = new Promise((resolve, reject) => {
+            archive.on('error', reject);
+            output.on('close', resolve);
+            output.on('finish', resolve);
+        });
+        archive.pipe(output);
+        
+        const exported = [];
+        for (const listed of chunks) {
+            const chunk = await getChunk(place.id, listed);
+            if (!chunk) continue;
+            archive.append(await inflate(chunk.data), { name: `chunks/${chunk.x}_${chunk.y}_${chunk.z}.fbc` });
+            exported.push({ x: chunk.x, y: chunk.y, z: chunk.z, revision: chunk.revision });
+        }
+        
+        archive.append(JSON.stringify({
+            format: 'FBC1',
+            formatVersion: FORMAT_VERSION,
+            chunkSize: CHUNK_SIZE,
+            place: { id: place.id, name: place.name },
+            exportedAt: new Date().toISOString(),
+            chunks: exported
+        }, null, 2), { name: 'world.json' });
+        
+        await archive.finalize();
+        await done;
+        return { count: exported.length };
+    }
+    
+    // Replace a place's world with the chunks in an exported zip. Everything
+    // is read and validated before anything is written.
+    async function importPlace(placeId, zipBuffer, { updatedBy = null } = {}) {
+        const parsed = await readArchive(zipBuffer);
+        if (parsed.error) return parsed;
+        
+        for (const { coords, raw } of parsed.chunks) {
+            await saveChunk(placeId, coords, raw, { updatedBy });
+        }
+        
+        const keep = new Set(parsed.chunks.map(({ coords }) => `${coords.x}_${coords.y}_${coords.z}`));
+        let removed = 0;
+        for (const chunk of await repo.list(placeId)) {
+            if (keep.has(`${chunk.x}_${chunk.y}_${chunk.z}`)) continue;
+            if (await deleteChunk(placeId, chunk)) removed++;
+        }
+        
+        return { imported: parsed.chunks.length, removed };
+    }
+    
+    return { store: store.name, getChunk, saveChunk, deleteChunk, getRegion, deletePlace, exportPlace, importPlace };
+}
+
+async function readArchive(zipBuffer) {
+    let zip;
+    try {
+        zip = await openZip(zipBuffer, { lazyEntries: true });
+    } catch (error) {
+        return { error: 'Not a valid zip archive' };
+    }
+    
+    return new Promise((resolve) => {
+        const chunks = [];
+        let totalBytes = 0;
+        let hasManifest = false;
+        
+        const fail = (message) => {
+            zip.close();
+            resolve({ error: message });
+        };
+        
+        zip.on('error', () => fail('Corrupt zip archive'));
+        zip.on('end', () => {
+            if (!hasManifest) return resolve({ error: 'world.json missing from archive' });
+            resolve({ chunks });
+        });
+        
+        zip.on('entry', (entry) => {
+            if (entry.fileName === 'world.json') {
+                hasManifest = true;
+                return zip.readEntry();
+            }
+            
+            const match = CHUNK_ENTRY_PATTERN.exec(entry.fileName);
+            if (!match) return zip.readEntry(); // directories and anything else
+            
+            if (chunks.length >= MAX_IMPORT_CHUNKS) {
+                return fail(`Archives are limited to ${MAX_IMPORT_CHUNKS} chunks`);
+            }
+            if (entry.uncompressedSize > MAX_CHUNK_BYTES) {
+                return fail(`${entry.fileName}: chunk too large`);
+            }
+            totalBytes += entry.uncompressedSize;
+            if (totalBytes > MAX_IMPORT_BYTES) {
+                return fail('Archive too large');
+            }
+            
+            const coords = { x: Number(match[1]), y: Number(match[2]), z: Number(match[3]) };
+            if (!isChunkCoordinate(coords.x) || !isChunkCoordinate(coords.y) || !isChunkCoordinate(coords.z)) {
+                return fail(`${entry.fileName}: coordinates out of range`);
+            }
+            
+            zip.openReadStream(entry, (error, stream) => {
+                if (error) return fail(`${entry.fileName}: ${error.message}`);
+                
+                const parts = [];
+                stream.on('data', (part) => parts.push(part));
+                stream.on('error', (streamError) => fail(`${entry.fileName}: ${streamError.message}`));
+                stream.on('end', () => {
+                    const raw = Buffer.concat(parts);
+                    const { error: formatError } = decodeChunk(raw);
+                    if (formatError) return fail(`${entry.fileName}: ${formatError}`);
+                    
+                    chunks.push({ coords, raw });
+                    zip.readEntry();
+                });
+            });
+        });
+        
+        zip.readEntry();
+    });
+}
+
+// Chunk coordinates are in chunks, not blocks; +-2^20 chunks covers any
+// world a game server can address with 32-bit block positions
+const CHUNK_COORDINATE_LIMIT = 2 ** 20;
+
+function isChunkCoordinate(value) {
+    return Number.isInteger(value) && Math.abs(value) <= CHUNK_COORDINATE_LIMIT;
+}
+
+// WORLD_STORE=filesystem (default, chunk files under WORLD_DIR) or database
+function createWorldStore(repo, { type, dir }) {
+    switch ((type || 'filesystem').toLowerCase()) {
+        case 'filesystem':
+            return createFilesystemStore(dir);
+        case 'database':
+            return createDatabaseStore(repo);
+        default:
+            throw new Error(`Unknown WORLD_STORE "${type}" (expected filesystem or database)`);
+    }
+}
+
+// Stored chunk bytes -> uncompressed FBC1, for clients that don't accept deflate
+function inflateChunk(data) {
+    return inflate(data);
+}
+
+module.exports = { createWorld, createWorldStore, inflateChunk, isChunkCoordinate, MAX_CHUNK_BYTES };
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Chunk data stores keep the deflated chunk bytes; the chunk index and
+// revisions are always in the world_chunks table (see world/index.js).
+//   read(placeId, coords) -> Buffer | null, write(placeId, coords, data),
+//   delete(placeId, coords), deletePlace(placeId)
+
+// One file per chunk under <dir>/place_<id>/
+function createFilesystemStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    
+    const placeDir = (placeId) => path.join(dir, `place_${placeId}`);
+    const chunkFile = (placeId, { x, y, z }) => path.join(placeDir(placeId), `${x}_${y}_${z}.fbc.z`);
+    
+    return {
+        name: 'filesystem',
+        
+        async read(placeId, coords) {
+            try {
+                return await fs.promises.readFile(chunkFile(placeId, coords));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        
+        // Write to a temporary file first so readers never see half a chunk
+        async write(placeId, coords, data) {
+            const file = chunkFile(placeId, coords);
+            const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await fs.promises.mkdir(placeDir(placeId), { recursive: true });
+            await fs.promises.writeFile(tmp, data);
+            await fs.promises.rename(tmp, file);
+        },
+        
+        async delete(placeId, coords) {
+            await fs.promises.rm(chunkFile(placeId, coords), { force: true });
+        },
+        
+        async deletePlace(placeId) {
+            await fs.promises.rm(placeDir(placeId), { recursive: true, force: true });
+        }
+    };
+}
+
+// Chunk bytes in the data column of world_chunks itself
+function createDatabaseStore(repo) {
+    return {
+        name: 'database',
+        
+        async read(placeId, coords) {
+            return repo.getData(placeId, coords);
+        },
+        
+        async write(placeId, coords, data) {
+            await repo.setData(placeId, coords, data);
+        },
+        
+        // The data goes away with the index row
+        async delete() {},
+        
+        async deletePlace() {}
+    };
+}
+
+module.exports = { createFilesystemStore, createDatabaseStore };